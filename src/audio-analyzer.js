@@ -8,8 +8,9 @@ import {
   isFFmpegLoaded,
   getDurationWithFFmpeg,
   detectSilenceWithFFmpeg,
-  extractWaveformWithFFmpeg
+  decodePcmWithFFmpeg
 } from './ffmpeg-service.js';
+import { PEAK_SECONDS, computePeaks, buildPeakPyramid } from './waveform-peaks.js';
 
 /**
  * Get the duration of an audio file
@@ -214,45 +215,99 @@ export function findSilentRegions(audioBuffer, threshold = 0.01, minDurationMs =
   return silences;
 }
 
+/**
+ * @typedef {Object} CutCandidate
+ * @property {number} start - Seconds
+ * @property {number} end - Seconds
+ * @property {number} duration - Milliseconds
+ * @property {number} midpoint - Seconds (where the cut would go)
+ * @property {number} distance - Seconds from the target cut time
+ * @property {number} score - duration - distance * 100 (higher is better)
+ */
+
+/**
+ * Score silences as cut points for a target time, best first
+ * Longer silences score higher; every second away from the target costs
+ * as much as 100 ms of silence.
+ * @param {Array<{start: number, end: number, duration: number, midpoint: number}>} silences
+ * @param {number} targetTimeSec
+ * @returns {CutCandidate[]}
+ */
+export function scoreCutCandidates(silences, targetTimeSec) {
+  return silences
+    .map(silence => {
+      const distance = Math.abs(silence.midpoint - targetTimeSec);
+      return {
+        start: silence.start,
+        end: silence.end,
+        duration: silence.duration,
+        midpoint: silence.midpoint,
+        distance,
+        score: silence.duration - (distance * 100)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
 /**
  * Find the best cut point near a target time, preferring longer silences
  */
 export function findBestCutPoint(silences, targetTimeSec) {
-  if (silences.length === 0) {
-    return null;
-  }
-
-  // Score each silence: prefer longer silences closer to target
-  let bestSilence = null;
-  let bestScore = -Infinity;
+  const [best] = scoreCutCandidates(silences, targetTimeSec);
+  return best ? best.midpoint : null;
+}
 
-  for (const silence of silences) {
-    const distance = Math.abs(silence.midpoint - targetTimeSec);
-    // Score: duration bonus minus distance penalty
-    const score = silence.duration - (distance * 100);
+// Peak pyramids by file, so the waveform is only computed once per file
+const peakCache = new WeakMap();
 
-    if (score > bestScore) {
-      bestScore = score;
-      bestSilence = silence;
-    }
+/**
+ * Full-resolution waveform peaks for a file (see waveform-peaks.js)
+ * Uses FFmpeg if available (memory-efficient), falls back to Web Audio API.
+ * The result is cached per file.
+ *
+ * @param {File} file
+ * @param {(percent: number) => void} [onProgress]
+ * @returns {Promise<import('./waveform-peaks.js').PeakPyramid>}
+ */
+export function generateWaveformPeaks(file, onProgress = () => {}) {
+  if (!peakCache.has(file)) {
+    const peaks = computeWaveformPeaks(file, onProgress);
+    peakCache.set(file, peaks);
+    peaks.catch(() => peakCache.delete(file));
   }
-
-  return bestSilence ? bestSilence.midpoint : null;
+  return peakCache.get(file);
 }
 
-/**
- * Generate waveform data for visualization
- * Uses FFmpeg if available (memory-efficient), falls back to Web Audio API
- */
-export async function generateWaveformData(file, numPoints = 500) {
+async function computeWaveformPeaks(file, onProgress) {
   log('Generating waveform visualization...');
 
-  // Try FFmpeg (memory-efficient)
+  // Try FFmpeg (memory-efficient, decodes a segment at a time)
   if (isFFmpegLoaded()) {
     try {
-      const result = await extractWaveformWithFFmpeg(file, numPoints);
+      const duration = await getAudioDuration(file);
+      const sampleRate = 8000;
+      const samplesPerPeak = Math.round(PEAK_SECONDS * sampleRate);
+      const secondsPerPeak = samplesPerPeak / sampleRate;
+      const min = new Float32Array(Math.ceil(duration / secondsPerPeak));
+      const max = new Float32Array(min.length);
+
+      await decodePcmWithFFmpeg(file, {
+        duration,
+        sampleRate,
+        onSegment: (samples, startSec) => {
+          // Place each segment by its start time so seeking jitter can't
+          // shift everything after it
+          const offset = Math.round(startSec / secondsPerPeak);
+          const peaks = computePeaks(samples, samplesPerPeak, 1 / 32768);
+          const count = Math.max(0, Math.min(peaks.min.length, min.length - offset));
+          min.set(peaks.min.subarray(0, count), offset);
+          max.set(peaks.max.subarray(0, count), offset);
+        },
+        onProgress
+      });
+
       log('Waveform generated via FFmpeg (memory-efficient)', 'success');
-      return result;
+      return buildPeakPyramid({ min, max }, secondsPerPeak, duration);
     } catch (error) {
       log(`FFmpeg waveform failed: ${error.message}, trying Web Audio...`, 'warning');
     }
@@ -265,27 +320,10 @@ export async function generateWaveformData(file, numPoints = 500) {
 
   try {
     const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-    const channelData = audioBuffer.getChannelData(0);
-    const samplesPerPoint = Math.floor(channelData.length / numPoints);
-
-    const waveform = [];
-    for (let i = 0; i < numPoints; i++) {
-      const start = i * samplesPerPoint;
-      const end = start + samplesPerPoint;
-
-      // Calculate peak amplitude for this segment
-      let max = 0;
-      for (let j = start; j < end && j < channelData.length; j++) {
-        const abs = Math.abs(channelData[j]);
-        if (abs > max) {max = abs;}
-      }
-      waveform.push(max);
-    }
+    const samplesPerPeak = Math.max(1, Math.round(PEAK_SECONDS * audioBuffer.sampleRate));
+    const peaks = computePeaks(audioBuffer.getChannelData(0), samplesPerPeak);
 
-    return {
-      data: waveform,
-      duration: audioBuffer.duration
-    };
+    return buildPeakPyramid(peaks, samplesPerPeak / audioBuffer.sampleRate, audioBuffer.duration);
   } finally {
     await audioContext.close();
   }
@@ -7,10 +7,12 @@ import { log } from './logger.js';
 import {
   getAudioDuration,
   analyzeWindowForSilence,
-  findBestCutPoint,
+  scoreCutCandidates,
   formatTime
 } from './audio-analyzer.js';
 import { isFFmpegLoaded, extractChunkWithFFmpeg } from './ffmpeg-service.js';
+import { analyzeSpeech, planCutsFromSpeech } from './vad.js';
+import { findSkippableSilences, attachSkips, getSentDuration, getKeptRanges, clipSkips } from './silence-skipping.js';
 
 /**
  * Calculate chunk boundaries with smart silence detection and configurable overlap
@@ -23,6 +25,17 @@ import { isFFmpegLoaded, extractChunkWithFFmpeg } from './ffmpeg-service.js';
  * Example with 10-second overlap:
  *   Chunk 1: 0:00 - 10:10 (extends 10s past cut point)
  *   Chunk 2: 10:00 - 20:10 (starts 10s before its logical start)
+ *
+ * Each chunk's cutInfo records how the cut ending it was chosen: the target
+ * time, the winning silence and the rejected candidates with their scores.
+ *
+ * With `useVad`, cuts are planned from a whole-file speech map (see vad.js)
+ * instead of a silence search around each cut; if that fails, the window
+ * search is used.
+ *
+ * With `skipSilenceSec` above 0, silences at least that long are left out of
+ * the audio sent (see silence-skipping.js) and recorded as each chunk's
+ * `skips`.
  */
 export async function calculateChunks(file, options = {}) {
   const {
@@ -30,6 +43,8 @@ export async function calculateChunks(file, options = {}) {
     silenceWindowSec = 30,
     silenceThreshold = 0.01,
     overlapDurationSec = 10,
+    useVad = false,
+    skipSilenceSec = 0,
     onProgress = () => {}
   } = options;
 
@@ -40,7 +55,51 @@ export async function calculateChunks(file, options = {}) {
   log(`Chunk length: ${chunkLengthMinutes} min, Overlap: ${overlapDurationSec}s, Silence window: ${silenceWindowSec}s`);
 
   // First pass: find all cut points
-  const cutPoints = [0]; // Start with beginning
+  let cuts = null;
+  if (useVad) {
+    try {
+      const speechMap = await analyzeSpeech(file, duration, (pct) => onProgress(pct * 0.95));
+      cuts = planCutsFromSpeech(speechMap, duration, { chunkLengthSec, silenceWindowSec });
+      const forced = cuts.filter(c => c.type === 'forced').length;
+      log(`Planned ${cuts.length} cut points from the speech map${forced > 0 ? ` (${forced} in continuous speech)` : ''}`, 'success');
+    } catch (error) {
+      log(`VAD failed: ${error.message} - searching for silence around each cut instead`, 'warning');
+    }
+  }
+  if (!cuts) {
+    cuts = await findCutsInWindows(file, duration, { chunkLengthSec, silenceWindowSec, silenceThreshold, onProgress });
+  }
+
+  // Second pass: create chunks with overlap
+  let chunks = buildChunksFromCuts(cuts, duration, overlapDurationSec);
+
+  if (skipSilenceSec > 0) {
+    try {
+      const skips = await findSkippableSilences(file, duration, { minSilenceSec: skipSilenceSec, threshold: silenceThreshold });
+      chunks = attachSkips(chunks, skips);
+    } catch (error) {
+      log(`Silence skipping failed: ${error.message} - all audio will be sent`, 'warning');
+    }
+  }
+  onProgress(100);
+
+  // Log summary
+  const totalOverlapSec = chunks.reduce((sum, c) => sum + c.overlap.leading + c.overlap.trailing, 0);
+  const totalDuration = estimateTotalTranscriptionTime(chunks);
+  const overheadPercent = ((totalDuration - duration) / duration * 100).toFixed(1);
+
+  log(`Calculated ${chunks.length} chunks`, 'success');
+  log(`Total overlap: ${totalOverlapSec.toFixed(0)}s (${overheadPercent}% overhead)`);
+
+  return chunks;
+}
+
+/**
+ * Find cut points by searching for silence in a window around each ideal cut
+ * @returns {Promise<Cut[]>}
+ */
+async function findCutsInWindows(file, duration, { chunkLengthSec, silenceWindowSec, silenceThreshold, onProgress }) {
+  const cuts = [];
   let currentPosition = 0;
 
   while (currentPosition < duration) {
@@ -51,7 +110,8 @@ export async function calculateChunks(file, options = {}) {
       break;
     }
 
-    let actualCut = idealCut;
+    const cut = { time: idealCut, type: 'forced', targetTime: idealCut, silence: null, rejected: [] };
+    const cutNumber = cuts.length + 1;
 
     // Try to find silence near the cut point
     try {
@@ -62,27 +122,49 @@ export async function calculateChunks(file, options = {}) {
         silenceThreshold
       );
 
-      const cutPoint = findBestCutPoint(silences, idealCut);
+      const [best, ...rejected] = scoreCutCandidates(silences, idealCut);
 
-      if (cutPoint !== null) {
-        actualCut = cutPoint;
-        log(`Cut point ${cutPoints.length}: Found silence at ${formatTime(cutPoint)} (${silences.length} candidates)`, 'success');
+      if (best) {
+        Object.assign(cut, { time: best.midpoint, type: 'silence', silence: best, rejected });
+        log(`Cut point ${cutNumber}: Found silence at ${formatTime(best.midpoint)} (${silences.length} candidates)`, 'success');
       } else {
-        log(`Cut point ${cutPoints.length}: No silence found, cutting at ${formatTime(idealCut)}`, 'warning');
+        log(`Cut point ${cutNumber}: No silence found, cutting at ${formatTime(idealCut)}`, 'warning');
       }
     } catch (error) {
-      log(`Cut point ${cutPoints.length}: Silence detection failed: ${error.message}`, 'warning');
+      log(`Cut point ${cutNumber}: Silence detection failed: ${error.message}`, 'warning');
     }
 
-    cutPoints.push(actualCut);
-    currentPosition = actualCut;
+    cuts.push(cut);
+    currentPosition = cut.time;
 
-    onProgress((currentPosition / duration) * 50); // First 50% is cut point detection
+    onProgress((currentPosition / duration) * 100);
   }
 
-  cutPoints.push(duration); // End with the end
+  return cuts;
+}
+
+/**
+ * @typedef {Object} Cut
+ * @property {number} time - Seconds
+ * @property {string} type - 'silence' or 'forced' (from calculateChunks), or 'manual'
+ * @property {number|null} [targetTime] - Analysis cuts: where the cut was aimed
+ * @property {Object|null} [silence] - Analysis cuts: the silence it was placed in
+ * @property {Array} [rejected] - Analysis cuts: the other candidates, with scores
+ */
 
-  // Second pass: create chunks with overlap
+/**
+ * Build chunks (with overlap) from a list of cut points
+ *
+ * Used by calculateChunks and again whenever cut points are edited by hand,
+ * so manual cuts get exactly the same overlap handling.
+ *
+ * @param {Cut[]} cuts - Cuts between chunks, in order; everything but the time is copied to the chunk's cutInfo
+ * @param {number} duration - Audio duration in seconds
+ * @param {number} overlapDurationSec
+ * @returns {Array} - Chunks
+ */
+export function buildChunksFromCuts(cuts, duration, overlapDurationSec) {
+  const cutPoints = [0, ...cuts.map(c => c.time), duration];
   const chunks = [];
 
   for (let i = 0; i < cutPoints.length - 1; i++) {
@@ -115,23 +197,17 @@ export async function calculateChunks(file, options = {}) {
         trailingStart: hasTrailingOverlap ? logicalEnd : null,
         trailingEnd: hasTrailingOverlap ? actualEnd : null
       },
-      cutInfo: {
-        type: i === cutPoints.length - 2 ? 'end' : 'silence', // Simplified for now
-        silence: null
-      }
+      cutInfo: i === cutPoints.length - 2
+        ? { type: 'end', silence: null }
+        : {
+          type: cuts[i].type,
+          targetTime: cuts[i].targetTime ?? null,
+          silence: cuts[i].silence ?? null,
+          rejected: cuts[i].rejected ?? []
+        }
     });
-
-    onProgress(50 + (i / (cutPoints.length - 1)) * 50); // Second 50% is chunk creation
   }
 
-  // Log summary
-  const totalOverlapSec = chunks.reduce((sum, c) => sum + c.overlap.leading + c.overlap.trailing, 0);
-  const totalDuration = chunks.reduce((sum, c) => sum + c.duration, 0);
-  const overheadPercent = ((totalDuration - duration) / duration * 100).toFixed(1);
-
-  log(`Calculated ${chunks.length} chunks`, 'success');
-  log(`Total overlap: ${totalOverlapSec.toFixed(0)}s (${overheadPercent}% overhead)`);
-
   return chunks;
 }
 
@@ -145,12 +221,18 @@ export async function extractChunkBlob(file, chunk) {
     ? ` (overlap: ${chunk.overlap.leading}s leading, ${chunk.overlap.trailing}s trailing)`
     : '';
 
-  log(`Extracting chunk ${chunk.index + 1}: ${formatTime(chunk.start)} → ${formatTime(chunk.end)}${overlapInfo}`);
+  const skips = chunk.skips || [];
+  const skipInfo = skips.length > 0
+    ? ` (skipping ${(chunk.duration - getSentDuration(chunk)).toFixed(0)}s of silence)`
+    : '';
+
+  log(`Extracting chunk ${chunk.index + 1}: ${formatTime(chunk.start)} → ${formatTime(chunk.end)}${overlapInfo}${skipInfo}`);
 
   // Use FFmpeg for memory-efficient extraction (doesn't decode entire file)
   if (isFFmpegLoaded()) {
     try {
-      const blob = await extractChunkWithFFmpeg(file, chunk.start, chunk.end);
+      const relativeSkips = skips.map(s => ({ start: s.start - chunk.start, end: s.end - chunk.start }));
+      const blob = await extractChunkWithFFmpeg(file, chunk.start, chunk.end, relativeSkips);
       log(`Extracted chunk ${chunk.index + 1}: ${(blob.size / 1024 / 1024).toFixed(2)} MB (WAV via FFmpeg)`);
       return blob;
     } catch (error) {
@@ -176,11 +258,14 @@ async function extractChunkBlobWebAudio(file, chunk) {
   try {
     const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
 
-    // Calculate sample positions for the chunk
+    // Calculate sample positions for the parts of the chunk that are sent
     const sampleRate = audioBuffer.sampleRate;
-    const startSample = Math.floor(chunk.start * sampleRate);
-    const endSample = Math.min(Math.ceil(chunk.end * sampleRate), audioBuffer.length);
-    const numSamples = endSample - startSample;
+    const ranges = getKeptRanges(chunk).map(range => {
+      const startSample = Math.floor(range.start * sampleRate);
+      const endSample = Math.min(Math.ceil(range.end * sampleRate), audioBuffer.length);
+      return { startSample, numSamples: Math.max(0, endSample - startSample) };
+    });
+    const numSamples = ranges.reduce((sum, r) => sum + r.numSamples, 0);
 
     // Create a new buffer for the chunk
     const numChannels = audioBuffer.numberOfChannels;
@@ -190,8 +275,12 @@ async function extractChunkBlobWebAudio(file, chunk) {
     for (let channel = 0; channel < numChannels; channel++) {
       const sourceData = audioBuffer.getChannelData(channel);
       const destData = chunkBuffer.getChannelData(channel);
-      for (let i = 0; i < numSamples; i++) {
-        destData[i] = sourceData[startSample + i];
+      let offset = 0;
+      for (const { startSample, numSamples: rangeSamples } of ranges) {
+        for (let i = 0; i < rangeSamples; i++) {
+          destData[offset + i] = sourceData[startSample + i];
+        }
+        offset += rangeSamples;
       }
     }
 
@@ -265,6 +354,66 @@ function audioBufferToWav(audioBuffer) {
   return new Blob([wavBuffer], { type: 'audio/wav' });
 }
 
+/**
+ * Build a chunk covering part of another chunk's audio
+ *
+ * Used for short extra requests (language sample, re-transcribing a time
+ * range). The result has no overlap, so it goes through the normal
+ * extraction path and its timestamps are relative to `start`, in uploaded
+ * time (see toOriginalTime) if the parent skips silence in the range.
+ *
+ * @param {Object} parent - Chunk the range belongs to
+ * @param {number} start - Absolute start time (seconds)
+ * @param {number} end - Absolute end time (seconds)
+ * @returns {Object} - Chunk-shaped object
+ */
+export function createRangeChunk(parent, start, end) {
+  const clampedStart = Math.max(parent.start, start);
+  const clampedEnd = Math.min(parent.end, end);
+  const skips = clipSkips(parent.skips || [], clampedStart, clampedEnd);
+
+  return {
+    index: parent.index,
+    start: clampedStart,
+    end: clampedEnd,
+    duration: clampedEnd - clampedStart,
+    logicalStart: clampedStart,
+    logicalEnd: clampedEnd,
+    overlap: {
+      leading: 0,
+      trailing: 0,
+      leadingStart: null,
+      leadingEnd: null,
+      trailingStart: null,
+      trailingEnd: null
+    },
+    cutInfo: parent.cutInfo,
+    // The parent's skipped silence stays out of the range's audio too
+    ...(skips.length > 0 ? { skips } : {})
+  };
+}
+
+/**
+ * Chunk-shaped range for previewing part of a chunk
+ *
+ * 'chunk' is the whole chunk as sent to the API; 'leading' and 'trailing'
+ * are its overlap zones, cut from the chunk itself so they sound exactly as
+ * they do in the upload (skipped silence in the zone stays out).
+ *
+ * @param {Object} chunk
+ * @param {'chunk'|'leading'|'trailing'} zone
+ * @returns {Object|null} - Null if the chunk has no overlap on that side
+ */
+export function createPreviewChunk(chunk, zone) {
+  if (zone === 'chunk') {return chunk;}
+
+  const start = chunk.overlap[`${zone}Start`];
+  const end = chunk.overlap[`${zone}End`];
+  if (start === null || end === null || end <= start) {return null;}
+
+  return createRangeChunk(chunk, start, end);
+}
+
 /**
  * Check if a chunk is within Groq's size limits
  */
@@ -284,8 +433,8 @@ export function validateChunkSize(blob, maxSizeMB = 25) {
 }
 
 /**
- * Estimate total audio to be transcribed (including overlap)
+ * Estimate total audio to be transcribed (including overlap, without skipped silence)
  */
 export function estimateTotalTranscriptionTime(chunks) {
-  return chunks.reduce((sum, chunk) => sum + chunk.duration, 0);
+  return chunks.reduce((sum, chunk) => sum + getSentDuration(chunk), 0);
 }
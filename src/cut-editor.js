@@ -0,0 +1,83 @@
+/**
+ * Manual cut point editing
+ *
+ * Cut points are the logical boundaries between chunks. They can be dragged,
+ * added and removed on the waveform before transcription; every edit
+ * rebuilds the chunks (and their overlaps) with buildChunksFromCuts.
+ */
+
+// Shortest chunk a cut edit may leave behind (seconds)
+const MIN_CHUNK_SEC = 5;
+
+/**
+ * Cut points between a list of chunks
+ * Untouched cuts keep their analysis details (see calculateChunks).
+ * @param {Array} chunks
+ * @returns {import('./chunker.js').Cut[]}
+ */
+export function getCuts(chunks) {
+  return chunks.slice(1).map((chunk, i) => ({ type: 'silence', ...chunks[i].cutInfo, time: chunk.logicalStart }));
+}
+
+/**
+ * Move a cut, keeping it at least MIN_CHUNK_SEC from its neighbours
+ * @param {import('./chunker.js').Cut[]} cuts
+ * @param {number} index - Cut to move
+ * @param {number} time - Requested time (seconds)
+ * @param {number} duration - Audio duration (seconds)
+ * @returns {import('./chunker.js').Cut[]}
+ */
+export function moveCut(cuts, index, time, duration) {
+  const min = (index > 0 ? cuts[index - 1].time : 0) + MIN_CHUNK_SEC;
+  const max = (index < cuts.length - 1 ? cuts[index + 1].time : duration) - MIN_CHUNK_SEC;
+  if (min > max) {return cuts;}
+
+  const clamped = Math.min(max, Math.max(min, time));
+  return cuts.map((cut, i) => (i === index ? { time: clamped, type: 'manual' } : cut));
+}
+
+/**
+ * Add a cut
+ * @param {import('./chunker.js').Cut[]} cuts
+ * @param {number} time - Seconds
+ * @param {number} duration - Audio duration (seconds)
+ * @returns {import('./chunker.js').Cut[]} - Unchanged if the cut would leave a chunk shorter than MIN_CHUNK_SEC
+ */
+export function addCut(cuts, time, duration) {
+  const bounds = [0, ...cuts.map(c => c.time), duration];
+  if (bounds.some(t => Math.abs(t - time) < MIN_CHUNK_SEC)) {return cuts;}
+
+  return [...cuts, { time, type: 'manual' }].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Remove a cut, merging the chunks either side of it
+ * @param {import('./chunker.js').Cut[]} cuts
+ * @param {number} index
+ * @returns {import('./chunker.js').Cut[]}
+ */
+export function removeCut(cuts, index) {
+  return cuts.filter((_, i) => i !== index);
+}
+
+/**
+ * Snap a time to the middle of a nearby silence
+ * @param {number} time - Seconds
+ * @param {Array<{start: number, end: number}>} silences
+ * @param {number} toleranceSec - How far outside a silence still snaps to it
+ * @returns {number}
+ */
+export function snapToSilence(time, silences, toleranceSec) {
+  let best = time;
+  let bestDistance = Infinity;
+
+  for (const silence of silences) {
+    const distance = Math.max(0, silence.start - time, time - silence.end);
+    if (distance <= toleranceSec && distance < bestDistance) {
+      best = (silence.start + silence.end) / 2;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
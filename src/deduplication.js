@@ -7,19 +7,49 @@
  */
 
 import { log } from './logger.js';
+import { summarizeChunkLanguages } from './language-detection.js';
+import { toOriginalTime } from './silence-skipping.js';
+
+/**
+ * Which chunk's words are kept where two chunks overlap
+ */
+export const MergeStrategy = {
+  CENTRALITY: 'centrality', // The chunk whose overlap words are further from its edges
+  CUT: 'cut',               // Each chunk up to the cut between them
+  EARLIER: 'earlier',       // Always the earlier chunk
+  LATER: 'later'            // Always the later chunk
+};
+
+/**
+ * @typedef {Object} MergeOptions
+ * @property {string} [strategy] - One of MergeStrategy (default centrality)
+ * @property {number} [toleranceSec] - Slack when matching word times to the overlap region (default 0.1)
+ */
 
 /**
  * Merge transcripts from overlapping chunks using timestamp-based deduplication
  *
  * @param {Array} results - Array of transcription results with words[] containing timestamps
- * @param {number} overlapDurationSec - Expected overlap duration in seconds
- * @returns {Object} - { text: string, words: array, stats: { overlapsMerged, wordsDeduplicated } }
+ * @param {number} overlapDurationSec - Expected overlap duration in seconds; 0 turns off the text-based fallback merge
+ * @param {MergeOptions} [options] - How timestamp-based merging resolves overlaps
+ * @returns {Object} - { text: string, words: array, method: 'timestamp'|'text'|'none', stats: { overlapsMerged, wordsDeduplicated },
+ *   language, chunkLanguages }
+ *   `method` is 'text' when no chunk returned word timestamps (e.g. translations)
+ *   and the fallback text-based merge was used. `language` is the language most
+ *   chunks reported and `chunkLanguages` lists each chunk's (see summarizeChunkLanguages).
  */
-export function mergeTranscriptsWithDeduplication(results, overlapDurationSec = 10) {
+export function mergeTranscriptsWithDeduplication(results, overlapDurationSec = 10, options = {}) {
   const successfulResults = results.filter(r => r.success && r.text);
 
   if (successfulResults.length === 0) {
-    return { text: '', words: [], stats: { overlapsMerged: 0, wordsDeduplicated: 0 } };
+    return {
+      text: '',
+      words: [],
+      method: 'none',
+      stats: { overlapsMerged: 0, wordsDeduplicated: 0 },
+      language: null,
+      chunkLanguages: []
+    };
   }
 
   // Convert all words to absolute timestamps
@@ -27,16 +57,15 @@ export function mergeTranscriptsWithDeduplication(results, overlapDurationSec =
 
   for (const result of successfulResults) {
     const chunk = result.chunk;
-    const chunkStart = chunk.start; // Absolute start time in the original audio
     const chunkLogicalStart = chunk.logicalStart;
     const chunkLogicalEnd = chunk.logicalEnd;
 
     // Check if we have word-level timestamps
     if (result.words && result.words.length > 0) {
       for (const word of result.words) {
-        // Convert relative timestamp to absolute
-        const absoluteStart = chunkStart + word.start;
-        const absoluteEnd = chunkStart + word.end;
+        // Convert relative timestamp to absolute (past any silence left out of the upload)
+        const absoluteStart = toOriginalTime(chunk, word.start);
+        const absoluteEnd = toOriginalTime(chunk, word.end);
 
         // Calculate how "central" this word is in the chunk (0 = at boundary, 1 = center)
         // Words further from boundaries are likely more accurate
@@ -61,13 +90,13 @@ export function mergeTranscriptsWithDeduplication(results, overlapDurationSec =
     }
   }
 
-  // If we have words with timestamps, do timestamp-based deduplication
-  if (allWordsWithAbsoluteTime.length > 0) {
-    return deduplicateByTimestamp(allWordsWithAbsoluteTime, overlapDurationSec);
-  }
+  // If we have words with timestamps, do timestamp-based deduplication,
+  // otherwise fall back to simple text concatenation
+  const merged = allWordsWithAbsoluteTime.length > 0
+    ? deduplicateByTimestamp(allWordsWithAbsoluteTime, successfulResults.map(r => r.chunk), options)
+    : fallbackTextMerge(successfulResults, overlapDurationSec);
 
-  // Fallback to simple text concatenation if no word timestamps
-  return fallbackTextMerge(successfulResults, overlapDurationSec);
+  return { ...merged, ...summarizeChunkLanguages(successfulResults) };
 }
 
 /**
@@ -76,14 +105,16 @@ export function mergeTranscriptsWithDeduplication(results, overlapDurationSec =
  * Algorithm:
  * 1. Group words by chunk, preserving original order within each chunk
  * 2. Process chunks sequentially (NOT sorted by timestamp globally)
- * 3. For overlap regions, determine which chunk is authoritative
+ * 3. For overlap regions, determine which chunk is authoritative (see MergeStrategy)
  * 4. Build final transcript by concatenating non-overlap portions from each chunk
  *
  * KEY INSIGHT: We must NOT sort words by timestamp globally because Whisper
  * sometimes returns slightly out-of-order timestamps within a chunk. Instead,
  * we preserve the original word order within each chunk.
  */
-function deduplicateByTimestamp(words, _overlapDurationSec) {
+function deduplicateByTimestamp(words, chunks, { strategy = MergeStrategy.CENTRALITY, toleranceSec = 0.1 } = {}) {
+  const chunksByIndex = new Map(chunks.map(chunk => [chunk.index, chunk]));
+
   // Step 1: Group words by chunk, preserving original order (do NOT sort!)
   const wordsByChunk = new Map();
   for (const word of words) {
@@ -96,11 +127,11 @@ function deduplicateByTimestamp(words, _overlapDurationSec) {
   const chunkIndices = [...wordsByChunk.keys()].sort((a, b) => a - b);
 
   if (chunkIndices.length === 0) {
-    return { text: '', words: [], allWords: [], stats: { overlapsMerged: 0, wordsDeduplicated: 0 } };
+    return { text: '', words: [], allWords: [], method: 'none', stats: { overlapsMerged: 0, wordsDeduplicated: 0 } };
   }
 
   // Step 2: Identify overlap regions and determine authoritative chunk for each
-  const overlapRegions = new Map(); // chunkIndex -> { overlapStart, cutoffIndex, nextChunkStartIndex }
+  const overlapRegions = new Map(); // chunkIndex -> { cutoffIndex, cutoffCount, startIndex, startCount }
   const overlapRegionsProcessed = new Set();
 
   for (let i = 0; i < chunkIndices.length - 1; i++) {
@@ -128,7 +159,7 @@ function deduplicateByTimestamp(words, _overlapDurationSec) {
       // For next chunk: words where absoluteStart <= overlapEnd
       let thisChunkOverlapStartIdx = chunkWords.length;
       for (let j = 0; j < chunkWords.length; j++) {
-        if (chunkWords[j].absoluteStart >= overlapStart - 0.1) {
+        if (chunkWords[j].absoluteStart >= overlapStart - toleranceSec) {
           thisChunkOverlapStartIdx = j;
           break;
         }
@@ -136,7 +167,7 @@ function deduplicateByTimestamp(words, _overlapDurationSec) {
 
       let nextChunkOverlapEndIdx = 0;
       for (let j = 0; j < nextChunkWords.length; j++) {
-        if (nextChunkWords[j].absoluteStart > overlapEnd + 0.1) {
+        if (nextChunkWords[j].absoluteStart > overlapEnd + toleranceSec) {
           break;
         }
         nextChunkOverlapEndIdx = j + 1;
@@ -153,33 +184,39 @@ function deduplicateByTimestamp(words, _overlapDurationSec) {
         ? nextChunkOverlapWords.reduce((sum, w) => sum + w.centrality, 0) / nextChunkOverlapWords.length
         : 0;
 
-      // The chunk with higher centrality is authoritative for the overlap region
-      const useNextChunk = nextChunkCentrality > thisChunkCentrality;
+      // Where to cut off this chunk and where to start the next chunk
+      let cutoffIndex;
+      let startIndex;
 
-      log(`Overlap region ${overlapStart.toFixed(2)}s-${overlapEnd.toFixed(2)}s: Chunk ${useNextChunk ? nextChunkIndex + 1 : chunkIndex + 1} is authoritative (centrality: ${useNextChunk ? nextChunkCentrality.toFixed(2) : thisChunkCentrality.toFixed(2)} vs ${useNextChunk ? thisChunkCentrality.toFixed(2) : nextChunkCentrality.toFixed(2)})`);
-
-      // Store where to cut off this chunk and where to start the next chunk
-      if (useNextChunk) {
-        // Cut off this chunk at the overlap start, next chunk starts from beginning
-        overlapRegions.set(chunkIndex, {
-          cutoffIndex: thisChunkOverlapStartIdx, // Exclude overlap words from this chunk
-          overlapWordsCount: thisChunkOverlapWords.length
-        });
-        overlapRegions.set(nextChunkIndex, {
-          startIndex: 0, // Include all words from next chunk
-          overlapWordsCount: 0
-        });
+      if (strategy === MergeStrategy.CUT) {
+        // This chunk's overlap words before the cut, the next chunk's from the cut on
+        const cut = chunksByIndex.get(nextChunkIndex).logicalStart;
+        cutoffIndex = findFirstIndexFrom(chunkWords, thisChunkOverlapStartIdx, w => w.absoluteStart >= cut);
+        startIndex = findFirstIndexFrom(nextChunkWords, 0, w => w.absoluteStart >= cut);
+        log(`Overlap region ${overlapStart.toFixed(2)}s-${overlapEnd.toFixed(2)}s: split at the cut (${cut.toFixed(2)}s)`);
       } else {
-        // Keep all words from this chunk, skip overlap portion of next chunk
-        overlapRegions.set(chunkIndex, {
-          cutoffIndex: chunkWords.length, // Include all words from this chunk
-          overlapWordsCount: 0
-        });
-        overlapRegions.set(nextChunkIndex, {
-          startIndex: nextChunkOverlapEndIdx, // Skip overlap words from next chunk
-          overlapWordsCount: nextChunkOverlapWords.length
-        });
+        // The chunk with higher centrality is authoritative unless the strategy picks a side
+        const useNextChunk = strategy === MergeStrategy.LATER ||
+          (strategy !== MergeStrategy.EARLIER && nextChunkCentrality > thisChunkCentrality);
+
+        log(`Overlap region ${overlapStart.toFixed(2)}s-${overlapEnd.toFixed(2)}s: Chunk ${useNextChunk ? nextChunkIndex + 1 : chunkIndex + 1} is authoritative (centrality: ${useNextChunk ? nextChunkCentrality.toFixed(2) : thisChunkCentrality.toFixed(2)} vs ${useNextChunk ? thisChunkCentrality.toFixed(2) : nextChunkCentrality.toFixed(2)})`);
+
+        // Either exclude this chunk's overlap words or skip the next chunk's
+        cutoffIndex = useNextChunk ? thisChunkOverlapStartIdx : chunkWords.length;
+        startIndex = useNextChunk ? 0 : nextChunkOverlapEndIdx;
       }
+
+      // A chunk can have both a start and a cutoff when it overlaps on both sides
+      overlapRegions.set(chunkIndex, {
+        ...overlapRegions.get(chunkIndex),
+        cutoffIndex,
+        cutoffCount: chunkWords.length - cutoffIndex
+      });
+      overlapRegions.set(nextChunkIndex, {
+        ...overlapRegions.get(nextChunkIndex),
+        startIndex,
+        startCount: startIndex
+      });
     }
   }
 
@@ -201,11 +238,11 @@ function deduplicateByTimestamp(words, _overlapDurationSec) {
       const overlapInfo = overlapRegions.get(chunkIndex);
       if (overlapInfo.cutoffIndex !== undefined) {
         endIdx = overlapInfo.cutoffIndex;
-        wordsDeduplicated += overlapInfo.overlapWordsCount || 0;
+        wordsDeduplicated += overlapInfo.cutoffCount;
       }
       if (overlapInfo.startIndex !== undefined) {
         startIdx = overlapInfo.startIndex;
-        wordsDeduplicated += overlapInfo.overlapWordsCount || 0;
+        wordsDeduplicated += overlapInfo.startCount;
       }
     }
 
@@ -236,6 +273,7 @@ function deduplicateByTimestamp(words, _overlapDurationSec) {
     text,
     words: finalWords,
     allWords: allWordsWithStatus, // All words including deduplicated ones for debug
+    method: 'timestamp',
     stats: {
       overlapsMerged: overlapRegionsProcessed.size,
       wordsDeduplicated
@@ -243,6 +281,16 @@ function deduplicateByTimestamp(words, _overlapDurationSec) {
   };
 }
 
+/**
+ * Index of the first word from `from` on that matches, or the number of words if none does
+ */
+function findFirstIndexFrom(words, from, predicate) {
+  for (let i = from; i < words.length; i++) {
+    if (predicate(words[i])) {return i;}
+  }
+  return words.length;
+}
+
 /**
  * Fallback: text-based merge when word timestamps aren't available
  */
@@ -274,6 +322,7 @@ function fallbackTextMerge(results, overlapDurationSec) {
   return {
     text: mergedText,
     words: [],
+    method: 'text',
     stats: {
       overlapsMerged,
       wordsDeduplicated: totalWordsDeduplicated
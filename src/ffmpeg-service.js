@@ -159,9 +159,10 @@ export async function getDurationWithFFmpeg(file) {
  * @param {File} file - Source audio file
  * @param {number} startSec - Start time in seconds
  * @param {number} endSec - End time in seconds
+ * @param {Array<{start: number, end: number}>} [skips] - Ranges to leave out, in seconds from startSec
  * @returns {Promise<Blob>} - WAV blob of the extracted chunk
  */
-export async function extractChunkWithFFmpeg(file, startSec, endSec) {
+export async function extractChunkWithFFmpeg(file, startSec, endSec, skips = []) {
   if (!isFFmpegLoaded()) {
     throw new Error('FFmpeg not loaded');
   }
@@ -176,10 +177,15 @@ export async function extractChunkWithFFmpeg(file, startSec, endSec) {
     // Extract chunk using time-based seeking (doesn't decode entire file)
     // -ss before -i enables fast seeking
     // Output: 16kHz mono WAV for Whisper compatibility
+    // Skipped ranges are dropped and the timestamps closed up behind them
+    const skipFilter = skips.length > 0
+      ? ['-af', `aselect='not(${skips.map(s => `between(t,${s.start},${s.end})`).join('+')})',asetpts=N/SR/TB`]
+      : [];
     await ffmpeg.exec([
       '-ss', startSec.toString(),
       '-to', endSec.toString(),
       '-i', inputName,
+      ...skipFilter,
       '-acodec', 'pcm_s16le',
       '-ar', '16000',
       '-ac', '1',
@@ -280,186 +286,52 @@ export async function detectSilenceWithFFmpeg(file, startSec, endSec, threshold
 }
 
 /**
- * Extract low-resolution waveform data for visualization
- * Uses sample-based approach for memory efficiency - extracts small snippets
- * across the file instead of loading the entire file at once.
+ * Decode a whole file to mono 16-bit PCM, one segment at a time
+ * Only one segment's samples are held at once, so long files can be decoded
+ * at full resolution without running out of memory.
  *
  * @param {File} file - Audio file
- * @param {number} numPoints - Number of waveform points (default: 500)
- * @returns {Promise<{data: number[], duration: number}>}
+ * @param {Object} options
+ * @param {number} options.duration - Audio duration in seconds
+ * @param {number} [options.sampleRate] - Output sample rate (default: 8000)
+ * @param {number} [options.segmentSec] - Seconds decoded per FFmpeg call (default: 300)
+ * @param {(samples: Int16Array, startSec: number) => void} options.onSegment - Receives each segment in order
+ * @param {(percent: number) => void} [options.onProgress]
+ * @returns {Promise<void>}
  */
-export async function extractWaveformWithFFmpeg(file, numPoints = 500) {
+export async function decodePcmWithFFmpeg(file, { duration, sampleRate = 8000, segmentSec = 300, onSegment, onProgress = () => {} }) {
   if (!isFFmpegLoaded()) {
     throw new Error('FFmpeg not loaded');
   }
 
-  // First get duration (this is lightweight - just parses metadata)
-  const duration = await getDurationWithFFmpeg(file);
-
-  // For short files (< 10 min), use the simple full-file approach
-  // For longer files, use sample-based approach for memory efficiency
-  const SHORT_FILE_THRESHOLD = 600; // 10 minutes
-
-  if (duration < SHORT_FILE_THRESHOLD) {
-    return extractWaveformFullFile(file, numPoints, duration);
-  }
-
-  return extractWaveformSampled(file, numPoints, duration);
-}
-
-/**
- * Extract waveform by loading the full file (for short files)
- */
-async function extractWaveformFullFile(file, numPoints, duration) {
-  const inputName = 'input_' + Date.now() + getExtension(file.name);
-  const outputName = 'waveform_' + Date.now() + '.raw';
-
-  try {
-    await ffmpeg.writeFile(inputName, await fetchFile(file));
-
-    // Use 8000 Hz sample rate for visualization
-    const sampleRate = 8000;
-
-    await ffmpeg.exec([
-      '-i', inputName,
-      '-ar', sampleRate.toString(),
-      '-ac', '1',
-      '-f', 's16le',
-      '-acodec', 'pcm_s16le',
-      outputName
-    ]);
-
-    const rawData = await ffmpeg.readFile(outputName);
-
-    await ffmpeg.deleteFile(inputName);
-    await ffmpeg.deleteFile(outputName);
-
-    // Convert raw PCM to waveform data
-    const samples = new Int16Array(rawData.buffer);
-    const samplesPerPoint = Math.max(1, Math.floor(samples.length / numPoints));
-
-    const waveform = [];
-    for (let i = 0; i < numPoints && i * samplesPerPoint < samples.length; i++) {
-      const start = i * samplesPerPoint;
-      const end = Math.min(start + samplesPerPoint, samples.length);
-
-      let max = 0;
-      for (let j = start; j < end; j++) {
-        const abs = Math.abs(samples[j]) / 32768; // Normalize to 0-1
-        if (abs > max) {max = abs;}
-      }
-      waveform.push(max);
-    }
-
-    return { data: waveform, duration };
-  } catch (error) {
-    try {
-      await ffmpeg.deleteFile(inputName);
-    } catch {
-      // Ignore cleanup errors
-    }
-    try {
-      await ffmpeg.deleteFile(outputName);
-    } catch {
-      // Ignore cleanup errors
-    }
-    throw error;
-  }
-}
-
-/**
- * Extract waveform using sample-based approach (for long files)
- * Extracts small snippets at regular intervals across the file.
- * Memory efficient: only loads ~2 seconds of audio at a time.
- */
-async function extractWaveformSampled(file, numPoints, duration) {
   const inputName = 'input_' + Date.now() + getExtension(file.name);
-  const outputName = 'sample_' + Date.now() + '.raw';
-
-  // Sample parameters - use longer samples with fewer FFmpeg calls for efficiency
-  const SAMPLE_DURATION = 2.0; // seconds per sample (longer = fewer FFmpeg calls)
-  const SAMPLE_RATE = 8000;
-
-  // Limit number of FFmpeg calls to keep it fast
-  // ~50 samples is a good balance between quality and speed
-  const MAX_SNIPPETS = 50;
-  const numSnippets = Math.min(MAX_SNIPPETS, Math.floor(duration / SAMPLE_DURATION));
-  const interval = duration / numSnippets;
-  const pointsPerSnippet = Math.ceil(numPoints / numSnippets);
-
-  const waveform = [];
+  const outputName = 'pcm_' + Date.now() + '.raw';
 
   try {
     // Write the file once to FFmpeg's virtual filesystem
     await ffmpeg.writeFile(inputName, await fetchFile(file));
 
-    log(`Generating waveform from ${numSnippets} samples across ${(duration / 60).toFixed(1)} minutes...`);
-
-    for (let i = 0; i < numSnippets; i++) {
-      const startTime = i * interval;
-
-      try {
-        // Extract a small snippet using time-based seeking
-        await ffmpeg.exec([
-          '-ss', startTime.toFixed(3),
-          '-t', SAMPLE_DURATION.toFixed(3),
-          '-i', inputName,
-          '-ar', SAMPLE_RATE.toString(),
-          '-ac', '1',
-          '-f', 's16le',
-          '-acodec', 'pcm_s16le',
-          '-y', // Overwrite output
-          outputName
-        ]);
-
-        const rawData = await ffmpeg.readFile(outputName);
-        const samples = new Int16Array(rawData.buffer);
-
-        // Extract amplitude points from this snippet
-        const snippetPointCount = Math.min(pointsPerSnippet, Math.ceil(samples.length / 100));
-        const samplesPerPoint = Math.max(1, Math.floor(samples.length / snippetPointCount));
-
-        for (let j = 0; j < snippetPointCount && waveform.length < numPoints; j++) {
-          const start = j * samplesPerPoint;
-          const end = Math.min(start + samplesPerPoint, samples.length);
-
-          let max = 0;
-          for (let k = start; k < end; k++) {
-            const abs = Math.abs(samples[k]) / 32768;
-            if (abs > max) {max = abs;}
-          }
-          waveform.push(max);
-        }
+    for (let startSec = 0; startSec < duration; startSec += segmentSec) {
+      await ffmpeg.exec([
+        '-ss', startSec.toFixed(3),
+        '-t', Math.min(segmentSec, duration - startSec).toFixed(3),
+        '-i', inputName,
+        '-ar', sampleRate.toString(),
+        '-ac', '1',
+        '-f', 's16le',
+        '-acodec', 'pcm_s16le',
+        '-y', // Overwrite output
+        outputName
+      ]);
+
+      const rawData = await ffmpeg.readFile(outputName);
+      await ffmpeg.deleteFile(outputName);
 
-        // Clean up the sample file
-        try {
-          await ffmpeg.deleteFile(outputName);
-        } catch {
-      // Ignore cleanup errors
+      onSegment(new Int16Array(rawData.buffer, rawData.byteOffset, Math.floor(rawData.byteLength / 2)), startSec);
+      onProgress(Math.min(100, ((startSec + segmentSec) / duration) * 100));
     }
 
-      } catch {
-        // If a snippet fails, add zeros and continue
-        for (let j = 0; j < pointsPerSnippet && waveform.length < numPoints; j++) {
-          waveform.push(0);
-        }
-      }
-    }
-
-    // Clean up input file
     await ffmpeg.deleteFile(inputName);
-
-    // Ensure we have exactly numPoints (pad or trim)
-    while (waveform.length < numPoints) {
-      waveform.push(0);
-    }
-    if (waveform.length > numPoints) {
-      waveform.length = numPoints;
-    }
-
-    log(`Waveform generated from ${numSnippets} samples (memory-efficient)`, 'success');
-    return { data: waveform, duration };
-
   } catch (error) {
     try {
       await ffmpeg.deleteFile(inputName);
@@ -0,0 +1,178 @@
+/**
+ * Custom vocabulary: preferred terms and their "sounds like" variants
+ *
+ * Terms are sent to Whisper as a prompt (see prompt-chain.js), which helps
+ * but does not guarantee the spelling. After merging, any variant - or the
+ * term itself with different casing - is replaced by the preferred spelling.
+ * Replacements keep the timestamps of the words they replace.
+ */
+
+import { log } from './logger.js';
+
+const GLOSSARY_STORAGE_KEY = 'groqChunkerGlossary';
+
+/**
+ * @typedef {Object} GlossaryEntry
+ * @property {string} term - Preferred spelling
+ * @property {string[]} variants - Misheard forms to replace ("sounds like")
+ */
+
+/**
+ * @typedef {Object} GlossarySubstitution
+ * @property {string} original - Text as transcribed
+ * @property {string} replacement - Text after correction
+ * @property {number|undefined} start - Absolute start time (undefined without word timestamps)
+ * @property {number|undefined} end - Absolute end time
+ */
+
+/**
+ * Create a glossary entry from user input
+ * @param {string} term - Preferred spelling
+ * @param {string} [variantsText] - Comma-separated "sounds like" variants
+ * @returns {GlossaryEntry|null} - Null if the term is empty
+ */
+export function createGlossaryEntry(term, variantsText = '') {
+  const cleanTerm = (term || '').trim();
+  if (!cleanTerm) {return null;}
+
+  const variants = variantsText
+    .split(',')
+    .map(v => v.trim())
+    .filter(v => v && v.toLowerCase() !== cleanTerm.toLowerCase());
+
+  return { term: cleanTerm, variants: [...new Set(variants)] };
+}
+
+/**
+ * Load the glossary from localStorage
+ * @param {Storage} [storage]
+ * @returns {GlossaryEntry[]}
+ */
+export function loadGlossary(storage = localStorage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(GLOSSARY_STORAGE_KEY) || '[]');
+    if (!Array.isArray(parsed)) {return [];}
+
+    return parsed
+      .filter(e => e && typeof e.term === 'string')
+      .map(e => createGlossaryEntry(e.term, Array.isArray(e.variants) ? e.variants.join(',') : ''))
+      .filter(Boolean);
+  } catch {
+    log('Ignoring invalid saved glossary', 'warning');
+    return [];
+  }
+}
+
+/**
+ * Save the glossary to localStorage
+ * @param {GlossaryEntry[]} entries
+ * @param {Storage} [storage]
+ */
+export function saveGlossary(entries, storage = localStorage) {
+  storage.setItem(GLOSSARY_STORAGE_KEY, JSON.stringify(entries));
+}
+
+function normalizeToken(word) {
+  return word.toLowerCase().replace(/[.,!?;:'"()[\]{}]/g, '');
+}
+
+function tokenize(text) {
+  return text.split(/\s+/).map(normalizeToken).filter(t => t.length > 0);
+}
+
+/**
+ * Build match patterns, longest first so multi-word variants win
+ * @param {GlossaryEntry[]} entries
+ */
+function buildPatterns(entries) {
+  const patterns = [];
+  for (const entry of entries) {
+    for (const form of [entry.term, ...entry.variants]) {
+      const tokens = tokenize(form);
+      if (tokens.length > 0) {
+        patterns.push({ tokens, term: entry.term });
+      }
+    }
+  }
+  return patterns.sort((a, b) => b.tokens.length - a.tokens.length);
+}
+
+/**
+ * Replace glossary variants in a list of merged words
+ *
+ * A match spanning several words collapses into one word that runs from the
+ * first word's start to the last word's end. Punctuation around the match
+ * is kept ("groc," becomes "Groq,").
+ *
+ * @param {Array<{word: string, absoluteStart?: number, absoluteEnd?: number}>} words - Merged words
+ * @param {GlossaryEntry[]} entries
+ * @returns {{words: Array, substitutions: GlossarySubstitution[]}}
+ */
+export function applyGlossary(words, entries) {
+  const patterns = buildPatterns(entries);
+  if (patterns.length === 0 || words.length === 0) {
+    return { words, substitutions: [] };
+  }
+
+  const normalized = words.map(w => normalizeToken(w.word));
+  const corrected = [];
+  const substitutions = [];
+
+  let i = 0;
+  while (i < words.length) {
+    const pattern = patterns.find(p =>
+      p.tokens.every((token, k) => normalized[i + k] === token)
+    );
+
+    if (!pattern) {
+      corrected.push(words[i]);
+      i++;
+      continue;
+    }
+
+    const matched = words.slice(i, i + pattern.tokens.length);
+    const first = matched[0];
+    const last = matched[matched.length - 1];
+    const original = matched.map(w => w.word).join(' ');
+
+    const leading = first.word.match(/^[^\p{L}\p{N}]*/u)[0];
+    const trailing = last.word.match(/[^\p{L}\p{N}]*$/u)[0];
+    const replacement = `${leading}${pattern.term}${trailing}`;
+
+    if (replacement === original) {
+      corrected.push(...matched);
+    } else {
+      corrected.push({ ...first, word: replacement, absoluteEnd: last.absoluteEnd });
+      substitutions.push({
+        original,
+        replacement,
+        start: first.absoluteStart,
+        end: last.absoluteEnd
+      });
+    }
+
+    i += pattern.tokens.length;
+  }
+
+  if (substitutions.length > 0) {
+    log(`Glossary: ${substitutions.length} correction(s) applied`, 'success');
+  }
+
+  return { words: corrected, substitutions };
+}
+
+/**
+ * Replace glossary variants in plain text (text-merge fallback, no timestamps)
+ * @param {string} text
+ * @param {GlossaryEntry[]} entries
+ * @returns {{text: string, substitutions: GlossarySubstitution[]}}
+ */
+export function applyGlossaryToText(text, entries) {
+  const words = text.split(/\s+/).filter(w => w.length > 0).map(word => ({ word }));
+  const result = applyGlossary(words, entries);
+
+  return {
+    text: result.words.map(w => w.word).join(' '),
+    substitutions: result.substitutions
+  };
+}
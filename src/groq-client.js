@@ -1,10 +1,19 @@
 /**
  * Groq API client for Whisper transcription
+ * Also works with other OpenAI-compatible providers (see providers.js)
  */
 
 import { log } from './logger.js';
-
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/audio/transcriptions';
+import {
+  PROVIDERS,
+  DEFAULT_PROVIDER_ID,
+  Task,
+  getTranscriptionUrl,
+  normalizeTranscriptionResponse
+} from './providers.js';
+import { buildChunkPrompt } from './prompt-chain.js';
+import { normalizeLanguageCode } from './language-detection.js';
+import { getSentDuration } from './silence-skipping.js';
 
 /**
  * Error types for categorizing API failures
@@ -46,6 +55,125 @@ export function calculateBackoffDelay(attempt, config = RetryConfig) {
   return Math.min(delay, config.maxDelayMs);
 }
 
+/**
+ * Parse a rate-limit reset duration as sent by Groq/OpenAI
+ * Accepts "7.66s", "2m59.56s", "1h2m3s", "120ms" or a plain number of seconds
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Duration in milliseconds, or null if unparseable
+ */
+export function parseResetDuration(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return parseFloat(trimmed) * 1000;
+  }
+
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const unitMs = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let totalMs = 0;
+  let matched = false;
+  let match;
+
+  while ((match = pattern.exec(trimmed)) !== null) {
+    totalMs += parseFloat(match[1]) * unitMs[match[2]];
+    matched = true;
+  }
+
+  return matched ? totalMs : null;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Extract rate-limit info from response headers
+ *
+ * Groq sends x-ratelimit-remaining-<kind> / x-ratelimit-reset-<kind> pairs
+ * (kind = requests, tokens, ...) plus Retry-After on 429s.
+ *
+ * @param {Headers|null} headers - Response headers
+ * @returns {{retryAfterMs: number|null, remaining: Object<string, number>, resetMs: Object<string, number>}|null}
+ */
+export function parseRateLimitHeaders(headers) {
+  if (!headers || typeof headers.forEach !== 'function') {
+    return null;
+  }
+
+  const info = { retryAfterMs: null, remaining: {}, resetMs: {} };
+  let found = false;
+
+  headers.forEach((value, key) => {
+    const name = key.toLowerCase();
+
+    if (name === 'retry-after') {
+      info.retryAfterMs = parseRetryAfter(value);
+      found = found || info.retryAfterMs !== null;
+    } else if (name.startsWith('x-ratelimit-remaining-')) {
+      const remaining = parseInt(value, 10);
+      if (!isNaN(remaining)) {
+        info.remaining[name.slice('x-ratelimit-remaining-'.length)] = remaining;
+        found = true;
+      }
+    } else if (name.startsWith('x-ratelimit-reset-')) {
+      const resetMs = parseResetDuration(value);
+      if (resetMs !== null) {
+        info.resetMs[name.slice('x-ratelimit-reset-'.length)] = resetMs;
+        found = true;
+      }
+    }
+  });
+
+  return found ? info : null;
+}
+
+/**
+ * How long to hold the next request based on rate-limit info
+ * Retry-After wins; otherwise wait for the reset of any exhausted quota.
+ * @param {object|null} rateLimit - Result of parseRateLimitHeaders
+ * @returns {number} - Delay in milliseconds (0 = send immediately)
+ */
+export function getRateLimitDelay(rateLimit) {
+  if (!rateLimit) {
+    return 0;
+  }
+
+  if (rateLimit.retryAfterMs !== null && rateLimit.retryAfterMs !== undefined) {
+    return rateLimit.retryAfterMs;
+  }
+
+  let delay = 0;
+  for (const [kind, remaining] of Object.entries(rateLimit.remaining)) {
+    if (remaining <= 0 && rateLimit.resetMs[kind] !== undefined) {
+      delay = Math.max(delay, rateLimit.resetMs[kind]);
+    }
+  }
+
+  return delay;
+}
+
 /**
  * Sleep for a specified duration
  * @param {number} ms - Milliseconds to sleep
@@ -55,6 +183,21 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Wait until a (possibly moving) deadline passes, checking for abort every 500ms
+ * @param {() => number} getDeadline - Returns the timestamp (ms) to wait for
+ * @param {() => boolean} shouldAbort - Abort check
+ * @returns {Promise<void>}
+ */
+async function waitUntil(getDeadline, shouldAbort) {
+  while (Date.now() < getDeadline()) {
+    if (shouldAbort()) {
+      throw new Error('Transcription aborted by user');
+    }
+    await sleep(Math.min(500, getDeadline() - Date.now()));
+  }
+}
+
 export function classifyError(error, statusCode = null) {
   const errorMessage = error?.message || String(error);
 
@@ -141,16 +284,28 @@ export function classifyError(error, statusCode = null) {
 }
 
 /**
- * Transcribe an audio chunk using Groq's Whisper API
+ * Transcribe an audio chunk using a Whisper provider (Groq by default)
+ *
+ * With task = Task.TRANSLATE the chunk goes to the translations endpoint
+ * instead and comes back as English text. That endpoint accepts neither a
+ * language nor timestamp granularities, so results have no word timestamps.
  */
 export async function transcribeChunk(audioBlob, apiKey, options = {}) {
   const {
-    model = 'whisper-large-v3',
+    provider = PROVIDERS[DEFAULT_PROVIDER_ID],
+    task = Task.TRANSCRIBE,
     language = undefined, // Auto-detect if not specified
+    prompt = '', // Context / vocabulary hint for the decoder
+    temperature = undefined, // Sampling temperature (0-1); provider default if not specified
     responseFormat = 'verbose_json',
     timeout = 120000 // 2 minutes
   } = options;
 
+  const isTranslation = task === Task.TRANSLATE;
+  const model = isTranslation
+    ? provider.translationModel
+    : (options.model || provider.defaultModel);
+
   // Create form data
   const formData = new FormData();
   formData.append('file', audioBlob, 'audio.mp3');
@@ -158,12 +313,28 @@ export async function transcribeChunk(audioBlob, apiKey, options = {}) {
   formData.append('response_format', responseFormat);
 
   // Request word-level timestamps for precise deduplication
-  formData.append('timestamp_granularities[]', 'word');
+  if (provider.supportsWordTimestamps && !isTranslation) {
+    formData.append('timestamp_granularities[]', 'word');
+  }
 
-  if (language) {
+  if (language && !isTranslation) {
     formData.append('language', language);
   }
 
+  if (prompt) {
+    formData.append('prompt', prompt);
+  }
+
+  if (temperature !== undefined) {
+    formData.append('temperature', String(temperature));
+  }
+
+  /** @type {Record<string, string>} */
+  const headers = {};
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
   // Make request with timeout
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
@@ -171,11 +342,9 @@ export async function transcribeChunk(audioBlob, apiKey, options = {}) {
   try {
     const startTime = Date.now();
 
-    const response = await fetch(GROQ_API_URL, {
+    const response = await fetch(getTranscriptionUrl(provider, task), {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      },
+      headers,
       body: formData,
       signal: controller.signal
     });
@@ -184,7 +353,7 @@ export async function transcribeChunk(audioBlob, apiKey, options = {}) {
 
     if (!response.ok) {
       // Try to get detailed error info from response
-      let errorMessage = `Groq API error: ${response.status} ${response.statusText}`;
+      let errorMessage = `${provider.name} API error: ${response.status} ${response.statusText}`;
 
       try {
         const errorText = await response.text();
@@ -206,10 +375,12 @@ export async function transcribeChunk(audioBlob, apiKey, options = {}) {
         log('Could not read error response body', 'warning');
       }
 
-      // Create error with status code attached
+      // Create error with status code and rate-limit info attached
       const error = new Error(errorMessage);
       // @ts-ignore - Custom property for error handling
       error.statusCode = response.status;
+      // @ts-ignore - Custom property for error handling
+      error.rateLimit = parseRateLimitHeaders(response.headers);
       throw error;
     }
 
@@ -219,11 +390,11 @@ export async function transcribeChunk(audioBlob, apiKey, options = {}) {
     log(`Transcription completed in ${elapsed}s`, 'success');
 
     return {
-      text: data.text,
-      duration: data.duration,
-      language: data.language,
-      segments: data.segments || [],
-      words: data.words || []
+      ...normalizeTranscriptionResponse(data),
+      // Whisper echoes a requested language back, so it says nothing about the audio
+      requestedLanguage: language && !isTranslation ? language : null,
+      response: data,
+      rateLimit: parseRateLimitHeaders(response.headers)
     };
   } catch (error) {
     clearTimeout(timeoutId);
@@ -247,6 +418,7 @@ export async function transcribeChunk(audioBlob, apiKey, options = {}) {
 export async function transcribeChunkWithRetry(audioBlob, apiKey, options = {}, retryOptions = {}) {
   const {
     onRetry = () => {},
+    beforeAttempt = async () => {},
     shouldAbort = () => false,
     config = RetryConfig
   } = retryOptions;
@@ -260,6 +432,9 @@ export async function transcribeChunkWithRetry(audioBlob, apiKey, options = {},
         throw new Error('Transcription aborted by user');
       }
 
+      // Let the caller hold the request (e.g. shared rate-limit backoff)
+      await beforeAttempt();
+
       return await transcribeChunk(audioBlob, apiKey, options);
     } catch (error) {
       lastError = error;
@@ -284,21 +459,19 @@ export async function transcribeChunkWithRetry(audioBlob, apiKey, options = {},
         throw new Error('Transcription aborted by user');
       }
 
-      // Calculate backoff delay
-      const delay = calculateBackoffDelay(attempt, config);
+      // Prefer the server's schedule (Retry-After / exhausted quota reset)
+      // over blind exponential backoff
+      const hintedDelay = getRateLimitDelay(error.rateLimit);
+      const delay = hintedDelay > 0 ? hintedDelay : calculateBackoffDelay(attempt, config);
       const delaySec = (delay / 1000).toFixed(1);
+      const delaySource = hintedDelay > 0 ? ', from rate-limit headers' : '';
 
-      log(`Retry ${attempt + 1}/${config.maxRetries} in ${delaySec}s (${errorInfo.type})...`, 'warning');
+      log(`Retry ${attempt + 1}/${config.maxRetries} in ${delaySec}s (${errorInfo.type}${delaySource})...`, 'warning');
       onRetry(attempt + 1, config.maxRetries, delay, errorInfo);
 
       // Wait with abort check
-      const startWait = Date.now();
-      while (Date.now() - startWait < delay) {
-        if (shouldAbort()) {
-          throw new Error('Transcription aborted by user');
-        }
-        await sleep(Math.min(500, delay - (Date.now() - startWait)));
-      }
+      const waitUntilTime = Date.now() + delay;
+      await waitUntil(() => waitUntilTime, shouldAbort);
     }
   }
 
@@ -307,20 +480,67 @@ export async function transcribeChunkWithRetry(audioBlob, apiKey, options = {},
 }
 
 /**
- * Transcribe multiple chunks sequentially
+ * Detect the spoken language of a short audio sample
+ *
+ * Transcribes the sample without a language hint (or prompt) and reads back
+ * the language Whisper reports. `code` is null when the reported language is
+ * not one of LANGUAGES, in which case it can't be pinned.
+ *
+ * @returns {Promise<{language: string|null, code: string|null, text: string}>}
+ */
+export async function detectLanguage(audioBlob, apiKey, options = {}, retryOptions = {}) {
+  const result = await transcribeChunkWithRetry(audioBlob, apiKey, {
+    ...options,
+    task: Task.TRANSCRIBE,
+    language: undefined,
+    prompt: ''
+  }, retryOptions);
+
+  return {
+    language: result.language || null,
+    code: normalizeLanguageCode(result.language),
+    text: result.text
+  };
+}
+
+/**
+ * Transcribe multiple chunks
+ *
+ * With concurrency = 1 (default) chunks are sent strictly one at a time.
+ * With concurrency > 1 a pool of workers keeps up to N requests in flight;
+ * results are still returned in chunk order. Chunks that never started
+ * (abort, auth failure) are left out, so look results up by
+ * `result.chunk.index`, not by position.
+ *
+ * Pass a RateLimiter as options.rateLimiter to hold requests that would
+ * exceed a requests-per-minute or audio-seconds-per-hour budget;
+ * options.onRateLimitWait(chunk, index, nextSlotAt) reports each hold.
+ *
+ * options.glossary (string[]) is sent as a prompt with every chunk. With
+ * options.promptChaining the prompt also ends with the previous chunk's
+ * transcript; that needs the previous chunk to be finished, so it only
+ * applies to the sequential path. A resumed run passes the results it
+ * restored as options.restoredResults, so a missing chunk is chained from
+ * its restored neighbour too.
  */
 export async function transcribeChunks(chunks, extractChunkFn, apiKey, options = {}) {
   const {
-    onChunkStart = () => {},
-    onChunkComplete = () => {},
-    onChunkError = () => {},
-    onRetry = () => {},
     shouldAbort = () => false,
-    retryConfig = RetryConfig,
-    delayBetweenChunks = 500 // Small delay to avoid rate limiting
+    delayBetweenChunks = 500, // Small delay to avoid rate limiting
+    concurrency = 1
   } = options;
 
+  // Shared rate-limit backoff: when any request gets a 429, every worker
+  // waits until this timestamp before sending its next attempt
+  const backoff = { until: 0 };
+
+  if (concurrency > 1) {
+    return transcribeChunksConcurrently(chunks, extractChunkFn, apiKey, options, backoff);
+  }
+
   const results = [];
+  // Finished results by chunk index, for chaining each chunk from the one before it
+  const resultsByIndex = new Map((options.restoredResults || []).map(r => [r.chunk.index, r]));
 
   for (let i = 0; i < chunks.length; i++) {
     // Check if we should abort before starting each chunk
@@ -329,78 +549,194 @@ export async function transcribeChunks(chunks, extractChunkFn, apiKey, options =
       break;
     }
 
-    const chunk = chunks[i];
+    const previousResult = options.promptChaining ? resultsByIndex.get(chunks[i].index - 1) ?? null : null;
+    const result = await processChunk(chunks[i], i, extractChunkFn, apiKey, options, backoff, previousResult);
+    if (!result) {
+      break;
+    }
 
-    try {
-      onChunkStart(chunk, i);
+    results.push(result);
+    resultsByIndex.set(chunks[i].index, result);
+
+    // If auth error, abort immediately
+    if (result.errorType === ErrorType.AUTH) {
+      break;
+    }
+
+    // Small delay between chunks
+    if (result.success && i < chunks.length - 1 && delayBetweenChunks > 0) {
+      await sleep(delayBetweenChunks);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Transcribe chunks with a pool of concurrent workers
+ *
+ * Extraction is serialized: FFmpeg.wasm runs one command at a time, so only
+ * the API requests themselves overlap. Each worker pulls the next chunk index
+ * as soon as it is free, and results are slotted back by index.
+ */
+async function transcribeChunksConcurrently(chunks, extractChunkFn, apiKey, options, backoff) {
+  const {
+    shouldAbort = () => false,
+    delayBetweenChunks = 500,
+    concurrency = 1
+  } = options;
 
-      // Check abort after callback (in case it was set during callback)
+  const results = new Array(chunks.length);
+  let nextIndex = 0;
+  let stopped = false;
+
+  // Serialize extraction through a promise chain
+  let extractionQueue = Promise.resolve();
+  const serializedExtract = (chunk) => {
+    const extraction = extractionQueue.then(() => extractChunkFn(chunk));
+    extractionQueue = extraction.catch(() => {});
+    return extraction;
+  };
+
+  const worker = async () => {
+    while (!stopped && nextIndex < chunks.length) {
       if (shouldAbort()) {
         log('Transcription aborted by user', 'warning');
+        stopped = true;
+        break;
+      }
+
+      const i = nextIndex++;
+      const result = await processChunk(chunks[i], i, serializedExtract, apiKey, options, backoff);
+      if (!result) {
+        stopped = true;
         break;
       }
 
-      // Extract the chunk blob
-      const blob = await extractChunkFn(chunk);
+      results[i] = result;
 
-      // Check abort after extraction
-      if (shouldAbort()) {
-        log('Transcription aborted by user', 'warning');
+      // Auth errors will fail for every chunk - stop all workers
+      if (result.errorType === ErrorType.AUTH) {
+        stopped = true;
         break;
       }
 
-      // Transcribe with retry
-      const result = await transcribeChunkWithRetry(blob, apiKey, options, {
-        onRetry: (attempt, maxRetries, delay, errorInfo) => {
-          onRetry(chunk, i, attempt, maxRetries, delay, errorInfo);
-        },
+      if (delayBetweenChunks > 0 && nextIndex < chunks.length) {
+        await sleep(delayBetweenChunks);
+      }
+    }
+  };
+
+  const workerCount = Math.min(concurrency, chunks.length);
+  log(`Transcribing ${chunks.length} chunks with ${workerCount} concurrent requests`);
+
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+  // Drop slots for chunks that never started (abort / auth failure)
+  return results.filter(Boolean);
+}
+
+/**
+ * Extract and transcribe a single chunk, reporting through the callbacks
+ * @param {Object|null} [previousResult] - Previous chunk's result, to chain its text into the prompt
+ * @returns {Promise<object|null>} - Result entry, or null if aborted before completion
+ */
+async function processChunk(chunk, i, extractChunkFn, apiKey, options, backoff, previousResult = null) {
+  const {
+    onChunkStart = () => {},
+    onChunkComplete = () => {},
+    onChunkError = () => {},
+    onRetry = () => {},
+    onRateLimitWait = () => {},
+    shouldAbort = () => false,
+    retryConfig = RetryConfig,
+    rateLimiter = null,
+    glossary = []
+  } = options;
+
+  const prompt = buildChunkPrompt({ chunk, previousResult, glossary });
+
+  // Before every attempt: honor any shared backoff, then take this chunk's
+  // share of the RPM / audio-seconds budget (retries count against it too)
+  const beforeAttempt = async () => {
+    await waitUntil(() => backoff.until, shouldAbort);
+    if (rateLimiter) {
+      await rateLimiter.acquire(getSentDuration(chunk), {
         shouldAbort,
-        config: retryConfig
+        onWait: (nextSlotAt) => onRateLimitWait(chunk, i, nextSlotAt)
       });
+    }
+  };
 
-      results.push({
-        chunk,
-        success: true,
-        ...result
-      });
+  try {
+    onChunkStart(chunk, i);
+
+    // Check abort after callback (in case it was set during callback)
+    if (shouldAbort()) {
+      log('Transcription aborted by user', 'warning');
+      return null;
+    }
 
-      onChunkComplete(chunk, i, result);
+    // Extract the chunk blob
+    const blob = await extractChunkFn(chunk);
 
-      // Small delay between chunks
-      if (i < chunks.length - 1 && delayBetweenChunks > 0) {
-        await new Promise(r => setTimeout(r, delayBetweenChunks));
-      }
-    } catch (error) {
-      log(`Chunk ${i + 1} failed: ${error.message}`, 'error');
-
-      // Attach status code if available
-      const enhancedError = error;
-      if (!enhancedError.statusCode && error.message) {
-        // Try to extract status from error message
-        const statusMatch = error.message.match(/(\d{3})/);
-        if (statusMatch) {
-          enhancedError.statusCode = parseInt(statusMatch[1]);
+    // Check abort after extraction
+    if (shouldAbort()) {
+      log('Transcription aborted by user', 'warning');
+      return null;
+    }
+
+    // Transcribe with retry
+    const result = await transcribeChunkWithRetry(blob, apiKey, { ...options, prompt }, {
+      onRetry: (attempt, maxRetries, delay, errorInfo) => {
+        // A 429 means the quota is shared by every in-flight request
+        if (errorInfo.type === ErrorType.RATE_LIMIT) {
+          backoff.until = Math.max(backoff.until, Date.now() + delay);
         }
-      }
+        onRetry(chunk, i, attempt, maxRetries, delay, errorInfo);
+      },
+      beforeAttempt,
+      shouldAbort,
+      config: retryConfig
+    });
 
-      results.push({
-        chunk,
-        success: false,
-        error: error.message,
-        errorType: classifyError(error, enhancedError.statusCode).type
-      });
+    // Quota exhausted per the response headers - hold every later request
+    // until it resets instead of finding out via a 429
+    const quotaDelay = getRateLimitDelay(result.rateLimit);
+    if (quotaDelay > 0) {
+      backoff.until = Math.max(backoff.until, Date.now() + quotaDelay);
+      log(`Rate limit quota exhausted - pausing requests for ${(quotaDelay / 1000).toFixed(1)}s`, 'warning');
+    }
 
-      onChunkError(chunk, i, enhancedError);
+    onChunkComplete(chunk, i, result);
 
-      // If auth error, abort immediately
-      const errorInfo = classifyError(error, enhancedError.statusCode);
-      if (errorInfo.type === ErrorType.AUTH) {
-        break;
+    return {
+      chunk,
+      success: true,
+      ...result
+    };
+  } catch (error) {
+    log(`Chunk ${i + 1} failed: ${error.message}`, 'error');
+
+    // Attach status code if available
+    const enhancedError = error;
+    if (!enhancedError.statusCode && error.message) {
+      // Try to extract status from error message
+      const statusMatch = error.message.match(/(\d{3})/);
+      if (statusMatch) {
+        enhancedError.statusCode = parseInt(statusMatch[1]);
       }
     }
-  }
 
-  return results;
+    onChunkError(chunk, i, enhancedError);
+
+    return {
+      chunk,
+      success: false,
+      error: error.message,
+      errorType: classifyError(error, enhancedError.statusCode).type
+    };
+  }
 }
 
 /**
@@ -414,15 +750,19 @@ export function mergeTranscripts(results) {
 }
 
 /**
- * Validate API key format
+ * Validate API key format for a provider (Groq by default)
  */
-export function validateApiKey(apiKey) {
+export function validateApiKey(apiKey, provider = PROVIDERS[DEFAULT_PROVIDER_ID]) {
+  if (!provider.requiresApiKey) {
+    return { valid: true };
+  }
+
   if (!apiKey) {
     return { valid: false, message: 'API key is required' };
   }
 
-  if (!apiKey.startsWith('gsk_')) {
-    return { valid: false, message: 'API key should start with "gsk_"' };
+  if (provider.apiKeyPrefix && !apiKey.startsWith(provider.apiKeyPrefix)) {
+    return { valid: false, message: `API key should start with "${provider.apiKeyPrefix}"` };
   }
 
   if (apiKey.length < 20) {
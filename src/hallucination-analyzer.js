@@ -0,0 +1,250 @@
+/**
+ * Hallucination and low-confidence segment detection
+ *
+ * verbose_json segments carry Whisper's own quality metrics. Whisper itself
+ * treats a segment as a failed decode when its compression ratio is above 2.4
+ * (repetitive text) or its average log-probability is below -1.0, and as
+ * silence when no_speech_prob is above 0.6 with a low log-probability. The same
+ * thresholds are used here, plus two text checks for classic hallucinations:
+ * phrases repeated over and over, and "Thank you for watching" style filler
+ * invented over silence or music.
+ */
+
+import { log } from './logger.js';
+import { toOriginalTime, toSentTime, getSkippedBefore } from './silence-skipping.js';
+
+/**
+ * Thresholds for flagging segments (Whisper's decoding fallback defaults)
+ */
+export const HallucinationThresholds = {
+  avgLogprob: -1.0,         // Below this: low confidence
+  noSpeechProb: 0.6,        // Above this (with low confidence): probably silence
+  compressionRatio: 2.4,    // Above this: repetitive text
+  fillerNoSpeechProb: 0.3   // Filler phrases are suspicious at a lower no-speech probability
+};
+
+/**
+ * Reasons a segment can be flagged
+ */
+export const SuspicionReason = {
+  LOW_CONFIDENCE: 'low-confidence',
+  NO_SPEECH: 'no-speech',
+  REPETITION: 'repetition',
+  FILLER: 'filler'
+};
+
+// Phrases Whisper is known to invent over silence / music (YouTube captions
+// in its training data), compared after normalization
+const FILLER_PHRASES = [
+  'thank you for watching',
+  'thanks for watching',
+  'thank you for listening',
+  'thanks for listening',
+  'please subscribe',
+  'like and subscribe',
+  'dont forget to subscribe',
+  'see you next time',
+  'see you in the next video',
+  'subtitles by the amaraorg community',
+  'thank you',
+  'thanks',
+  'bye',
+  'you'
+];
+
+/**
+ * @typedef {Object} SuspiciousSegment
+ * @property {number} chunkIndex - Chunk the segment came from
+ * @property {number} start - Absolute start time (seconds)
+ * @property {number} end - Absolute end time (seconds)
+ * @property {string} text - Segment text
+ * @property {string[]} reasons - SuspicionReason values
+ * @property {{avgLogprob?: number, noSpeechProb?: number, compressionRatio?: number}} metrics
+ */
+
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a text repeats the same phrase back to back
+ * Single words need 4 repeats, phrases of 2-6 words need 3.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasRepeatedPhrase(text) {
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+
+  for (let n = 1; n <= 6; n++) {
+    const needed = n === 1 ? 4 : 3;
+    if (tokens.length < n * needed) {break;}
+
+    for (let i = 0; i + n * needed <= tokens.length; i++) {
+      const phrase = tokens.slice(i, i + n).join(' ');
+      let repeats = 1;
+      while (tokens.slice(i + repeats * n, i + (repeats + 1) * n).join(' ') === phrase) {
+        repeats++;
+      }
+      if (repeats >= needed) {return true;}
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check one segment against the thresholds
+ * @param {Object} segment - verbose_json segment
+ * @param {Object|null} previousSegment - Segment before it in the same chunk
+ * @param {typeof HallucinationThresholds} thresholds
+ * @returns {string[]} - Reasons (empty if the segment looks fine)
+ */
+function getSegmentReasons(segment, previousSegment, thresholds) {
+  const reasons = [];
+  const text = normalizeText(segment.text);
+  if (!text) {return reasons;}
+
+  const hasLogprob = typeof segment.avg_logprob === 'number';
+  const hasNoSpeech = typeof segment.no_speech_prob === 'number';
+  const lowConfidence = hasLogprob && segment.avg_logprob < thresholds.avgLogprob;
+
+  if (lowConfidence) {
+    reasons.push(SuspicionReason.LOW_CONFIDENCE);
+  }
+
+  if (lowConfidence && hasNoSpeech && segment.no_speech_prob > thresholds.noSpeechProb) {
+    reasons.push(SuspicionReason.NO_SPEECH);
+  }
+
+  const repetitive = (typeof segment.compression_ratio === 'number' && segment.compression_ratio > thresholds.compressionRatio) ||
+    hasRepeatedPhrase(segment.text) ||
+    (previousSegment && normalizeText(previousSegment.text) === text);
+  if (repetitive) {
+    reasons.push(SuspicionReason.REPETITION);
+  }
+
+  if (FILLER_PHRASES.includes(text) && hasNoSpeech && segment.no_speech_prob > thresholds.fillerNoSpeechProb) {
+    reasons.push(SuspicionReason.FILLER);
+  }
+
+  return reasons;
+}
+
+/**
+ * Find suspicious segments in transcription results
+ *
+ * @param {Array} results - Transcription results (segments use chunk-relative times)
+ * @param {typeof HallucinationThresholds} [thresholds]
+ * @returns {SuspiciousSegment[]} - Sorted by start time
+ */
+export function analyzeSegments(results, thresholds = HallucinationThresholds) {
+  const flagged = [];
+
+  for (const result of results) {
+    if (!result.success || !Array.isArray(result.segments)) {continue;}
+
+    const chunk = result.chunk;
+    result.segments.forEach((segment, i) => {
+      const reasons = getSegmentReasons(segment, i > 0 ? result.segments[i - 1] : null, thresholds);
+      if (reasons.length === 0) {return;}
+
+      flagged.push({
+        chunkIndex: chunk.index,
+        start: toOriginalTime(chunk, segment.start),
+        end: toOriginalTime(chunk, segment.end),
+        text: (segment.text || '').trim(),
+        reasons,
+        metrics: {
+          avgLogprob: segment.avg_logprob,
+          noSpeechProb: segment.no_speech_prob,
+          compressionRatio: segment.compression_ratio
+        }
+      });
+    });
+  }
+
+  if (flagged.length > 0) {
+    log(`Hallucination check: ${flagged.length} suspicious segment(s)`, 'warning');
+  }
+
+  return flagged.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Mark merged words that fall inside a suspicious segment
+ *
+ * A word is marked when its midpoint lies in a segment flagged for the same
+ * chunk, so words kept from the other side of an overlap are not marked.
+ *
+ * @param {Array<{word: string, absoluteStart: number, absoluteEnd: number, chunkIndex: number}>} words - Merged words
+ * @param {SuspiciousSegment[]} suspicious
+ * @returns {Array} - Words, with `suspicious` (reasons) on the marked ones
+ */
+export function markSuspiciousWords(words, suspicious) {
+  if (suspicious.length === 0) {return words;}
+
+  return words.map(word => {
+    const mid = (word.absoluteStart + word.absoluteEnd) / 2;
+    const segment = suspicious.find(s => s.chunkIndex === word.chunkIndex && mid >= s.start && mid <= s.end);
+    return segment ? { ...word, suspicious: segment.reasons } : word;
+  });
+}
+
+/**
+ * Replace part of a chunk's result with a re-transcription of that range
+ *
+ * Words and segments of the original whose midpoint lies in [start, end] are
+ * dropped and the new ones (moved from the range's timeline to the chunk's)
+ * take their place; anything the re-transcription produced outside the range
+ * (its padding) is ignored. Both timelines are uploaded time, so with skipped
+ * silence each time is mapped through original-file time.
+ *
+ * @param {Object} result - Successful chunk result
+ * @param {Object} rangeResult - Transcription of the range
+ * @param {{start: number, end: number, skips?: Array}} rangeChunk - Extracted range (absolute times)
+ * @param {{start: number, end: number}} range - Absolute time range to replace
+ * @returns {Object} - New chunk result
+ */
+export function spliceRangeIntoResult(result, rangeResult, rangeChunk, range) {
+  // Range time → chunk time: the range's offset, plus the silence skipped
+  // before that point in the range, minus the silence skipped in the chunk
+  const offset = rangeChunk.start - result.chunk.start;
+  const toChunkTime = (time) => {
+    const original = toOriginalTime(rangeChunk, time);
+    return time + offset + getSkippedBefore(rangeChunk, original) - getSkippedBefore(result.chunk, original);
+  };
+  const localStart = toSentTime(result.chunk, range.start);
+  const localEnd = toSentTime(result.chunk, range.end);
+  const inRange = (item) => {
+    const mid = (item.start + item.end) / 2;
+    return mid >= localStart && mid <= localEnd;
+  };
+  const shift = (item) => ({ ...item, start: toChunkTime(item.start), end: toChunkTime(item.end) });
+  const byStart = (a, b) => a.start - b.start;
+
+  const words = [
+    ...(result.words || []).filter(w => !inRange(w)),
+    ...(rangeResult.words || []).map(shift).filter(inRange)
+  ].sort(byStart);
+
+  const segments = [
+    ...(result.segments || []).filter(s => !inRange(s)),
+    ...(rangeResult.segments || []).map(shift).filter(inRange)
+  ].sort(byStart);
+
+  const text = words.length > 0
+    ? words.map(w => w.word).join(' ')
+    : segments.map(s => (s.text || '').trim()).join(' ');
+
+  return {
+    ...result,
+    text,
+    words,
+    segments,
+    retranscribedRanges: [...(result.retranscribedRanges || []), { start: range.start, end: range.end }]
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Local transcript history library
+ *
+ * Every finished run is kept in IndexedDB as a session (see session.js) plus
+ * a small summary for the list, so past transcripts can be reopened,
+ * searched and exported after the tab is closed. Nothing leaves the browser.
+ */
+
+import { HISTORY_STORE, withStore } from './job-store.js';
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {string} title - Display name (the file name until renamed)
+ * @property {number} createdAt - ms since epoch
+ * @property {number} updatedAt - ms since epoch
+ * @property {string} fileName
+ * @property {number|null} duration - Seconds
+ * @property {string|null} model
+ * @property {number} wordCount
+ * @property {string} text - Final transcript, for search
+ * @property {Object} session - createSession output, including the merge
+ */
+
+/**
+ * Count words in a transcript
+ * @param {string} text
+ * @returns {number}
+ */
+export function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Build a history entry for a session
+ * Passing the entry it replaces keeps its id, title and creation date, so a
+ * retry updates the same entry rather than adding another.
+ *
+ * @param {Object} session - createSession output
+ * @param {{text: string, wordCount?: number}} transcript - Final (corrected) transcript
+ * @param {HistoryEntry|null} [previous]
+ * @returns {HistoryEntry}
+ */
+export function createHistoryEntry(session, { text, wordCount }, previous = null) {
+  const now = Date.now();
+
+  return {
+    id: previous ? previous.id : `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    title: previous ? previous.title : session.file.name,
+    createdAt: previous ? previous.createdAt : now,
+    updatedAt: now,
+    fileName: session.file.name,
+    duration: session.file.duration ?? null,
+    model: session.settings.transcription?.model ?? null,
+    wordCount: wordCount ?? countWords(text),
+    text,
+    session
+  };
+}
+
+/**
+ * Filter entries by a search query, newest first
+ * Matches the title, file name and transcript text, ignoring case; every
+ * whitespace-separated term has to match.
+ * @param {HistoryEntry[]} entries
+ * @param {string} query
+ * @returns {HistoryEntry[]}
+ */
+export function searchHistory(entries, query) {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+  return entries
+    .filter(entry => {
+      const haystack = `${entry.title}\n${entry.fileName}\n${entry.text}`.toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * All saved entries
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function listHistory() {
+  const entries = await withStore(HISTORY_STORE, 'readonly', store => store.getAll());
+  return entries || [];
+}
+
+/**
+ * Save an entry, replacing one with the same id
+ * @param {HistoryEntry} entry
+ * @returns {Promise<void>}
+ */
+export async function saveHistoryEntry(entry) {
+  await withStore(HISTORY_STORE, 'readwrite', store => {
+    store.put(entry);
+  });
+}
+
+/**
+ * Rename an entry
+ * @param {string} id
+ * @param {string} title
+ * @returns {Promise<void>}
+ */
+export async function renameHistoryEntry(id, title) {
+  await withStore(HISTORY_STORE, 'readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, title });
+      }
+    };
+  });
+}
+
+/**
+ * Delete an entry
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryEntry(id) {
+  await withStore(HISTORY_STORE, 'readwrite', store => {
+    store.delete(id);
+  });
+}
+
+/**
+ * Storage used by this origin and the quota available to it
+ * @returns {Promise<{usage: number, quota: number}|null>} - Null if the browser can't tell
+ */
+export async function getStorageUsage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {return null;}
+
+  const { usage, quota } = await navigator.storage.estimate();
+  if (typeof usage !== 'number' || typeof quota !== 'number') {return null;}
+  return { usage, quota };
+}
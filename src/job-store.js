@@ -0,0 +1,217 @@
+/**
+ * In-progress job persistence (IndexedDB)
+ *
+ * A tab crash or a locked phone throws away every finished chunk. Each job is
+ * saved as a session (see session.js) keyed by a fingerprint of the audio
+ * file, and every chunk result is added as soon as it arrives. After a
+ * reload, re-selecting the same file restores the chunk plan and only the
+ * chunks without a result are sent again.
+ *
+ * This module also owns the database itself; the history library
+ * (history.js) keeps its entries in a second store.
+ */
+
+import { createSession, restoreSession, serializeResult } from './session.js';
+
+const DB_NAME = 'groqChunker';
+const DB_VERSION = 2; // 2: history store
+const JOB_STORE = 'jobs';
+export const HISTORY_STORE = 'history';
+
+// Hash the start and end of the file rather than all of it - enough to tell
+// recordings apart without reading hundreds of MB
+const FINGERPRINT_SAMPLE_BYTES = 1024 * 1024;
+
+/**
+ * @typedef {Object} StoredJob
+ * @property {string} id - File fingerprint
+ * @property {number} updatedAt - ms since epoch
+ * @property {Object} session - Session (createSession) holding the results so far
+ */
+
+/**
+ * Fingerprint an audio file by its size and a hash of its first and last MB
+ * The name and modification date are ignored so a copied or renamed file
+ * still matches.
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+export async function computeFileFingerprint(file) {
+  const head = file.slice(0, FINGERPRINT_SAMPLE_BYTES);
+  const tail = file.size > FINGERPRINT_SAMPLE_BYTES
+    ? file.slice(Math.max(FINGERPRINT_SAMPLE_BYTES, file.size - FINGERPRINT_SAMPLE_BYTES))
+    : new Blob([]);
+
+  const sample = await new Blob([head, tail]).arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', sample);
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+  return `${file.size}-${hex}`;
+}
+
+/**
+ * Start a job record for a run
+ * @param {string} fingerprint - computeFileFingerprint of the audio
+ * @param {Object} params - createSession params (file, duration, chunks, chunking, transcription)
+ * @returns {StoredJob}
+ */
+export function createJob(fingerprint, params) {
+  return {
+    id: fingerprint,
+    updatedAt: Date.now(),
+    session: createSession({ ...params, results: [] })
+  };
+}
+
+/**
+ * Add (or replace) a chunk result in a job
+ * @param {StoredJob} job
+ * @param {Object} result - transcriptionResults entry
+ * @returns {StoredJob}
+ */
+export function addJobResult(job, result) {
+  const stored = serializeResult(result);
+  const results = job.session.results
+    .filter(r => r.chunkIndex !== stored.chunkIndex)
+    .concat(stored)
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+  return { ...job, updatedAt: Date.now(), session: { ...job.session, results } };
+}
+
+/**
+ * Summarize a stored job for the resume prompt
+ * @param {StoredJob} job
+ * @returns {{fileName: string, totalChunks: number, completedChunks: number}}
+ */
+export function describeJob(job) {
+  return {
+    fileName: job.session.file.name,
+    totalChunks: job.session.chunks.length,
+    completedChunks: job.session.results.filter(r => r.success).length
+  };
+}
+
+/**
+ * Restore a stored job
+ * Only successful results are kept; every other chunk is reported missing.
+ * @param {StoredJob} job
+ * @returns {import('./session.js').RestoredSession & {missingChunks: Array}}
+ * @throws {Error} - If the stored session fails validation
+ */
+export function restoreJob(job) {
+  const restored = restoreSession(job.session);
+  const results = restored.results.filter(r => r.success);
+  const done = new Set(results.map(r => r.chunk.index));
+
+  return {
+    ...restored,
+    results,
+    missingChunks: restored.chunks.filter(c => !done.has(c.index))
+  };
+}
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const name of [JOB_STORE, HISTORY_STORE]) {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' });
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run `work` in a transaction on one store and resolve once it commits
+ * @template T
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>|void} work
+ * @returns {Promise<T|undefined>}
+ */
+export async function withStore(storeName, mode, work) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = work(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Save a job, replacing any job for the same file
+ * @param {StoredJob} job
+ * @returns {Promise<void>}
+ */
+export async function saveJob(job) {
+  await withStore(JOB_STORE, 'readwrite', store => {
+    store.put(job);
+  });
+}
+
+/**
+ * Add a chunk result to a saved job
+ * Reads and writes in one transaction so results finishing in parallel
+ * don't overwrite each other.
+ * @param {string} id - Job id (file fingerprint)
+ * @param {Object} result - transcriptionResults entry
+ * @returns {Promise<void>}
+ */
+export async function saveJobResult(id, result) {
+  await withStore(JOB_STORE, 'readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put(addJobResult(request.result, result));
+      }
+    };
+  });
+}
+
+/**
+ * Most recently updated saved job
+ * @returns {Promise<StoredJob|null>}
+ */
+export async function loadLatestJob() {
+  const jobs = await withStore(JOB_STORE, 'readonly', store => store.getAll());
+  if (!jobs || jobs.length === 0) {return null;}
+
+  return jobs.reduce((latest, job) => (job.updatedAt > latest.updatedAt ? job : latest));
+}
+
+/**
+ * Delete a saved job
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteJob(id) {
+  await withStore(JOB_STORE, 'readwrite', store => {
+    store.delete(id);
+  });
+}
@@ -0,0 +1,186 @@
+/**
+ * Spoken-language detection and per-chunk language checks
+ *
+ * Whisper reports the language it heard with every verbose_json response
+ * (Groq and OpenAI use names like "English", self-hosted servers often use
+ * codes like "en"). A short pre-pass detects the language once so it can be
+ * pinned for every chunk; afterwards, a chunk whose reported language differs
+ * from the rest usually contains a hallucination or music rather than speech.
+ */
+
+import { LANGUAGES } from './providers.js';
+import { createRangeChunk } from './chunker.js';
+
+const SAMPLE_DURATION_SEC = 30;
+
+// Skip into the recording so intros / jingles don't decide the language
+const SAMPLE_MAX_OFFSET_SEC = 30;
+
+// A pinned chunk is flagged when Whisper decoded it with a mean avg_logprob
+// this far below the median of the pinned chunks, and below the ceiling
+// (forcing the wrong language makes every token unlikely)
+const PINNED_LOGPROB_DROP = 0.4;
+const PINNED_LOGPROB_CEILING = -0.6;
+// Chunks needed for a meaningful median
+const PINNED_MIN_CHUNKS = 3;
+// Segments Whisper thinks are silence say nothing about the language
+const SILENT_SEGMENT_NO_SPEECH_PROB = 0.6;
+
+/**
+ * Normalize a reported language to an ISO-639-1 code
+ * @param {string|undefined} value - Language name or code as reported by the API
+ * @returns {string|null} - Code from LANGUAGES, or null if unknown
+ */
+export function normalizeLanguageCode(value) {
+  if (!value) {return null;}
+
+  const key = String(value).trim().toLowerCase();
+  const match = LANGUAGES.find(l => l.code === key || l.name.toLowerCase() === key);
+  return match ? match.code : null;
+}
+
+/**
+ * Display name for a reported language
+ * @param {string|undefined} value - Language name or code
+ * @returns {string}
+ */
+export function getLanguageName(value) {
+  const code = normalizeLanguageCode(value);
+  if (code) {
+    return LANGUAGES.find(l => l.code === code).name;
+  }
+  return value ? String(value) : 'Unknown';
+}
+
+/**
+ * Build a short chunk to sample for language detection
+ *
+ * The sample is cut from the first chunk, a little way in.
+ *
+ * @param {Array} chunks - Chunks from calculateChunks
+ * @returns {Object|null} - Chunk-shaped sample, or null if there are no chunks
+ */
+export function createLanguageSampleChunk(chunks) {
+  if (!chunks || chunks.length === 0) {return null;}
+
+  const first = chunks[0];
+  const available = first.end - first.start;
+  const duration = Math.min(SAMPLE_DURATION_SEC, available);
+  const offset = Math.min(SAMPLE_MAX_OFFSET_SEC, available * 0.1, available - duration);
+  const start = first.start + offset;
+
+  return createRangeChunk(first, start, start + duration);
+}
+
+/**
+ * Language a result heard
+ * Segment-level languages (some self-hosted servers report them) win over the
+ * response-level one, which only echoes a requested language.
+ * @param {Object} result
+ * @returns {string|null}
+ */
+function getHeardLanguage(result) {
+  const counts = new Map();
+  for (const segment of result.segments || []) {
+    if (segment.language) {
+      counts.set(segment.language, (counts.get(segment.language) || 0) + 1);
+    }
+  }
+  if (counts.size > 0) {
+    return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+  }
+  return result.language ? String(result.language) : null;
+}
+
+/**
+ * Duration-weighted mean avg_logprob of a result's speech segments
+ * @param {Object} result
+ * @returns {number|null} - Null without segment log-probabilities
+ */
+function getSpeechLogprob(result) {
+  let total = 0;
+  let weight = 0;
+  for (const segment of result.segments || []) {
+    if (typeof segment.avg_logprob !== 'number') {continue;}
+    if (typeof segment.no_speech_prob === 'number' && segment.no_speech_prob > SILENT_SEGMENT_NO_SPEECH_PROB) {continue;}
+    const duration = Math.max(0.1, (segment.end ?? 0) - (segment.start ?? 0));
+    total += segment.avg_logprob * duration;
+    weight += duration;
+  }
+  return weight > 0 ? total / weight : null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Compare the language each chunk reported
+ *
+ * The dominant language is the one reported by the most chunks; any chunk
+ * reporting something else is flagged as a mismatch.
+ *
+ * A chunk sent with a language (picked, or pinned by the pre-pass) just
+ * reports that language back, so it is marked `pinned` and checked by how
+ * well it decoded instead: Whisper forced into the wrong language produces
+ * unlikely tokens, so a pinned chunk whose speech avg_logprob falls well
+ * below the other pinned chunks' is flagged too (`lowConfidence`).
+ *
+ * @param {Array} results - Transcription results (failed ones are ignored)
+ * @returns {{language: string|null, chunkLanguages: Array<{chunkIndex: number, language: string|null, mismatch: boolean,
+ *   pinned: boolean, avgLogprob: number|null, lowConfidence: boolean}>}}
+ */
+export function summarizeChunkLanguages(results) {
+  const reported = results
+    .filter(r => r.success)
+    .map(r => {
+      const language = getHeardLanguage(r);
+      return {
+        chunkIndex: r.chunk.index,
+        language,
+        key: normalizeLanguageCode(language) || (language ? language.toLowerCase() : null),
+        pinned: Boolean(r.requestedLanguage),
+        avgLogprob: getSpeechLogprob(r)
+      };
+    });
+
+  const pinnedLogprobs = reported.filter(r => r.pinned && r.avgLogprob !== null).map(r => r.avgLogprob);
+  const referenceLogprob = pinnedLogprobs.length >= PINNED_MIN_CHUNKS ? median(pinnedLogprobs) : null;
+  const isLowConfidence = ({ pinned, avgLogprob }) => pinned && avgLogprob !== null && referenceLogprob !== null &&
+    avgLogprob < referenceLogprob - PINNED_LOGPROB_DROP && avgLogprob < PINNED_LOGPROB_CEILING;
+
+  const counts = new Map();
+  for (const { key } of reported) {
+    if (key) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  let dominantKey = null;
+  let dominantCount = 0;
+  for (const [key, count] of counts) {
+    if (count > dominantCount) {
+      dominantKey = key;
+      dominantCount = count;
+    }
+  }
+
+  const dominant = reported.find(r => r.key === dominantKey);
+
+  return {
+    language: dominant ? dominant.language : null,
+    chunkLanguages: reported.map(chunk => {
+      const lowConfidence = isLowConfidence(chunk);
+      return {
+        chunkIndex: chunk.chunkIndex,
+        language: chunk.language,
+        mismatch: lowConfidence || (chunk.key !== null && dominantKey !== null && chunk.key !== dominantKey),
+        pinned: chunk.pinned,
+        avgLogprob: chunk.avgLogprob,
+        lowConfidence
+      };
+    })
+  };
+}
@@ -5,16 +5,86 @@
 import { log, clearLogs } from './logger.js';
 import {
   getAudioDuration,
-  generateWaveformData,
+  generateWaveformPeaks,
   formatTime,
   formatSize
 } from './audio-analyzer.js';
-import { calculateChunks, extractChunkBlob } from './chunker.js';
-import { transcribeChunks, validateApiKey, classifyError, ErrorType, RetryConfig } from './groq-client.js';
-import { mergeTranscriptsWithDeduplication } from './deduplication.js';
+import {
+  calculateChunks,
+  buildChunksFromCuts,
+  extractChunkBlob,
+  validateChunkSize,
+  createRangeChunk,
+  createPreviewChunk
+} from './chunker.js';
+import { attachSkips, getSentDuration } from './silence-skipping.js';
+import { measureLevels, amplitudeToDb } from './noise-floor.js';
+import { getCuts, moveCut, addCut, removeCut, snapToSilence } from './cut-editor.js';
+import {
+  transcribeChunks,
+  detectLanguage,
+  validateApiKey,
+  classifyError,
+  ErrorType,
+  RetryConfig
+} from './groq-client.js';
+import { mergeTranscriptsWithDeduplication, MergeStrategy } from './deduplication.js';
+import { RateLimiter } from './rate-limiter.js';
+import {
+  PROVIDERS,
+  DEFAULT_PROVIDER_ID,
+  LANGUAGES,
+  Task,
+  getProvider,
+  supportsTranslation,
+  isEnglishOnlyModel
+} from './providers.js';
+import { parseGlossary, buildChunkPrompt } from './prompt-chain.js';
+import {
+  loadGlossary,
+  saveGlossary,
+  createGlossaryEntry,
+  applyGlossary,
+  applyGlossaryToText
+} from './glossary.js';
+import { createLanguageSampleChunk, getLanguageName } from './language-detection.js';
+import {
+  analyzeSegments,
+  markSuspiciousWords,
+  spliceRangeIntoResult,
+  SuspicionReason
+} from './hallucination-analyzer.js';
+import { buildCues, formatSrt, formatVtt, SubtitleDefaults } from './subtitles.js';
+import { createSession, parseSession, restoreSession } from './session.js';
+import { searchTranscript } from './transcript-search.js';
+import { findWordAtTime } from './playback.js';
+import { applyTranscriptEdit } from './transcript-editor.js';
+import {
+  computeFileFingerprint,
+  createJob,
+  deleteJob,
+  describeJob,
+  loadLatestJob,
+  restoreJob,
+  saveJob,
+  saveJobResult
+} from './job-store.js';
+import {
+  countWords,
+  createHistoryEntry,
+  deleteHistoryEntry,
+  getStorageUsage,
+  listHistory,
+  renameHistoryEntry,
+  saveHistoryEntry,
+  searchHistory
+} from './history.js';
 import {
   drawWaveform,
+  zoomView,
+  panView,
   renderChunkMarkers,
+  drawLevelHistogram,
   renderChunkList,
   updateChunkStatus,
   renderProgressPips,
@@ -45,8 +115,39 @@ let currentChunks = null;
 let transcriptionResults = null;
 let mergeStats = null;
 let allWordsRaw = null; // All words before deduplication
+let lastMergeResult = null; // Full merge output, for the session export
+let chunkingOptions = null; // calculateChunks options of the current chunk plan
+let audioDuration = null;
+let importedSessionFile = null; // File metadata of an imported session (there is no audio)
+let currentFingerprint = null; // Identifies the audio file for saved jobs
+let savedJob = null; // Unfinished job from an earlier visit, offered for resume
+let resumedResults = null; // Results restored from savedJob; only the other chunks are sent
+let historyEntries = [];
+let currentHistoryId = null; // History entry of the results on screen, updated by retries
+let renderedWords = []; // Words in transcriptText, in order (one .transcript-word span each)
+let searchMatches = [];
+let currentMatchIndex = -1;
+let playerFile = null; // File loaded in the audio player
+let playerUrl = null;
+let playingWordIndex = -1;
+let editedWords = null; // Manually edited transcript words (null = unedited merge output)
+let resultsOverlapDurationSec = 0; // Overlap of the chunk plan transcriptionResults came from
+const previewAudio = new Audio(); // Plays chunk and overlap previews from the chunk list
+let previewUrl = null;
+let previewButton = null; // Chunk list button of the preview loading or playing
+let detectedSilences = []; // Silences found while analyzing, shown as snap targets for cuts
+let waveformPeaks = null; // Peak pyramid of currentFile (see waveform-peaks.js)
+let waveformView = null; // Visible range of the waveform: {start, end} in seconds
+let levelProfile = null; // Measured levels of currentFile (see noise-floor.js)
+let cutDrag = null; // Cut marker press in progress: {index, startX, moved} (index null = new cut)
+let transcriptionOptions = null; // Provider/task/prompt options of the last run, reused by retries
+let glossaryEntries = [];
+let suspiciousSegments = [];
+let transcriptWords = null; // Merged, glossary-corrected words (null without word timestamps)
 let startTime = null;
 let timerInterval = null;
+let rateLimitInterval = null;
+let rateLimitWaitUntil = 0;
 let ffmpegLoadAttempted = false;
 
 // Pre-flight check UI elements
@@ -92,15 +193,47 @@ const processingState = {
 // DOM Elements
 const elements = {
   // Config
+  provider: document.getElementById('provider'),
+  providerInfo: document.getElementById('providerInfo'),
+  providerUrlItem: document.getElementById('providerUrlItem'),
+  providerUrl: document.getElementById('providerUrl'),
+  task: document.getElementById('task'),
+  model: document.getElementById('model'),
+  modelHint: document.getElementById('modelHint'),
+  language: document.getElementById('language'),
+  detectLanguage: document.getElementById('detectLanguage'),
+  temperature: document.getElementById('temperature'),
+  temperatureValue: document.getElementById('temperatureValue'),
+  taskHint: document.getElementById('taskHint'),
   apiKey: document.getElementById('apiKey'),
+  apiKeyLabel: document.getElementById('apiKeyLabel'),
+  apiKeyHint: document.getElementById('apiKeyHint'),
   chunkLength: document.getElementById('chunkLength'),
   chunkLengthValue: document.getElementById('chunkLengthValue'),
   silenceWindow: document.getElementById('silenceWindow'),
   silenceWindowValue: document.getElementById('silenceWindowValue'),
   silenceThreshold: document.getElementById('silenceThreshold'),
+  silenceThresholdAuto: document.getElementById('silenceThresholdAuto'),
+  levelPanel: document.getElementById('levelPanel'),
+  levelHistogram: document.getElementById('levelHistogram'),
+  levelSummary: document.getElementById('levelSummary'),
+  useVad: document.getElementById('useVad'),
   silenceThresholdValue: document.getElementById('silenceThresholdValue'),
   overlapDuration: document.getElementById('overlapDuration'),
   overlapDurationValue: document.getElementById('overlapDurationValue'),
+  skipSilence: document.getElementById('skipSilence'),
+  skipSilenceValue: document.getElementById('skipSilenceValue'),
+  concurrency: document.getElementById('concurrency'),
+  concurrencyValue: document.getElementById('concurrencyValue'),
+  requestsPerMinute: document.getElementById('requestsPerMinute'),
+  requestsPerMinuteValue: document.getElementById('requestsPerMinuteValue'),
+  audioSecondsPerHour: document.getElementById('audioSecondsPerHour'),
+  audioSecondsPerHourValue: document.getElementById('audioSecondsPerHourValue'),
+  glossaryTerm: document.getElementById('glossaryTerm'),
+  glossaryVariants: document.getElementById('glossaryVariants'),
+  glossaryAddBtn: document.getElementById('glossaryAddBtn'),
+  glossaryList: document.getElementById('glossaryList'),
+  promptChaining: document.getElementById('promptChaining'),
 
   // Upload
   uploadArea: document.getElementById('uploadArea'),
@@ -116,9 +249,30 @@ const elements = {
   testAudioSelect: document.getElementById('testAudioSelect'),
   loadTestAudioBtn: document.getElementById('loadTestAudioBtn'),
 
+  // Saved job resume
+  resumeBanner: document.getElementById('resumeBanner'),
+  resumeText: document.getElementById('resumeText'),
+  resumeJobBtn: document.getElementById('resumeJobBtn'),
+  discardJobBtn: document.getElementById('discardJobBtn'),
+
+  // History
+  historyUsage: document.getElementById('historyUsage'),
+  historySearch: document.getElementById('historySearch'),
+  historyList: document.getElementById('historyList'),
+  historyEmpty: document.getElementById('historyEmpty'),
+
+  // Session import
+  sessionFile: document.getElementById('sessionFile'),
+  importSessionBtn: document.getElementById('importSessionBtn'),
+
   // Analysis
   analysisSection: document.getElementById('analysisSection'),
   waveformCanvas: document.getElementById('waveformCanvas'),
+  waveformContainer: document.getElementById('waveformContainer'),
+  waveformRange: document.getElementById('waveformRange'),
+  zoomInBtn: document.getElementById('zoomInBtn'),
+  zoomOutBtn: document.getElementById('zoomOutBtn'),
+  zoomFitBtn: document.getElementById('zoomFitBtn'),
   chunkMarkers: document.getElementById('chunkMarkers'),
   chunkList: document.getElementById('chunkList'),
   analyzeBtn: document.getElementById('analyzeBtn'),
@@ -135,18 +289,53 @@ const elements = {
   tabWarning: document.getElementById('tabWarning'),
   retryStatus: document.getElementById('retryStatus'),
   retryText: document.getElementById('retryText'),
+  rateLimitStatus: document.getElementById('rateLimitStatus'),
+  rateLimitText: document.getElementById('rateLimitText'),
 
   // Results
   resultsSection: document.getElementById('resultsSection'),
+  resultsModeBadge: document.getElementById('resultsModeBadge'),
+  mergeMethodNotice: document.getElementById('mergeMethodNotice'),
+  mergeMethodText: document.getElementById('mergeMethodText'),
   mergeStats: document.getElementById('mergeStats'),
   overlapsMerged: document.getElementById('overlapsMerged'),
   wordsDeduplicated: document.getElementById('wordsDeduplicated'),
   copyBtn: document.getElementById('copyBtn'),
   downloadBtn: document.getElementById('downloadBtn'),
+  remergeBtn: document.getElementById('remergeBtn'),
+  mergeStrategy: document.getElementById('mergeStrategy'),
+  mergeTolerance: document.getElementById('mergeTolerance'),
+  downloadFormat: document.getElementById('downloadFormat'),
+  subtitleOptions: document.getElementById('subtitleOptions'),
+  subtitleMaxChars: document.getElementById('subtitleMaxChars'),
+  subtitleMaxLines: document.getElementById('subtitleMaxLines'),
+  subtitleMaxDuration: document.getElementById('subtitleMaxDuration'),
   retryFailedBtn: document.getElementById('retryFailedBtn'),
   failedChunksWarning: document.getElementById('failedChunksWarning'),
   failedChunksText: document.getElementById('failedChunksText'),
   transcriptText: document.getElementById('transcriptText'),
+  transcriptContainer: document.getElementById('transcriptContainer'),
+  editTranscriptBtn: document.getElementById('editTranscriptBtn'),
+  revertEditsBtn: document.getElementById('revertEditsBtn'),
+  transcriptEditor: document.getElementById('transcriptEditor'),
+  transcriptEditorText: /** @type {HTMLTextAreaElement} */ (document.getElementById('transcriptEditorText')),
+  saveEditsBtn: document.getElementById('saveEditsBtn'),
+  cancelEditsBtn: document.getElementById('cancelEditsBtn'),
+  audioPlayer: /** @type {HTMLAudioElement} */ (document.getElementById('audioPlayer')),
+  transcriptSearch: document.getElementById('transcriptSearch'),
+  searchCount: document.getElementById('searchCount'),
+  searchPrevBtn: document.getElementById('searchPrevBtn'),
+  searchNextBtn: document.getElementById('searchNextBtn'),
+  searchResults: document.getElementById('searchResults'),
+  suspiciousSegments: document.getElementById('suspiciousSegments'),
+  suspiciousCount: document.getElementById('suspiciousCount'),
+  suspiciousList: document.getElementById('suspiciousList'),
+  retranscribeControls: document.getElementById('retranscribeControls'),
+  retranscribeModel: document.getElementById('retranscribeModel'),
+  retranscribeTemperature: document.getElementById('retranscribeTemperature'),
+  glossaryCorrections: document.getElementById('glossaryCorrections'),
+  glossaryCorrectionCount: document.getElementById('glossaryCorrectionCount'),
+  glossaryCorrectionList: document.getElementById('glossaryCorrectionList'),
   chunkTranscripts: document.getElementById('chunkTranscripts'),
 
   // Debug View
@@ -189,10 +378,15 @@ async function init() {
   // Initialize pre-flight check UI
   initPreflightCheck();
 
+  populateProviderSelect();
   setupEventListeners();
   loadSavedSettings();
+  glossaryEntries = loadGlossary();
+  renderGlossaryList();
   loadApiKeyFromEnv();
   loadTestAudioManifest();
+  checkSavedJob();
+  refreshHistory();
 
   // Start loading FFmpeg in background on page load
   ensureFFmpegLoaded();
@@ -282,7 +476,115 @@ function loadApiKeyFromEnv() {
   }
 }
 
+/**
+ * Fill the provider and language dropdowns from the provider registry
+ */
+function populateProviderSelect() {
+  elements.provider.innerHTML = '';
+  for (const provider of Object.values(PROVIDERS)) {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.name;
+    elements.provider.appendChild(option);
+  }
+  elements.provider.value = DEFAULT_PROVIDER_ID;
+
+  for (const language of LANGUAGES) {
+    const option = document.createElement('option');
+    option.value = language.code;
+    option.textContent = language.name;
+    elements.language.appendChild(option);
+  }
+
+  updateProviderUI();
+}
+
+/**
+ * Provider selected for this run, with any custom server URL applied
+ */
+function getSelectedProvider() {
+  return getProvider(elements.provider.value, { baseUrl: elements.providerUrl.value });
+}
+
+/**
+ * Update provider-dependent labels and fields
+ * @param {string} [preferredModel] - Model to select if this provider serves it
+ */
+function updateProviderUI(preferredModel = elements.model.value) {
+  const provider = getProvider(elements.provider.value);
+
+  // Rebuild the model list, keeping the selection if this provider serves it
+  elements.model.innerHTML = '';
+  for (const model of provider.models) {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    elements.model.appendChild(option);
+  }
+  elements.model.value = provider.models.includes(preferredModel) ? preferredModel : provider.defaultModel;
+
+  elements.providerInfo.textContent = `Max upload ${provider.maxUploadMB}MB • ${provider.supportsWordTimestamps
+    ? 'word timestamps supported'
+    : 'no word timestamps (text-based merge)'}`;
+
+  elements.providerUrlItem.hidden = !provider.selfHosted;
+  elements.providerUrl.placeholder = provider.baseUrl;
+
+  elements.apiKeyLabel.textContent = provider.requiresApiKey ? `${provider.name} API Key` : 'API Key (optional)';
+  elements.apiKey.placeholder = provider.apiKeyPrefix ? `${provider.apiKeyPrefix}...` : '';
+  elements.apiKeyHint.textContent = `Your key is never stored or sent anywhere except ${provider.selfHosted ? 'your server' : provider.name}`;
+
+  // Translation is only offered where the provider has an endpoint for it
+  const translateOption = elements.task.querySelector(`option[value="${Task.TRANSLATE}"]`);
+  translateOption.disabled = !supportsTranslation(provider);
+  if (translateOption.disabled && elements.task.value === Task.TRANSLATE) {
+    elements.task.value = Task.TRANSCRIBE;
+  }
+  elements.taskHint.textContent = supportsTranslation(provider)
+    ? `Translation uses ${provider.name}'s ${provider.translationPath} endpoint (${provider.translationModel}, no word timestamps)`
+    : `${provider.name} does not offer translation`;
+
+  // Translation always runs on the provider's translation model, and
+  // English-only models make the language choice moot
+  const isTranslation = elements.task.value === Task.TRANSLATE;
+  const englishOnly = isEnglishOnlyModel(elements.model.value);
+  elements.model.disabled = isTranslation;
+  elements.language.disabled = isTranslation || englishOnly;
+  if (isTranslation) {
+    elements.modelHint.textContent = `Translation uses ${provider.translationModel}`;
+  } else if (englishOnly) {
+    elements.modelHint.textContent = 'English-only model - language is fixed to English';
+  } else {
+    elements.modelHint.textContent = 'Turbo and distil models are faster; large-v3 is most accurate';
+  }
+}
+
 function setupEventListeners() {
+  // Provider
+  elements.provider.addEventListener('change', () => {
+    updateProviderUI();
+    saveSettings();
+  });
+
+  elements.providerUrl.addEventListener('change', saveSettings);
+  elements.task.addEventListener('change', () => {
+    updateProviderUI();
+    saveSettings();
+  });
+
+  elements.model.addEventListener('change', () => {
+    updateProviderUI();
+    saveSettings();
+  });
+
+  elements.language.addEventListener('change', saveSettings);
+  elements.detectLanguage.addEventListener('change', saveSettings);
+
+  elements.temperature.addEventListener('input', (e) => {
+    elements.temperatureValue.textContent = e.target.value;
+    saveSettings();
+  });
+
   // Config sliders
   elements.chunkLength.addEventListener('input', (e) => {
     elements.chunkLengthValue.textContent = e.target.value;
@@ -296,14 +598,64 @@ function setupEventListeners() {
 
   elements.silenceThreshold.addEventListener('input', (e) => {
     elements.silenceThresholdValue.textContent = e.target.value;
+    showLevelProfile();
     saveSettings();
   });
 
+  elements.silenceThresholdAuto.addEventListener('change', async () => {
+    elements.silenceThreshold.disabled = elements.silenceThresholdAuto.checked;
+    saveSettings();
+    if (elements.silenceThresholdAuto.checked && currentFile) {
+      try {
+        await measureSilenceThreshold();
+      } catch (error) {
+        log(`Level measurement failed: ${error.message}`, 'warning');
+      }
+    }
+  });
+
   elements.overlapDuration.addEventListener('input', (e) => {
     elements.overlapDurationValue.textContent = e.target.value;
     saveSettings();
   });
 
+  elements.skipSilence.addEventListener('input', (e) => {
+    elements.skipSilenceValue.textContent = e.target.value;
+    saveSettings();
+  });
+
+  elements.concurrency.addEventListener('input', (e) => {
+    elements.concurrencyValue.textContent = e.target.value;
+    saveSettings();
+  });
+
+  elements.requestsPerMinute.addEventListener('input', (e) => {
+    elements.requestsPerMinuteValue.textContent = e.target.value;
+    saveSettings();
+  });
+
+  elements.audioSecondsPerHour.addEventListener('input', (e) => {
+    elements.audioSecondsPerHourValue.textContent = e.target.value;
+    saveSettings();
+  });
+
+  elements.glossaryAddBtn.addEventListener('click', handleGlossaryAdd);
+  for (const input of [elements.glossaryTerm, elements.glossaryVariants]) {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {handleGlossaryAdd();}
+    });
+  }
+  elements.glossaryList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-glossary-index]');
+    if (button) {
+      glossaryEntries.splice(parseInt(button.dataset.glossaryIndex), 1);
+      saveGlossary(glossaryEntries);
+      renderGlossaryList();
+    }
+  });
+  elements.promptChaining.addEventListener('change', saveSettings);
+  elements.useVad.addEventListener('change', saveSettings);
+
   // File upload
   elements.browseBtn.addEventListener('click', () => elements.audioFile.click());
   elements.uploadArea.addEventListener('click', (e) => {
@@ -344,13 +696,61 @@ function setupEventListeners() {
   });
   elements.loadTestAudioBtn.addEventListener('click', handleLoadTestAudio);
 
+  // Saved job resume
+  elements.resumeJobBtn.addEventListener('click', () => elements.audioFile.click());
+  elements.discardJobBtn.addEventListener('click', handleDiscardJob);
+
+  // History
+  elements.historySearch.addEventListener('input', renderHistoryList);
+  elements.historyList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-history-action]');
+    if (button) {
+      handleHistoryAction(button.dataset.historyAction, button.dataset.historyId);
+    }
+  });
+  elements.historyList.addEventListener('change', (e) => {
+    if (e.target.matches('.history-title')) {
+      handleHistoryRename(e.target.dataset.historyId, e.target.value);
+    }
+  });
+
+  // Session import
+  elements.importSessionBtn.addEventListener('click', () => elements.sessionFile.click());
+  elements.sessionFile.addEventListener('change', (e) => {
+    if (e.target.files[0]) {
+      handleSessionImport(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+
   // Actions
   elements.analyzeBtn.addEventListener('click', handleAnalyze);
   elements.transcribeBtn.addEventListener('click', handleTranscribe);
 
   // Results
   elements.copyBtn.addEventListener('click', handleCopyText);
+  elements.suspiciousList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-suspicious-index]');
+    if (button) {
+      handleRetranscribeRange(parseInt(button.dataset.suspiciousIndex), button);
+    }
+  });
   elements.downloadBtn.addEventListener('click', handleDownload);
+  elements.remergeBtn.addEventListener('click', () => {
+    if (transcriptionResults) {
+      discardEdits('the transcript was merged again');
+      showResults();
+    }
+  });
+  elements.downloadFormat.addEventListener('change', () => {
+    elements.subtitleOptions.hidden = !SUBTITLE_FORMATS.includes(elements.downloadFormat.value);
+    saveSettings();
+  });
+  for (const input of [elements.subtitleMaxChars, elements.subtitleMaxLines, elements.subtitleMaxDuration]) {
+    input.addEventListener('change', saveSettings);
+  }
+  elements.mergeStrategy.addEventListener('change', saveSettings);
+  elements.mergeTolerance.addEventListener('change', saveSettings);
   elements.retryFailedBtn.addEventListener('click', handleRetryFailed);
 
   // Debug View
@@ -369,6 +769,71 @@ function setupEventListeners() {
     if (allWordsRaw) {renderWordTimeline();}
   });
 
+  // Waveform zoom and pan
+  elements.zoomInBtn.addEventListener('click', () => zoomWaveform(1 / WAVEFORM_ZOOM_STEP));
+  elements.zoomOutBtn.addEventListener('click', () => zoomWaveform(WAVEFORM_ZOOM_STEP));
+  elements.zoomFitBtn.addEventListener('click', () => {
+    if (waveformView) {
+      waveformView = { start: 0, end: waveformDuration() };
+      renderWaveform();
+    }
+  });
+  elements.waveformContainer.addEventListener('wheel', handleWaveformWheel, { passive: false });
+  window.addEventListener('resize', renderWaveform);
+  window.addEventListener('resize', showLevelProfile);
+
+  // Cut editing on the waveform: drag, add (click) and remove (double-click) cuts
+  elements.chunkMarkers.addEventListener('pointerdown', handleCutPointerDown);
+  elements.chunkMarkers.addEventListener('pointermove', handleCutPointerMove);
+  elements.chunkMarkers.addEventListener('pointerup', handleCutPointerUp);
+  elements.chunkMarkers.addEventListener('pointercancel', () => {
+    cutDrag = null;
+    elements.chunkMarkers.classList.remove('dragging');
+  });
+  elements.chunkMarkers.addEventListener('dblclick', handleCutDoubleClick);
+
+  // Chunk previews: play a chunk or overlap zone exactly as it is extracted
+  elements.chunkList.addEventListener('click', (e) => {
+    const button = /** @type {HTMLElement} */ (e.target).closest('.chunk-preview-btn');
+    if (button) {
+      handleChunkPreview(/** @type {HTMLButtonElement} */ (button));
+    }
+  });
+  previewAudio.addEventListener('ended', stopChunkPreview);
+
+  // Transcript editing
+  elements.editTranscriptBtn.addEventListener('click', handleEditTranscript);
+  elements.saveEditsBtn.addEventListener('click', handleSaveEdits);
+  elements.cancelEditsBtn.addEventListener('click', closeTranscriptEditor);
+  elements.revertEditsBtn.addEventListener('click', () => {
+    discardEdits('reverted to the merged transcript');
+    if (transcriptionResults) {
+      showResults();
+    }
+  });
+
+  // Playback: highlight the word being spoken, click a word to seek
+  elements.audioPlayer.addEventListener('play', () => requestAnimationFrame(followPlayback));
+  elements.audioPlayer.addEventListener('seeked', updatePlayingWord);
+  elements.transcriptText.addEventListener('click', handleTranscriptWordClick);
+
+  // Transcript search
+  elements.transcriptSearch.addEventListener('input', runTranscriptSearch);
+  elements.transcriptSearch.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      stepSearchMatch(e.shiftKey ? -1 : 1);
+    }
+  });
+  elements.searchPrevBtn.addEventListener('click', () => stepSearchMatch(-1));
+  elements.searchNextBtn.addEventListener('click', () => stepSearchMatch(1));
+  elements.searchResults.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-match-index]');
+    if (item) {
+      goToSearchMatch(parseInt(item.dataset.matchIndex));
+    }
+  });
+
   elements.jumpToTime.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
       jumpToTimeInWordList();
@@ -409,11 +874,718 @@ function handleBeforeUnload(e) {
   }
 }
 
+/**
+ * Add the term in the glossary inputs, merging variants into an existing entry
+ */
+function handleGlossaryAdd() {
+  const entry = createGlossaryEntry(elements.glossaryTerm.value, elements.glossaryVariants.value);
+  if (!entry) {
+    elements.glossaryTerm.focus();
+    return;
+  }
+
+  const existing = glossaryEntries.find(e => e.term.toLowerCase() === entry.term.toLowerCase());
+  if (existing) {
+    existing.term = entry.term;
+    existing.variants = [...new Set([...existing.variants, ...entry.variants])];
+  } else {
+    glossaryEntries.push(entry);
+  }
+
+  saveGlossary(glossaryEntries);
+  renderGlossaryList();
+  elements.glossaryTerm.value = '';
+  elements.glossaryVariants.value = '';
+  elements.glossaryTerm.focus();
+}
+
+function renderGlossaryList() {
+  elements.glossaryList.innerHTML = glossaryEntries.map((entry, index) => `
+    <li class="glossary-entry">
+      <span class="glossary-term">${escapeHtml(entry.term)}</span>
+      ${entry.variants.length > 0 ? `<span class="glossary-variants">← ${escapeHtml(entry.variants.join(', '))}</span>` : ''}
+      <button class="btn-small" data-glossary-index="${index}" title="Remove">✕</button>
+    </li>
+  `).join('');
+}
+
+/**
+ * Render the merged transcript, highlighting suspicious words
+ * Each word gets its own span (for search and seeking); runs of marked words
+ * share one <mark>, so textContent (copy/download) is still the words joined
+ * by spaces.
+ */
+function renderTranscriptWords(words) {
+  elements.transcriptText.textContent = '';
+  renderedWords = words;
+  playingWordIndex = -1;
+  if (words.length === 0) {
+    elements.transcriptText.textContent = '(No transcription results)';
+    return;
+  }
+
+  let run = null;
+  words.forEach((w, i) => {
+    if (!w.suspicious) {
+      run = null;
+    }
+    if (i > 0) {
+      (run || elements.transcriptText).append(' ');
+    }
+    if (w.suspicious && !run) {
+      run = document.createElement('mark');
+      run.className = 'suspicious-word';
+      run.title = `Suspicious: ${w.suspicious.join(', ')}`;
+      elements.transcriptText.appendChild(run);
+    }
+    const span = document.createElement('span');
+    span.className = 'transcript-word';
+    span.dataset.wordIndex = String(i);
+    span.textContent = w.word;
+    (run || elements.transcriptText).append(span);
+  });
+}
+
+// Cut editing: a dragged or added cut snaps to a silence within this many
+// pixels, and a marker has to move this far before a press becomes a drag
+const CUT_SNAP_PX = 12;
+const CUT_DRAG_THRESHOLD_PX = 3;
+
+// Zoom factor of the waveform zoom buttons
+const WAVEFORM_ZOOM_STEP = 2;
+
+/**
+ * Cuts can be edited until transcription starts (and not on a resumed job,
+ * whose saved results belong to its chunks)
+ * @returns {boolean}
+ */
+function canEditCuts() {
+  return Boolean(currentFile && currentChunks && audioDuration && chunkingOptions) &&
+    !resumedResults && !processingState.isProcessing;
+}
+
+/**
+ * Render chunk markers, silences and (when allowed) cut editing handles
+ */
+function renderCutMarkers() {
+  if (!currentChunks || !audioDuration) {return;}
+  renderChunkMarkers(elements.chunkMarkers, currentChunks, audioDuration, {
+    silences: detectedSilences,
+    editable: canEditCuts(),
+    view: waveformView || { start: 0, end: audioDuration }
+  });
+}
+
+/**
+ * Duration the waveform view spans, from the peaks or the analysis
+ * @returns {number}
+ */
+function waveformDuration() {
+  return audioDuration || waveformPeaks?.duration || 0;
+}
+
+/**
+ * Draw the visible part of the waveform and the markers over it
+ */
+function renderWaveform() {
+  if (!waveformPeaks || !waveformView) {return;}
+  drawWaveform(elements.waveformCanvas, waveformPeaks, waveformView);
+  renderCutMarkers();
+  elements.waveformRange.textContent = `${formatTime(waveformView.start)} – ${formatTime(waveformView.end)}`;
+}
+
+/**
+ * Show the level histogram of the current file against the threshold in use
+ */
+function showLevelProfile() {
+  elements.levelPanel.hidden = !levelProfile;
+  if (!levelProfile) {return;}
+
+  const threshold = parseFloat(elements.silenceThreshold.value);
+  drawLevelHistogram(elements.levelHistogram, levelProfile, amplitudeToDb(threshold));
+  elements.levelSummary.textContent =
+    `Noise floor ${levelProfile.noiseFloorDb.toFixed(0)} dB, speech ${levelProfile.speechLevelDb.toFixed(0)} dB - ` +
+    `suggested threshold ${levelProfile.threshold} (${levelProfile.thresholdDb.toFixed(0)} dB)`;
+}
+
+/**
+ * Measure the current file's levels and, with Auto on, set the threshold
+ * @returns {Promise<void>}
+ */
+async function measureSilenceThreshold() {
+  const file = currentFile;
+  elements.levelPanel.hidden = false;
+  try {
+    const profile = await measureLevels(file, audioDuration, (pct) => {
+      elements.levelSummary.textContent = `Measuring levels... ${Math.round(pct)}%`;
+    });
+    if (file !== currentFile) {return;}
+
+    levelProfile = profile;
+    if (elements.silenceThresholdAuto.checked) {
+      elements.silenceThreshold.value = String(profile.threshold);
+      elements.silenceThresholdValue.textContent = String(profile.threshold);
+    }
+  } finally {
+    if (file === currentFile) {showLevelProfile();}
+  }
+}
+
+/**
+ * Zoom the waveform around a time (the middle of the view by default)
+ * @param {number} factor - Below 1 zooms in
+ * @param {number} [anchor] - Seconds
+ */
+function zoomWaveform(factor, anchor) {
+  if (!waveformView) {return;}
+  const center = anchor ?? (waveformView.start + waveformView.end) / 2;
+  waveformView = zoomView(waveformView, factor, center, waveformDuration());
+  renderWaveform();
+}
+
+/**
+ * Ctrl/Cmd + wheel (and trackpad pinch) zooms at the pointer; Shift + wheel
+ * and horizontal scrolling pan. A plain wheel still scrolls the page.
+ * @param {WheelEvent} e
+ */
+function handleWaveformWheel(e) {
+  if (!waveformView) {return;}
+  const rect = elements.waveformContainer.getBoundingClientRect();
+  const span = waveformView.end - waveformView.start;
+
+  if (e.ctrlKey || e.metaKey) {
+    e.preventDefault();
+    const anchor = waveformView.start + ((e.clientX - rect.left) / rect.width) * span;
+    zoomWaveform(Math.exp(e.deltaY * 0.002), anchor);
+  } else if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+    e.preventDefault();
+    const deltaPx = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+    waveformView = panView(waveformView, (deltaPx / rect.width) * span, waveformDuration());
+    renderWaveform();
+  }
+}
+
+/**
+ * Rebuild the chunk plan from edited cuts and update the waveform and chunk list
+ * @param {import('./chunker.js').Cut[]} cuts
+ */
+function setCuts(cuts) {
+  // Skipped silences don't depend on the cuts - carry them over to the new chunks
+  const skips = currentChunks.flatMap(c => c.skips || []);
+  currentChunks = attachSkips(buildChunksFromCuts(cuts, audioDuration, chunkingOptions.overlapDurationSec), skips);
+  chunkingOptions = { ...chunkingOptions, manualCuts: true };
+  renderCutMarkers();
+  stopChunkPreview();
+  renderChunkList(elements.chunkList, currentChunks);
+}
+
+/**
+ * Audio time under the pointer, snapped to a nearby silence unless Alt is held
+ * @param {PointerEvent} e
+ * @returns {number}
+ */
+function cutTimeAtPointer(e) {
+  const rect = elements.chunkMarkers.getBoundingClientRect();
+  const view = waveformView || { start: 0, end: audioDuration };
+  const span = view.end - view.start;
+  const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+  const time = view.start + fraction * span;
+  if (e.altKey) {return time;}
+
+  const toleranceSec = (CUT_SNAP_PX / rect.width) * span;
+  return snapToSilence(time, detectedSilences, toleranceSec);
+}
+
+/**
+ * @param {PointerEvent} e
+ */
+function handleCutPointerDown(e) {
+  if (!canEditCuts() || e.button !== 0) {return;}
+
+  const marker = /** @type {HTMLElement} */ (e.target).closest('.chunk-marker');
+  cutDrag = {
+    index: marker ? Number(/** @type {HTMLElement} */ (marker).dataset.cutIndex) : null,
+    startX: e.clientX,
+    moved: false
+  };
+  if (marker) {
+    e.preventDefault();
+    elements.chunkMarkers.setPointerCapture(e.pointerId);
+    elements.chunkMarkers.classList.add('dragging');
+  }
+}
+
+/**
+ * @param {PointerEvent} e
+ */
+function handleCutPointerMove(e) {
+  if (!cutDrag || cutDrag.index === null) {return;}
+  // Ignore jitter so a click (or double-click) doesn't move the cut
+  if (!cutDrag.moved && Math.abs(e.clientX - cutDrag.startX) < CUT_DRAG_THRESHOLD_PX) {return;}
+
+  cutDrag.moved = true;
+  setCuts(moveCut(getCuts(currentChunks), cutDrag.index, cutTimeAtPointer(e), audioDuration));
+}
+
+/**
+ * Finish a drag, or add a cut where the empty waveform was clicked
+ * @param {PointerEvent} e
+ */
+function handleCutPointerUp(e) {
+  if (!cutDrag) {return;}
+  const { index, moved } = cutDrag;
+  cutDrag = null;
+  elements.chunkMarkers.classList.remove('dragging');
+
+  if (index !== null) {
+    if (moved) {
+      log(`Cut ${index + 1} moved to ${formatTime(currentChunks[index + 1].logicalStart)}`);
+    }
+    return;
+  }
+
+  const cuts = getCuts(currentChunks);
+  const time = cutTimeAtPointer(e);
+  const added = addCut(cuts, time, audioDuration);
+  if (added === cuts) {
+    log(`No cut added at ${formatTime(time)} - too close to another cut or the end`, 'warning');
+    return;
+  }
+  setCuts(added);
+  log(`Cut added at ${formatTime(time)} (${currentChunks.length} chunks)`);
+}
+
+/**
+ * Remove the double-clicked cut, merging its two chunks
+ * @param {MouseEvent} e
+ */
+function handleCutDoubleClick(e) {
+  const marker = /** @type {HTMLElement} */ (e.target).closest('.chunk-marker');
+  if (!marker || !canEditCuts()) {return;}
+
+  const index = Number(/** @type {HTMLElement} */ (marker).dataset.cutIndex);
+  const time = currentChunks[index + 1].logicalStart;
+  setCuts(removeCut(getCuts(currentChunks), index));
+  log(`Cut at ${formatTime(time)} removed (${currentChunks.length} chunks)`);
+}
+
+/**
+ * Play a chunk or one of its overlap zones, or stop it if it is playing
+ * @param {HTMLButtonElement} button - Chunk list preview button
+ */
+async function handleChunkPreview(button) {
+  if (button === previewButton) {
+    stopChunkPreview();
+    return;
+  }
+  stopChunkPreview();
+  if (!currentFile || !currentChunks) {return;}
+
+  const item = /** @type {HTMLElement} */ (button.closest('.chunk-item'));
+  const chunk = currentChunks.find(c => c.index === Number(item.dataset.chunkIndex));
+  const previewChunk = chunk && createPreviewChunk(chunk, /** @type {any} */ (button.dataset.preview));
+  if (!previewChunk) {return;}
+
+  previewButton = button;
+  button.dataset.label = button.textContent;
+  button.textContent = '⏳';
+
+  try {
+    // Same extraction as the upload, so cut points sound exactly as the API hears them
+    const blob = await extractChunkBlob(currentFile, previewChunk);
+    if (previewButton !== button) {return;}
+
+    previewUrl = URL.createObjectURL(blob);
+    previewAudio.src = previewUrl;
+    await previewAudio.play();
+    button.textContent = '⏹ Stop';
+    button.classList.add('playing');
+  } catch (error) {
+    if (previewButton === button) {
+      log(`Chunk preview failed: ${error.message}`, 'error');
+      stopChunkPreview();
+    }
+  }
+}
+
+/**
+ * Stop the chunk preview and reset its button
+ */
+function stopChunkPreview() {
+  previewAudio.pause();
+  previewAudio.removeAttribute('src');
+  if (previewUrl) {
+    URL.revokeObjectURL(previewUrl);
+    previewUrl = null;
+  }
+  if (previewButton) {
+    previewButton.textContent = previewButton.dataset.label;
+    previewButton.classList.remove('playing');
+    previewButton = null;
+  }
+}
+
+/**
+ * Show the final transcript words and update everything built from them
+ * (search, playback, subtitle export)
+ * @param {Array} words - Glossary-corrected merged words, or the edited ones
+ */
+function showTranscriptWords(words) {
+  const timed = words.length > 0 && words.every(w => typeof w.absoluteStart === 'number');
+  transcriptWords = timed ? words : null;
+  renderTranscriptWords(timed ? markSuspiciousWords(words, suspiciousSegments) : words);
+  runTranscriptSearch();
+  loadPlayer();
+
+  // Subtitles need word timestamps
+  for (const option of elements.downloadFormat.options) {
+    option.disabled = SUBTITLE_FORMATS.includes(option.value) && !transcriptWords;
+  }
+  if (elements.downloadFormat.selectedOptions[0]?.disabled) {
+    elements.downloadFormat.value = 'txt';
+    elements.subtitleOptions.hidden = true;
+  }
+}
+
+function handleEditTranscript() {
+  elements.transcriptEditorText.value = renderedWords.map(w => w.word).join(' ');
+  elements.transcriptEditor.hidden = false;
+  elements.transcriptContainer.hidden = true;
+  elements.editTranscriptBtn.disabled = true;
+  elements.transcriptEditorText.focus();
+}
+
+function closeTranscriptEditor() {
+  elements.transcriptEditor.hidden = true;
+  elements.transcriptContainer.hidden = false;
+  elements.editTranscriptBtn.disabled = false;
+}
+
+function handleSaveEdits() {
+  const base = editedWords || transcriptWords || renderedWords;
+  editedWords = applyTranscriptEdit(base, elements.transcriptEditorText.value);
+  closeTranscriptEditor();
+  showTranscriptWords(editedWords);
+  elements.revertEditsBtn.hidden = false;
+
+  const changed = editedWords.filter(w => w.edited).length;
+  log(`Transcript edited: ${changed} word(s) changed or added, ${editedWords.length} words in total`, 'success');
+
+  if (currentHistoryId) {
+    saveToHistory();
+  }
+}
+
+/**
+ * Drop manual edits, e.g. because the results they were made on changed
+ * @param {string} [reason] - Logged when there were edits to drop
+ */
+function discardEdits(reason) {
+  if (editedWords && reason) {
+    log(`Transcript edits discarded: ${reason}`, 'warning');
+  }
+  editedWords = null;
+  elements.revertEditsBtn.hidden = true;
+  closeTranscriptEditor();
+}
+
+/**
+ * Load currentFile into the player (imported sessions have no audio)
+ */
+function loadPlayer() {
+  if (!currentFile) {
+    resetPlayer();
+    return;
+  }
+  if (playerFile !== currentFile) {
+    resetPlayer();
+    playerFile = currentFile;
+    playerUrl = URL.createObjectURL(currentFile);
+    elements.audioPlayer.src = playerUrl;
+  }
+  elements.audioPlayer.hidden = false;
+  elements.transcriptText.classList.toggle('seekable', renderedWords.some(w => typeof w.absoluteStart === 'number'));
+}
+
+function resetPlayer() {
+  elements.audioPlayer.pause();
+  elements.audioPlayer.removeAttribute('src');
+  elements.audioPlayer.hidden = true;
+  elements.transcriptText.classList.remove('seekable');
+  if (playerUrl) {
+    URL.revokeObjectURL(playerUrl);
+  }
+  playerFile = null;
+  playerUrl = null;
+}
+
+function followPlayback() {
+  updatePlayingWord();
+  if (!elements.audioPlayer.paused) {
+    requestAnimationFrame(followPlayback);
+  }
+}
+
+/**
+ * Move the playing highlight to the word at the player's current time
+ */
+function updatePlayingWord() {
+  const index = findWordAtTime(renderedWords, elements.audioPlayer.currentTime);
+  if (index === playingWordIndex) {return;}
+
+  const spans = elements.transcriptText.querySelectorAll('.transcript-word');
+  spans[playingWordIndex]?.classList.remove('playing');
+  playingWordIndex = index;
+
+  const span = spans[index];
+  if (!span) {return;}
+  span.classList.add('playing');
+
+  // Keep the word in view inside the transcript box without scrolling the page
+  const container = elements.transcriptText.parentElement;
+  if (span.offsetTop < container.scrollTop || span.offsetTop + span.offsetHeight > container.scrollTop + container.clientHeight) {
+    container.scrollTop = span.offsetTop - container.clientHeight / 3;
+  }
+}
+
+/**
+ * Seek the player to a clicked word
+ */
+function handleTranscriptWordClick(e) {
+  if (!playerFile) {return;}
+
+  const span = e.target.closest('.transcript-word');
+  // Don't seek when the click ends a text selection (copying part of the transcript)
+  if (!span || window.getSelection()?.toString()) {return;}
+
+  const word = renderedWords[parseInt(span.dataset.wordIndex)];
+  if (typeof word?.absoluteStart !== 'number') {return;}
+
+  elements.audioPlayer.currentTime = word.absoluteStart;
+  updatePlayingWord();
+}
+
+/**
+ * Highlight every match of the search box in the transcript and list them
+ * with their timestamps
+ */
+function runTranscriptSearch() {
+  searchMatches = searchTranscript(renderedWords, elements.transcriptSearch.value);
+  currentMatchIndex = -1;
+
+  for (const span of elements.transcriptText.querySelectorAll('.search-match, .search-current')) {
+    span.classList.remove('search-match', 'search-current');
+  }
+
+  const spans = elements.transcriptText.querySelectorAll('.transcript-word');
+  for (const match of searchMatches) {
+    for (let i = match.firstWord; i <= match.lastWord; i++) {
+      spans[i]?.classList.add('search-match');
+    }
+  }
+
+  const query = elements.transcriptSearch.value.trim();
+  elements.searchCount.textContent = query ? `${searchMatches.length} match${searchMatches.length === 1 ? '' : 'es'}` : '';
+  elements.searchPrevBtn.disabled = searchMatches.length === 0;
+  elements.searchNextBtn.disabled = searchMatches.length === 0;
+
+  elements.searchResults.innerHTML = searchMatches.map((match, index) => {
+    const context = renderedWords
+      .slice(Math.max(0, match.firstWord - 4), match.lastWord + 5)
+      .map(w => w.word)
+      .join(' ');
+    const time = match.start !== null ? formatTimeMs(match.start) : '—';
+    return `
+      <li data-match-index="${index}">
+        <span class="search-result-time">${time}</span>
+        <span>${escapeHtml(context)}</span>
+      </li>
+    `;
+  }).join('');
+  elements.searchResults.hidden = searchMatches.length === 0;
+}
+
+/**
+ * @param {number} direction - 1 for next, -1 for previous (wraps around)
+ */
+function stepSearchMatch(direction) {
+  if (searchMatches.length === 0) {return;}
+  const next = currentMatchIndex === -1 && direction < 0
+    ? searchMatches.length - 1
+    : (currentMatchIndex + direction + searchMatches.length) % searchMatches.length;
+  goToSearchMatch(next);
+}
+
+/**
+ * Scroll the transcript and the word timeline to a match
+ * @param {number} index - Index into searchMatches
+ */
+function goToSearchMatch(index) {
+  const match = searchMatches[index];
+  if (!match) {return;}
+  currentMatchIndex = index;
+
+  for (const span of elements.transcriptText.querySelectorAll('.search-current')) {
+    span.classList.remove('search-current');
+  }
+  const spans = elements.transcriptText.querySelectorAll('.transcript-word');
+  for (let i = match.firstWord; i <= match.lastWord; i++) {
+    spans[i]?.classList.add('search-current');
+  }
+  spans[match.firstWord]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  elements.searchCount.textContent = `${index + 1} of ${searchMatches.length}`;
+  for (const item of elements.searchResults.querySelectorAll('li')) {
+    item.classList.toggle('current', item.dataset.matchIndex === String(index));
+  }
+
+  if (match.start !== null && allWordsRaw) {
+    // Open the timeline (hidden by default) so it lands on the match too
+    if (elements.wordTimeline.hidden) {
+      elements.showWordTimestamps.checked = true;
+      elements.wordTimeline.hidden = false;
+      renderWordTimeline();
+    }
+    // Scroll only inside the word list - the page stays on the transcript
+    scrollWordTimelineTo(match.start, { scrollPage: false });
+  }
+}
+
+const SUSPICION_LABELS = {
+  [SuspicionReason.LOW_CONFIDENCE]: 'low confidence',
+  [SuspicionReason.NO_SPEECH]: 'likely silence',
+  [SuspicionReason.REPETITION]: 'repetition',
+  [SuspicionReason.FILLER]: 'filler'
+};
+
+/**
+ * List suspicious segments with a re-transcribe button for each
+ * @param {boolean} canRetranscribe - Re-transcribed ranges are spliced by word timestamps
+ */
+function renderSuspiciousSegments(canRetranscribe) {
+  elements.suspiciousSegments.hidden = suspiciousSegments.length === 0;
+  elements.suspiciousCount.textContent = suspiciousSegments.length;
+  elements.retranscribeControls.hidden = !canRetranscribe;
+  if (suspiciousSegments.length === 0) {return;}
+
+  // Default to the run's model with a higher temperature - Whisper's own
+  // fallback when a decode looks like a hallucination
+  const provider = transcriptionOptions.provider;
+  const runModel = transcriptionOptions.model || provider.defaultModel;
+  const runTemperature = transcriptionOptions.temperature || 0;
+  elements.retranscribeModel.innerHTML = provider.models
+    .map(m => `<option value="${escapeHtml(m)}">${escapeHtml(m)}</option>`)
+    .join('');
+  elements.retranscribeModel.value = provider.models.includes(runModel) ? runModel : provider.defaultModel;
+  elements.retranscribeTemperature.value = String(Math.min(1, Math.round((runTemperature + 0.2) * 5) / 5));
+
+  elements.suspiciousList.innerHTML = suspiciousSegments.map((s, index) => `
+    <li class="suspicious-item">
+      <span class="correction-time">${formatTime(s.start)} → ${formatTime(s.end)}</span>
+      <span class="suspicious-text">
+        ${s.reasons.map(r => `<span class="suspicious-reason">${SUSPICION_LABELS[r]}</span>`).join('')}
+        ${escapeHtml(s.text)}
+      </span>
+      ${canRetranscribe ? `<button class="btn-retry-small" data-suspicious-index="${index}">🔄 Re-transcribe</button>` : ''}
+    </li>
+  `).join('');
+}
+
+/**
+ * Re-transcribe the time range of a suspicious segment and splice it into
+ * its chunk's result
+ */
+async function handleRetranscribeRange(index, button) {
+  const segment = suspiciousSegments[index];
+  const resultIndex = segment
+    ? transcriptionResults.findIndex(r => r.success && r.chunk.index === segment.chunkIndex)
+    : -1;
+  if (resultIndex === -1) {return;}
+
+  const { provider } = transcriptionOptions;
+  const apiKey = elements.apiKey.value.trim();
+  const keyValidation = validateApiKey(apiKey, provider);
+  if (!keyValidation.valid) {
+    log(keyValidation.message, 'error');
+    elements.apiKey.focus();
+    return;
+  }
+
+  const result = transcriptionResults[resultIndex];
+  const range = { start: segment.start, end: segment.end };
+  // A little padding so words at the edges aren't cut mid-way
+  const rangeChunk = createRangeChunk(result.chunk, range.start - 1, range.end + 1);
+  const model = elements.retranscribeModel.value;
+  const temperature = parseFloat(elements.retranscribeTemperature.value);
+
+  button.disabled = true;
+  button.textContent = '⏳ Working...';
+  log(`Re-transcribing ${formatTime(range.start)} → ${formatTime(range.end)} (${model}, temperature ${temperature})...`);
+
+  try {
+    const { transcribeChunkWithRetry } = await import('./groq-client.js');
+    const blob = await extractChunkForProvider(rangeChunk, provider);
+
+    // No prompt: a chained prompt can itself feed a repetition loop
+    const rangeResult = await transcribeChunkWithRetry(blob, apiKey, {
+      ...transcriptionOptions,
+      model,
+      temperature,
+      prompt: ''
+    }, { config: RetryConfig });
+
+    transcriptionResults[resultIndex] = spliceRangeIntoResult(result, rangeResult, rangeChunk, range);
+    log(`Replaced "${segment.text}" with "${rangeResult.text.trim()}"`, 'success');
+    discardEdits('a segment was re-transcribed');
+
+    showResults();
+    saveToHistory();
+  } catch (error) {
+    log(`Re-transcription failed: ${error.message}`, 'error');
+    button.disabled = false;
+    button.textContent = '🔄 Re-transcribe';
+  }
+}
+
+/**
+ * List glossary substitutions in the results for review
+ */
+function renderGlossaryCorrections(substitutions) {
+  elements.glossaryCorrections.hidden = substitutions.length === 0;
+  elements.glossaryCorrectionCount.textContent = substitutions.length;
+  elements.glossaryCorrectionList.innerHTML = substitutions.map(s => `
+    <li>
+      <span class="correction-time">${s.start !== undefined ? formatTime(s.start) : '—'}</span>
+      <del>${escapeHtml(s.original)}</del> → <ins>${escapeHtml(s.replacement)}</ins>
+    </li>
+  `).join('');
+}
+
 function loadSavedSettings() {
   const saved = localStorage.getItem('groqChunkerSettings');
   if (saved) {
     try {
       const settings = JSON.parse(saved);
+      if (settings.provider && PROVIDERS[settings.provider]) {
+        elements.provider.value = settings.provider;
+      }
+      if (settings.providerUrl) {
+        elements.providerUrl.value = settings.providerUrl;
+      }
+      if (settings.task === Task.TRANSLATE || settings.task === Task.TRANSCRIBE) {
+        elements.task.value = settings.task;
+      }
+      if (settings.language !== undefined && LANGUAGES.some(l => l.code === settings.language)) {
+        elements.language.value = settings.language;
+      }
+      if (settings.detectLanguage !== undefined) {
+        elements.detectLanguage.checked = settings.detectLanguage;
+      }
+      if (settings.temperature !== undefined) {
+        elements.temperature.value = settings.temperature;
+        elements.temperatureValue.textContent = settings.temperature;
+      }
+      updateProviderUI(settings.model);
       if (settings.chunkLength) {
         elements.chunkLength.value = settings.chunkLength;
         elements.chunkLengthValue.textContent = settings.chunkLength;
@@ -426,9 +1598,54 @@ function loadSavedSettings() {
         elements.silenceThreshold.value = settings.silenceThreshold;
         elements.silenceThresholdValue.textContent = settings.silenceThreshold;
       }
-      if (settings.overlapDuration !== undefined) {
-        elements.overlapDuration.value = settings.overlapDuration;
-        elements.overlapDurationValue.textContent = settings.overlapDuration;
+      if (settings.silenceThresholdAuto !== undefined) {
+        elements.silenceThresholdAuto.checked = settings.silenceThresholdAuto;
+        elements.silenceThreshold.disabled = settings.silenceThresholdAuto;
+      }
+      if (settings.useVad !== undefined) {
+        elements.useVad.checked = settings.useVad;
+      }
+      if (settings.overlapDuration !== undefined) {
+        elements.overlapDuration.value = settings.overlapDuration;
+        elements.overlapDurationValue.textContent = settings.overlapDuration;
+      }
+      if (settings.skipSilence !== undefined) {
+        elements.skipSilence.value = settings.skipSilence;
+        elements.skipSilenceValue.textContent = settings.skipSilence;
+      }
+      if (settings.concurrency) {
+        elements.concurrency.value = settings.concurrency;
+        elements.concurrencyValue.textContent = settings.concurrency;
+      }
+      if (settings.requestsPerMinute !== undefined) {
+        elements.requestsPerMinute.value = settings.requestsPerMinute;
+        elements.requestsPerMinuteValue.textContent = settings.requestsPerMinute;
+      }
+      if (settings.audioSecondsPerHour !== undefined) {
+        elements.audioSecondsPerHour.value = settings.audioSecondsPerHour;
+        elements.audioSecondsPerHourValue.textContent = settings.audioSecondsPerHour;
+      }
+      // Glossaries used to be a plain term list saved with the settings
+      if (settings.glossary && loadGlossary().length === 0) {
+        saveGlossary(parseGlossary(settings.glossary).map(term => createGlossaryEntry(term)));
+      }
+      if (settings.promptChaining !== undefined) {
+        elements.promptChaining.checked = settings.promptChaining;
+      }
+      if (settings.downloadFormat) {
+        elements.downloadFormat.value = settings.downloadFormat;
+        elements.subtitleOptions.hidden = !SUBTITLE_FORMATS.includes(elements.downloadFormat.value);
+      }
+      if (settings.mergeStrategy && Object.values(MergeStrategy).includes(settings.mergeStrategy)) {
+        elements.mergeStrategy.value = settings.mergeStrategy;
+      }
+      if (settings.mergeTolerance !== undefined) {
+        elements.mergeTolerance.value = settings.mergeTolerance;
+      }
+      if (settings.subtitles) {
+        elements.subtitleMaxChars.value = settings.subtitles.maxCharsPerLine ?? SubtitleDefaults.maxCharsPerLine;
+        elements.subtitleMaxLines.value = settings.subtitles.maxLinesPerCue ?? SubtitleDefaults.maxLinesPerCue;
+        elements.subtitleMaxDuration.value = settings.subtitles.maxCueDuration ?? SubtitleDefaults.maxCueDuration;
       }
     } catch {
       // Ignore invalid saved settings
@@ -438,10 +1655,28 @@ function loadSavedSettings() {
 
 function saveSettings() {
   const settings = {
+    provider: elements.provider.value,
+    providerUrl: elements.providerUrl.value.trim(),
+    task: elements.task.value,
+    model: elements.model.value,
+    language: elements.language.value,
+    detectLanguage: elements.detectLanguage.checked,
+    temperature: elements.temperature.value,
     chunkLength: elements.chunkLength.value,
     silenceWindow: elements.silenceWindow.value,
     silenceThreshold: elements.silenceThreshold.value,
-    overlapDuration: elements.overlapDuration.value
+    silenceThresholdAuto: elements.silenceThresholdAuto.checked,
+    useVad: elements.useVad.checked,
+    overlapDuration: elements.overlapDuration.value,
+    skipSilence: elements.skipSilence.value,
+    concurrency: elements.concurrency.value,
+    requestsPerMinute: elements.requestsPerMinute.value,
+    audioSecondsPerHour: elements.audioSecondsPerHour.value,
+    promptChaining: elements.promptChaining.checked,
+    downloadFormat: elements.downloadFormat.value,
+    mergeStrategy: elements.mergeStrategy.value,
+    mergeTolerance: elements.mergeTolerance.value,
+    subtitles: getSubtitleOptions()
   };
   localStorage.setItem('groqChunkerSettings', JSON.stringify(settings));
 }
@@ -510,11 +1745,26 @@ async function handleFileSelect(file) {
   currentChunks = null;
   transcriptionResults = null;
   mergeStats = null;
+  lastMergeResult = null;
+  audioDuration = null;
+  importedSessionFile = null;
+  resetPlayer();
+  stopChunkPreview();
+  discardEdits();
+  detectedSilences = [];
+  waveformPeaks = null;
+  waveformView = null;
+  levelProfile = null;
+  showLevelProfile();
+  currentFingerprint = null;
+  resumedResults = null;
+  elements.transcribeBtn.textContent = '🚀 Start Transcription';
 
   log(`File selected: ${file.name} (${formatSize(file.size)})`);
 
   try {
     const duration = await getAudioDuration(file);
+    audioDuration = duration;
     log(`Audio duration: ${formatTime(duration)}`);
 
     // Check duration limit
@@ -564,19 +1814,44 @@ async function handleFileSelect(file) {
 
     // Generate and draw waveform
     try {
-      const waveform = await generateWaveformData(file);
-      drawWaveform(elements.waveformCanvas, waveform.data);
+      waveformPeaks = await generateWaveformPeaks(file, (pct) => {
+        elements.waveformRange.textContent = `Loading waveform... ${Math.round(pct)}%`;
+      });
+      waveformView = { start: 0, end: waveformDuration() };
+      renderWaveform();
       log('Waveform generated', 'success');
     } catch (e) {
+      elements.waveformRange.textContent = '';
       log(`Waveform generation failed: ${e.message}`, 'warning');
     }
 
+    if (elements.silenceThresholdAuto.checked) {
+      try {
+        await measureSilenceThreshold();
+      } catch (e) {
+        log(`Level measurement failed: ${e.message}`, 'warning');
+      }
+    }
+
     // Reset other sections
     elements.progressSection.hidden = true;
     elements.resultsSection.hidden = true;
+    stopChunkPreview();
     elements.chunkList.innerHTML = '';
     elements.chunkMarkers.innerHTML = '';
 
+    try {
+      currentFingerprint = await computeFileFingerprint(file);
+    } catch (e) {
+      log(`Could not fingerprint file - progress won't be saved: ${e.message}`, 'warning');
+    }
+
+    if (savedJob && currentFingerprint === savedJob.id) {
+      resumeSavedJob();
+    } else if (savedJob) {
+      log(`${file.name} is not the file of the unfinished job (${describeJob(savedJob).fileName}) - starting fresh`, 'info');
+    }
+
   } catch (error) {
     log(`Error loading audio: ${error.message}`, 'error');
     handleFileRemove();
@@ -588,6 +1863,20 @@ function handleFileRemove() {
   currentChunks = null;
   transcriptionResults = null;
   mergeStats = null;
+  lastMergeResult = null;
+  audioDuration = null;
+  importedSessionFile = null;
+  currentFingerprint = null;
+  resumedResults = null;
+  elements.transcribeBtn.textContent = '🚀 Start Transcription';
+  detectedSilences = [];
+  waveformPeaks = null;
+  waveformView = null;
+  levelProfile = null;
+  showLevelProfile();
+
+  resetPlayer();
+  stopChunkPreview();
 
   elements.fileInfo.hidden = true;
   elements.uploadArea.hidden = false;
@@ -605,6 +1894,165 @@ function handleFileRemove() {
   log('File removed');
 }
 
+/**
+ * Look for an unfinished job from an earlier visit and offer to resume it
+ */
+async function checkSavedJob() {
+  try {
+    savedJob = await loadLatestJob();
+  } catch (error) {
+    log(`Saved jobs unavailable: ${error.message}`, 'warning');
+    return;
+  }
+  if (!savedJob) {return;}
+
+  const { fileName, totalChunks, completedChunks } = describeJob(savedJob);
+  elements.resumeText.textContent = `Unfinished job: ${fileName} (${completedChunks} of ${totalChunks} chunks done). Re-select the file to transcribe the remaining ${totalChunks - completedChunks}.`;
+  elements.resumeBanner.hidden = false;
+  log(`Found unfinished job for ${fileName}: ${completedChunks}/${totalChunks} chunks saved`, 'info');
+}
+
+async function handleDiscardJob() {
+  if (!savedJob) {return;}
+
+  try {
+    await deleteJob(savedJob.id);
+    log(`Discarded unfinished job for ${describeJob(savedJob).fileName}`, 'info');
+  } catch (error) {
+    log(`Could not discard saved job: ${error.message}`, 'warning');
+  }
+  savedJob = null;
+  elements.resumeBanner.hidden = true;
+}
+
+/**
+ * Restore the chunk plan, options and finished results of savedJob for the
+ * re-selected file
+ */
+function resumeSavedJob() {
+  let restored;
+  try {
+    restored = restoreJob(savedJob);
+  } catch (error) {
+    log(`Saved job is unreadable and was discarded: ${error.message}`, 'error');
+    handleDiscardJob();
+    return;
+  }
+
+  currentChunks = restored.chunks;
+  chunkingOptions = restored.settings.chunking;
+  resumedResults = restored.results;
+  transcriptionOptions = restoreTranscriptionOptions(restored.settings.transcription);
+
+  renderCutMarkers();
+  stopChunkPreview();
+  renderChunkList(elements.chunkList, currentChunks);
+  for (const result of resumedResults) {
+    updateChunkStatus(elements.chunkList, result.chunk.index, 'done');
+  }
+
+  elements.transcribeBtn.disabled = false;
+  elements.transcribeBtn.textContent = `🚀 Resume Transcription (${restored.missingChunks.length} left)`;
+  elements.resumeBanner.hidden = true;
+  savedJob = null;
+
+  log(`Resumed job: ${resumedResults.length}/${currentChunks.length} chunks restored, ${restored.missingChunks.length} to transcribe (${transcriptionOptions.provider.name}, ${transcriptionOptions.model})`, 'success');
+}
+
+/**
+ * Save a finished chunk to the stored job (failures only cost the resume)
+ * @param {Object} result - transcriptionResults entry
+ */
+function persistChunkResult(result) {
+  if (!currentFingerprint) {return;}
+  saveJobResult(currentFingerprint, result).catch(error => {
+    log(`Could not save chunk ${result.chunk.index + 1} for resume: ${error.message}`, 'warning');
+  });
+}
+
+/**
+ * Drop the stored job once every chunk has a result
+ */
+function finishSavedJob() {
+  if (!currentFingerprint || processingState.isAborted || processingState.failedChunks.length > 0) {return;}
+  if (!transcriptionResults || transcriptionResults.length !== currentChunks.length) {return;}
+
+  deleteJob(currentFingerprint).catch(error => {
+    log(`Could not remove finished job: ${error.message}`, 'warning');
+  });
+}
+
+/**
+ * Rebuild transcriptionOptions from a session's settings
+ * @param {Object|null} transcription - Serialized options (provider reduced to id/name/baseUrl)
+ * @returns {Object|null}
+ */
+function restoreTranscriptionOptions(transcription) {
+  if (!transcription) {return null;}
+  return { ...transcription, provider: getProvider(transcription.provider?.id, { baseUrl: transcription.provider?.baseUrl }) };
+}
+
+/**
+ * Load an exported session and show its results without calling the API
+ * @param {File} file - Session JSON
+ */
+async function handleSessionImport(file) {
+  if (processingState.isProcessing) {
+    log('Wait for the current transcription to finish before importing a session', 'warning');
+    return;
+  }
+
+  let session;
+  try {
+    session = parseSession(await file.text());
+  } catch (error) {
+    log(`Session import failed: ${error.message}`, 'error');
+    return;
+  }
+
+  currentHistoryId = null;
+  showRestoredSession(session, 'Imported session');
+}
+
+/**
+ * Show a restored session's results (no audio loaded, nothing sent to the API)
+ * @param {import('./session.js').RestoredSession} session
+ * @param {string} label - Shown in the file info, e.g. "Imported session"
+ */
+function showRestoredSession(session, label) {
+  currentFile = null;
+  importedSessionFile = session.file;
+  audioDuration = session.file.duration;
+  currentChunks = session.chunks;
+  chunkingOptions = session.settings.chunking;
+  transcriptionResults = session.results;
+  transcriptionOptions = restoreTranscriptionOptions(session.settings.transcription);
+  discardEdits();
+  editedWords = session.editedWords;
+  elements.revertEditsBtn.hidden = !editedWords;
+
+  processingState.reset();
+  for (const result of session.results) {
+    if (!result.success) {
+      processingState.addFailedChunk(result.chunk.index, result.error, result.errorType, result.chunk);
+    }
+  }
+
+  elements.fileName.textContent = session.file.name;
+  elements.fileMeta.textContent = audioDuration !== null
+    ? `${label} • ${formatTime(audioDuration)} • no audio loaded`
+    : `${label} • no audio loaded`;
+  elements.fileInfo.hidden = false;
+  elements.uploadArea.hidden = true;
+  elements.analysisSection.hidden = true;
+  elements.progressSection.hidden = true;
+
+  resultsOverlapDurationSec = getPlanOverlapDurationSec();
+
+  log(`${label}: ${session.file.name} (${currentChunks.length} chunks, ${transcriptionResults.filter(r => r.success).length} transcribed)`, 'success');
+  showResults();
+}
+
 async function handleAnalyze() {
   if (!currentFile) {return;}
 
@@ -614,24 +2062,37 @@ async function handleAnalyze() {
   try {
     const chunkLengthMinutes = parseInt(elements.chunkLength.value);
     const silenceWindowSec = parseInt(elements.silenceWindow.value);
+    const silenceThresholdAuto = elements.silenceThresholdAuto.checked;
+    if (silenceThresholdAuto) {
+      try {
+        await measureSilenceThreshold();
+      } catch (error) {
+        log(`Level measurement failed: ${error.message} - using threshold ${elements.silenceThreshold.value}`, 'warning');
+      }
+    }
     const silenceThreshold = parseFloat(elements.silenceThreshold.value);
     const overlapDurationSec = parseInt(elements.overlapDuration.value);
+    const useVad = elements.useVad.checked;
+    const skipSilenceSec = parseInt(elements.skipSilence.value);
 
-    log(`Starting chunk analysis (${chunkLengthMinutes}min chunks, ${overlapDurationSec}s overlap, ${silenceWindowSec}s window)...`);
+    log(`Starting chunk analysis (${chunkLengthMinutes}min chunks, ${overlapDurationSec}s overlap, ${silenceWindowSec}s window${useVad ? ', whole-file VAD' : ''}${skipSilenceSec > 0 ? `, skipping silences over ${skipSilenceSec}s` : ''})...`);
 
+    resumedResults = null;
+    elements.transcribeBtn.textContent = '🚀 Start Transcription';
+    chunkingOptions = { chunkLengthMinutes, silenceWindowSec, silenceThreshold, silenceThresholdAuto, overlapDurationSec, useVad, skipSilenceSec };
     currentChunks = await calculateChunks(currentFile, {
-      chunkLengthMinutes,
-      silenceWindowSec,
-      silenceThreshold,
-      overlapDurationSec,
+      ...chunkingOptions,
       onProgress: (pct) => {
         elements.analyzeBtn.textContent = `⏳ Analyzing... ${Math.round(pct)}%`;
       }
     });
+    // Every silence the analysis considered stays available as a snap target
+    detectedSilences = currentChunks.flatMap(c => [c.cutInfo.silence, ...(c.cutInfo.rejected || [])].filter(Boolean));
 
     // Render chunk visualization
-    const duration = await getAudioDuration(currentFile);
-    renderChunkMarkers(elements.chunkMarkers, currentChunks, duration);
+    audioDuration = await getAudioDuration(currentFile);
+    renderCutMarkers();
+    stopChunkPreview();
     renderChunkList(elements.chunkList, currentChunks);
 
     // Enable transcription
@@ -658,17 +2119,48 @@ async function handleAnalyze() {
 async function handleTranscribe() {
   if (!currentFile || !currentChunks) {return;}
 
+  // A resumed job keeps the provider and options its saved chunks used
+  const resuming = resumedResults !== null;
+
   // Validate API key
+  const provider = resuming ? transcriptionOptions.provider : getSelectedProvider();
   const apiKey = elements.apiKey.value.trim();
-  const keyValidation = validateApiKey(apiKey);
+  const keyValidation = validateApiKey(apiKey, provider);
   if (!keyValidation.valid) {
     log(keyValidation.message, 'error');
     elements.apiKey.focus();
     return;
   }
 
+  const task = resuming ? transcriptionOptions.task : elements.task.value;
+  if (task === Task.TRANSLATE && !supportsTranslation(provider)) {
+    log(`${provider.name} does not support translation - choose another provider or transcribe instead`, 'error');
+    return;
+  }
+
+  // Retries must reuse these so every chunk comes from the same endpoint
+  // and is prompted the same way
+  const model = resuming ? transcriptionOptions.model : elements.model.value;
+  if (!resuming) {
+    transcriptionOptions = {
+      provider,
+      task,
+      model,
+      language: isEnglishOnlyModel(model) ? 'en' : (elements.language.value || undefined),
+      temperature: parseFloat(elements.temperature.value) || 0,
+      glossary: glossaryEntries.map(e => e.term),
+      promptChaining: elements.promptChaining.checked
+    };
+  }
+
+  currentHistoryId = null;
+  discardEdits();
+  const doneIndices = new Set((resumedResults || []).map(r => r.chunk.index));
+  const chunksToRun = currentChunks.filter(c => !doneIndices.has(c.index));
+
   // Initialize processing state
   processingState.start();
+  renderCutMarkers();
 
   // Disable controls
   elements.analyzeBtn.disabled = true;
@@ -682,39 +2174,97 @@ async function handleTranscribe() {
   elements.cancelBtn.textContent = '✕ Cancel';
   elements.retryStatus.hidden = true;
   renderProgressPips(elements.chunkProgress, currentChunks.length);
+  doneIndices.forEach(index => updateProgressPip(elements.chunkProgress, index, 'done'));
 
   // Start timer
   startTime = Date.now();
   timerInterval = setInterval(updateTimer, 1000);
 
-  const overlapDurationSec = parseInt(elements.overlapDuration.value);
-  log(`Starting transcription of ${currentChunks.length} chunks (overlap: ${overlapDurationSec}s)...`);
+  // The plan's overlap, not the slider's: it may have moved since analysis
+  const overlapDurationSec = getPlanOverlapDurationSec();
+  const concurrency = parseInt(elements.concurrency.value) || 1;
+  const rateLimiter = createRateLimiter();
+  if (transcriptionOptions.promptChaining && concurrency > 1) {
+    log('Prompt chaining needs sequential requests - only the glossary is sent while running in parallel', 'warning');
+  }
+
+  // Chunks may finish out of order when running in parallel, so track
+  // progress by count rather than by index
+  const inFlight = new Set();
+  let finishedCount = doneIndices.size;
+  const updateChunkCounter = () => {
+    const active = [...inFlight].sort((a, b) => a - b).map(i => i + 1);
+    elements.currentChunk.textContent = active.length > 1
+      ? `Chunks ${active.join(', ')} of ${currentChunks.length}`
+      : `Chunk ${active[0] ?? finishedCount} of ${currentChunks.length}`;
+  };
 
   try {
-    transcriptionResults = await transcribeChunks(
-      currentChunks,
-      (chunk) => extractChunkBlob(currentFile, chunk),
+    // Pin the language for every chunk (and any retries) before starting
+    if (!resuming && elements.detectLanguage.checked && task === Task.TRANSCRIBE && !transcriptionOptions.language) {
+      await pinDetectedLanguage(apiKey, rateLimiter);
+    }
+
+    // Save the plan so a crash or reload can resume from the finished chunks
+    if (!resuming && currentFingerprint) {
+      try {
+        await saveJob(createJob(currentFingerprint, {
+          file: currentFile,
+          duration: audioDuration,
+          chunks: currentChunks,
+          chunking: chunkingOptions,
+          transcription: transcriptionOptions
+        }));
+      } catch (error) {
+        log(`Progress won't be saved for resume: ${error.message}`, 'warning');
+      }
+    }
+
+    const taskLabel = task === Task.TRANSLATE ? 'translation to English' : 'transcription';
+    const modelLabel = task === Task.TRANSLATE ? provider.translationModel : model;
+    if (resuming) {
+      log(`Resuming: ${doneIndices.size} chunk(s) restored, ${chunksToRun.length} left`);
+    }
+    log(`Starting ${taskLabel} of ${chunksToRun.length} chunks via ${provider.name} (${modelLabel}, language: ${transcriptionOptions.language || 'auto'}, overlap: ${overlapDurationSec}s, parallel: ${concurrency})...`);
+
+    // A resumed run only sends the missing chunks, so callbacks use each
+    // chunk's own index rather than its position in chunksToRun
+    const newResults = await transcribeChunks(
+      chunksToRun,
+      (chunk) => extractChunkForProvider(chunk, provider),
       apiKey,
       {
-        onChunkStart: (chunk, index) => {
+        ...transcriptionOptions,
+        onChunkStart: ({ index }) => {
           // Check if aborted
           if (processingState.isAborted) {
             throw new Error('Transcription cancelled by user');
           }
 
           processingState.currentChunkIndex = index;
+          inFlight.add(index);
           log(`Transcribing chunk ${index + 1}/${currentChunks.length}...`);
           updateChunkStatus(elements.chunkList, index, 'processing');
           updateProgressPip(elements.chunkProgress, index, 'processing');
-          elements.currentChunk.textContent = `Chunk ${index + 1} of ${currentChunks.length}`;
-          updateProgress((index / currentChunks.length) * 100);
+          updateChunkCounter();
         },
-        onChunkComplete: (chunk, index, _result) => {
+        onChunkComplete: (chunk, _i, result) => {
+          const { index } = chunk;
+          persistChunkResult({ chunk, success: true, ...result });
+          inFlight.delete(index);
+          finishedCount++;
           updateChunkStatus(elements.chunkList, index, 'done');
           updateProgressPip(elements.chunkProgress, index, 'done');
-          updateProgress(((index + 1) / currentChunks.length) * 100);
+          updateChunkCounter();
+          updateProgress((finishedCount / currentChunks.length) * 100);
         },
-        onChunkError: (chunk, index, error) => {
+        onChunkError: (chunk, _i, error) => {
+          const { index } = chunk;
+          inFlight.delete(index);
+          finishedCount++;
+          updateChunkCounter();
+          updateProgress((finishedCount / currentChunks.length) * 100);
+
           // Classify the error
           const errorInfo = classifyError(error, error.statusCode);
           log(`Chunk ${index + 1} error (${errorInfo.type}): ${errorInfo.message}`, 'error');
@@ -734,30 +2284,42 @@ async function handleTranscribe() {
             processingState.abort();
           }
         },
-        onRetry: (chunk, index, attempt, maxRetries, delay, errorInfo) => {
+        onRetry: ({ index }, _i, attempt, maxRetries, delay, errorInfo) => {
           // Show retry status in UI
           const delaySec = (delay / 1000).toFixed(0);
           elements.retryStatus.hidden = false;
           elements.retryText.textContent = `Chunk ${index + 1}: Retry ${attempt}/${maxRetries} in ${delaySec}s (${errorInfo.type})`;
           updateChunkStatus(elements.chunkList, index, 'processing', `Retrying (${attempt}/${maxRetries})...`);
         },
+        onRateLimitWait: ({ index }, _i, nextSlotAt) => {
+          showRateLimitCountdown(nextSlotAt);
+          updateChunkStatus(elements.chunkList, index, 'processing', 'Waiting for rate limit...');
+        },
         // Pass abort check function
         shouldAbort: () => processingState.isAborted,
-        retryConfig: RetryConfig
+        retryConfig: RetryConfig,
+        concurrency,
+        rateLimiter,
+        // Chain missing chunks from the restored ones before them
+        restoredResults: resumedResults || []
       }
     );
+    transcriptionResults = [...(resumedResults || []), ...newResults].sort((a, b) => a.chunk.index - b.chunk.index);
+    resultsOverlapDurationSec = overlapDurationSec;
 
     // Check if we were aborted
     if (processingState.isAborted) {
       log('Transcription cancelled', 'warning');
       // Still show partial results if we have any
       if (transcriptionResults && transcriptionResults.some(r => r.success)) {
-        showResults(overlapDurationSec);
+        showResults();
         log('Showing partial results from completed chunks', 'info');
       }
     } else {
       // Show results with deduplication
-      showResults(overlapDurationSec);
+      showResults();
+      finishSavedJob();
+      saveToHistory();
 
       const successCount = transcriptionResults.filter(r => r.success).length;
       const failedCount = processingState.failedChunks.length;
@@ -777,14 +2339,110 @@ async function handleTranscribe() {
     }
   } finally {
     clearInterval(timerInterval);
+    hideRateLimitCountdown();
     processingState.complete();
+    resumedResults = null;
+    renderCutMarkers();
     elements.analyzeBtn.disabled = false;
     elements.transcribeBtn.disabled = false;
+    elements.transcribeBtn.textContent = '🚀 Start Transcription';
     elements.cancelBtn.hidden = true;
     elements.retryStatus.hidden = true;
   }
 }
 
+/**
+ * Detect the language from a short sample and pin it in transcriptionOptions
+ * A failed detection is not fatal - chunks then detect their own language.
+ */
+async function pinDetectedLanguage(apiKey, rateLimiter) {
+  const sample = createLanguageSampleChunk(currentChunks);
+  elements.currentChunk.textContent = 'Detecting language...';
+  log(`Detecting language from a ${Math.round(sample.duration)}s sample...`);
+
+  try {
+    const blob = await extractChunkForProvider(sample, transcriptionOptions.provider);
+    const detection = await detectLanguage(blob, apiKey, transcriptionOptions, {
+      beforeAttempt: async () => {
+        if (rateLimiter) {
+          await rateLimiter.acquire(sample.duration, {
+            shouldAbort: () => processingState.isAborted,
+            onWait: showRateLimitCountdown
+          });
+        }
+      },
+      shouldAbort: () => processingState.isAborted,
+      config: RetryConfig
+    });
+
+    if (detection.code) {
+      transcriptionOptions.language = detection.code;
+      log(`Detected language: ${getLanguageName(detection.code)} - pinned for all chunks`, 'success');
+    } else {
+      log(`Detected language "${detection.language ?? 'unknown'}" can't be pinned - chunks will auto-detect`, 'warning');
+    }
+  } catch (error) {
+    if (processingState.isAborted) {
+      throw new Error('Transcription cancelled by user');
+    }
+    log(`Language detection failed (${error.message}) - chunks will auto-detect`, 'warning');
+  } finally {
+    hideRateLimitCountdown();
+  }
+}
+
+/**
+ * Extract a chunk and check it fits the provider's upload limit
+ */
+async function extractChunkForProvider(chunk, provider) {
+  const blob = await extractChunkBlob(currentFile, chunk);
+  const sizeCheck = validateChunkSize(blob, provider.maxUploadMB);
+  if (!sizeCheck.valid) {
+    throw new Error(`${sizeCheck.message} for ${provider.name} - use shorter chunks`);
+  }
+  return blob;
+}
+
+/**
+ * Build a rate limiter from the budget sliders (null when both are unlimited)
+ */
+function createRateLimiter() {
+  const rateLimiter = new RateLimiter({
+    requestsPerMinute: parseInt(elements.requestsPerMinute.value) || 0,
+    audioSecondsPerHour: parseInt(elements.audioSecondsPerHour.value) || 0
+  });
+  return rateLimiter.isEnabled() ? rateLimiter : null;
+}
+
+/**
+ * Show a countdown until the rate limiter's next free slot
+ */
+function showRateLimitCountdown(nextSlotAt) {
+  rateLimitWaitUntil = Math.max(rateLimitWaitUntil, nextSlotAt);
+  elements.rateLimitStatus.hidden = false;
+
+  const tick = () => {
+    const remainingSec = Math.ceil((rateLimitWaitUntil - Date.now()) / 1000);
+    if (remainingSec <= 0) {
+      hideRateLimitCountdown();
+      return;
+    }
+    elements.rateLimitText.textContent = `Rate limit budget reached - next request in ${formatTime(remainingSec)}`;
+  };
+
+  tick();
+  if (!rateLimitInterval) {
+    rateLimitInterval = setInterval(tick, 1000);
+  }
+}
+
+function hideRateLimitCountdown() {
+  clearInterval(rateLimitInterval);
+  rateLimitInterval = null;
+  rateLimitWaitUntil = 0;
+  elements.rateLimitStatus.hidden = true;
+}
+
 function updateProgress(percent) {
   elements.progressFill.style.width = `${percent}%`;
   elements.progressText.textContent = `${Math.round(percent)}%`;
@@ -797,16 +2455,69 @@ function updateTimer() {
   elements.elapsedTime.textContent = `Elapsed: ${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
-function showResults(overlapDurationSec) {
+/**
+ * Overlap the current chunk plan was built with
+ * Sessions without chunking settings fall back to the chunks' own overlaps.
+ * @returns {number} - Seconds
+ */
+function getPlanOverlapDurationSec() {
+  return chunkingOptions?.overlapDurationSec ??
+    Math.max(0, ...currentChunks.map(c => Math.max(c.overlap.leading, c.overlap.trailing)));
+}
+
+/**
+ * Merge transcriptionResults with the overlap they were transcribed with and show them
+ */
+function showResults() {
   elements.resultsSection.hidden = false;
 
   // Merge transcripts with deduplication
   log('Merging transcripts with deduplication...');
-  const mergeResult = mergeTranscriptsWithDeduplication(transcriptionResults, overlapDurationSec);
+  const tolerance = parseFloat(elements.mergeTolerance.value);
+  const mergeResult = mergeTranscriptsWithDeduplication(transcriptionResults, resultsOverlapDurationSec, {
+    strategy: elements.mergeStrategy.value,
+    toleranceSec: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : undefined
+  });
+  lastMergeResult = mergeResult;
   mergeStats = mergeResult.stats;
   allWordsRaw = mergeResult.allWords || [];
 
-  elements.transcriptText.textContent = mergeResult.text || '(No transcription results)';
+  // Flag likely hallucinations / low-confidence passages from segment metrics
+  suspiciousSegments = analyzeSegments(transcriptionResults);
+
+  // Correct glossary variants, keeping each word's timestamps
+  let substitutions = [];
+  let mergedWords;
+  if (mergeResult.method === 'timestamp') {
+    ({ words: mergedWords, substitutions } = applyGlossary(mergeResult.words, glossaryEntries));
+  } else {
+    let transcriptText = mergeResult.text;
+    if (mergeResult.method === 'text') {
+      ({ text: transcriptText, substitutions } = applyGlossaryToText(mergeResult.text, glossaryEntries));
+    }
+    // No timestamps, but still one word per span so search and editing work
+    mergedWords = (transcriptText || '').split(/\s+/).filter(Boolean).map(word => ({ word }));
+  }
+
+  // Manual edits replace the merged words until the results change
+  showTranscriptWords(editedWords || mergedWords);
+  renderGlossaryCorrections(substitutions);
+  // Re-transcribing a range needs the audio, which imported sessions don't have
+  renderSuspiciousSegments(mergeResult.method === 'timestamp' && Boolean(currentFile));
+
+  elements.resultsModeBadge.hidden = transcriptionOptions?.task !== Task.TRANSLATE;
+
+  // Without word timestamps the overlap can only be merged by matching text
+  if (mergeResult.method === 'text') {
+    const reason = transcriptionOptions?.task === Task.TRANSLATE
+      ? 'the translation endpoint does not return them'
+      : `${transcriptionOptions?.provider.name ?? 'the provider'} did not return them`;
+    elements.mergeMethodText.textContent = `No word-level timestamps (${reason}) - chunks were merged by text matching, so overlap boundaries may be less accurate.`;
+    elements.mergeMethodNotice.hidden = false;
+    log('Word timestamps unavailable - using text-based merge', 'warning');
+  } else {
+    elements.mergeMethodNotice.hidden = true;
+  }
 
   // Reset debug view
   elements.showWordTimestamps.checked = false;
@@ -816,7 +2527,7 @@ function showResults(overlapDurationSec) {
   updateFailedChunksUI();
 
   // Show merge stats if overlap was used
-  if (overlapDurationSec > 0) {
+  if (resultsOverlapDurationSec > 0) {
     elements.mergeStats.hidden = false;
     elements.overlapsMerged.textContent = mergeStats.overlapsMerged;
     elements.wordsDeduplicated.textContent = mergeStats.wordsDeduplicated;
@@ -825,10 +2536,22 @@ function showResults(overlapDurationSec) {
     elements.mergeStats.hidden = true;
   }
 
+  // Flag chunks that report a different language than the rest, or that
+  // decoded far worse than the rest under a pinned language
+  const chunkLanguages = new Map(mergeResult.chunkLanguages.map(c => [c.chunkIndex, c]));
+  const mismatches = mergeResult.chunkLanguages.filter(c => c.mismatch && !c.lowConfidence);
+  if (mismatches.length > 0) {
+    log(`Chunk(s) ${mismatches.map(c => c.chunkIndex + 1).join(', ')} reported a language other than ${getLanguageName(mergeResult.language)} - check for hallucinations or music`, 'warning');
+  }
+  const lowConfidence = mergeResult.chunkLanguages.filter(c => c.lowConfidence);
+  if (lowConfidence.length > 0) {
+    log(`Chunk(s) ${lowConfidence.map(c => c.chunkIndex + 1).join(', ')} decoded with much lower confidence than the rest under the pinned language - they may be in another language`, 'warning');
+  }
+
   // Show individual chunk transcripts
   elements.chunkTranscripts.innerHTML = '';
 
-  transcriptionResults.forEach((result, index) => {
+  transcriptionResults.forEach(result => {
     const div = document.createElement('div');
     div.className = 'chunk-transcript';
 
@@ -838,10 +2561,21 @@ function showResults(overlapDurationSec) {
       const overlapBadge = hasOverlap
         ? `<span class="overlap-badge">🔀 ${chunk.overlap.leading}s/${chunk.overlap.trailing}s overlap</span>`
         : '';
+      const chunkLanguage = chunkLanguages.get(chunk.index);
+      let languageBadge = '';
+      if (chunkLanguage?.language && chunkLanguage.lowConfidence) {
+        languageBadge = `<span class="language-badge language-mismatch" title="Sent as ${escapeHtml(getLanguageName(chunkLanguage.language))}, but decoded with much lower confidence than the other chunks (avg log-prob ${chunkLanguage.avgLogprob.toFixed(2)}) - possibly another language, a hallucination or music">⚠️ 📌 ${escapeHtml(getLanguageName(chunkLanguage.language))}?</span>`;
+      } else if (chunkLanguage?.language && chunkLanguage.mismatch) {
+        languageBadge = `<span class="language-badge language-mismatch" title="Differs from the rest (${escapeHtml(getLanguageName(mergeResult.language))}) - possible hallucination or music">⚠️ ${escapeHtml(getLanguageName(chunkLanguage.language))}</span>`;
+      } else if (chunkLanguage?.language && chunkLanguage.pinned) {
+        languageBadge = `<span class="language-badge" title="Sent with this language, so the chunk reports it back - checked by decoding confidence instead">📌 ${escapeHtml(getLanguageName(chunkLanguage.language))}</span>`;
+      } else if (chunkLanguage?.language) {
+        languageBadge = `<span class="language-badge">🌐 ${escapeHtml(getLanguageName(chunkLanguage.language))}</span>`;
+      }
 
       div.innerHTML = `
         <div class="chunk-transcript-header">
-          <span>Chunk ${index + 1} ${overlapBadge}</span>
+          <span>Chunk ${chunk.index + 1} ${overlapBadge}${languageBadge}</span>
           <span>${formatTime(chunk.logicalStart)} → ${formatTime(chunk.logicalEnd)}</span>
         </div>
         <div class="chunk-transcript-text">${escapeHtml(result.text)}</div>
@@ -849,7 +2583,7 @@ function showResults(overlapDurationSec) {
     } else {
       div.innerHTML = `
         <div class="chunk-transcript-header">
-          <span>Chunk ${index + 1}</span>
+          <span>Chunk ${result.chunk.index + 1}</span>
           <span style="color: var(--error)">Error</span>
         </div>
         <div class="chunk-transcript-text" style="color: var(--error)">
@@ -875,11 +2609,60 @@ function handleCopyText() {
   });
 }
 
-function handleDownload() {
-  const text = elements.transcriptText.textContent;
-  const filename = currentFile ? currentFile.name.replace(/\.[^.]+$/, '') + '_transcript.txt' : 'transcript.txt';
+/**
+ * Subtitle cue limits from the results view inputs (invalid values fall back to defaults)
+ */
+function getSubtitleOptions() {
+  const read = (input, fallback) => {
+    const value = parseFloat(input.value);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+
+  return {
+    maxCharsPerLine: read(elements.subtitleMaxChars, SubtitleDefaults.maxCharsPerLine),
+    maxLinesPerCue: read(elements.subtitleMaxLines, SubtitleDefaults.maxLinesPerCue),
+    maxCueDuration: read(elements.subtitleMaxDuration, SubtitleDefaults.maxCueDuration)
+  };
+}
+
+const DOWNLOAD_FORMATS = {
+  txt: { extension: 'txt', mimeType: 'text/plain' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  json: { extension: 'json', mimeType: 'application/json' }
+};
+
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+/**
+ * The whole session on screen (chunk plan, raw responses, merge, settings)
+ * @returns {Object}
+ */
+function buildSession() {
+  return createSession({
+    file: currentFile || importedSessionFile,
+    duration: audioDuration,
+    chunks: currentChunks || [],
+    results: transcriptionResults || [],
+    mergeResult: lastMergeResult,
+    transcript: {
+      text: elements.transcriptText.textContent,
+      words: editedWords || transcriptWords || renderedWords,
+      edited: Boolean(editedWords)
+    },
+    chunking: chunkingOptions,
+    transcription: transcriptionOptions
+  });
+}
 
-  const blob = new Blob([text], { type: 'text/plain' });
+/**
+ * Save a text file via a temporary download link
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+function downloadText(text, filename, mimeType) {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
@@ -891,6 +2674,185 @@ function handleDownload() {
   log(`Downloaded: ${filename}`, 'success');
 }
 
+function handleDownload() {
+  const format = elements.downloadFormat.value;
+  const { extension, mimeType } = DOWNLOAD_FORMATS[format];
+
+  let text = elements.transcriptText.textContent;
+  if (format === 'json') {
+    if (!(currentFile || importedSessionFile) || !transcriptionResults) {
+      log('Nothing to export - transcribe a file first', 'error');
+      return;
+    }
+    text = JSON.stringify(buildSession(), null, 2);
+  } else if (SUBTITLE_FORMATS.includes(format)) {
+    if (!transcriptWords || transcriptWords.length === 0) {
+      log('Subtitles need word timestamps - download as text instead', 'error');
+      return;
+    }
+    const cues = buildCues(transcriptWords, getSubtitleOptions());
+    text = format === 'srt' ? formatSrt(cues) : formatVtt(cues);
+    log(`Built ${cues.length} subtitle cues`, 'info');
+  }
+
+  const suffix = format === 'json' ? '_session' : '_transcript';
+  const sourceFile = currentFile || importedSessionFile;
+  const baseName = sourceFile ? sourceFile.name.replace(/\.[^.]+$/, '') + suffix : 'transcript';
+  downloadText(text, `${baseName}.${extension}`, mimeType);
+}
+
+/**
+ * Save the results on screen to the history library (or update their entry)
+ */
+async function saveToHistory() {
+  if (!transcriptionResults || !transcriptionResults.some(r => r.success)) {return;}
+
+  const text = elements.transcriptText.textContent;
+  const previous = historyEntries.find(e => e.id === currentHistoryId) || null;
+  const entry = createHistoryEntry(buildSession(), {
+    text,
+    wordCount: transcriptWords ? transcriptWords.length : countWords(text)
+  }, previous);
+
+  try {
+    await saveHistoryEntry(entry);
+    currentHistoryId = entry.id;
+    log(previous ? `Updated "${entry.title}" in history` : `Saved "${entry.title}" to history`, 'info');
+  } catch (error) {
+    log(`Could not save to history: ${error.message}`, 'warning');
+  }
+  refreshHistory();
+}
+
+/**
+ * Reload history entries and storage usage
+ */
+async function refreshHistory() {
+  try {
+    historyEntries = await listHistory();
+  } catch (error) {
+    log(`History unavailable: ${error.message}`, 'warning');
+    historyEntries = [];
+  }
+  renderHistoryList();
+
+  try {
+    const usage = await getStorageUsage();
+    elements.historyUsage.textContent = usage
+      ? `${formatSize(usage.usage)} of ${formatSize(usage.quota)} used`
+      : '';
+  } catch {
+    elements.historyUsage.textContent = '';
+  }
+}
+
+function renderHistoryList() {
+  const entries = searchHistory(historyEntries, elements.historySearch.value);
+  elements.historyList.innerHTML = '';
+
+  for (const entry of entries) {
+    const li = document.createElement('li');
+    li.className = 'history-entry';
+    if (entry.id === currentHistoryId) {li.classList.add('current');}
+
+    // Built with DOM APIs so titles can't break out of the value attribute
+    const details = document.createElement('div');
+    details.className = 'history-details';
+
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.className = 'history-title';
+    title.value = entry.title;
+    title.title = 'Click to rename';
+    title.dataset.historyId = entry.id;
+
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = [
+      entry.fileName,
+      entry.duration !== null ? formatTime(entry.duration) : null,
+      new Date(entry.createdAt).toLocaleString(),
+      entry.model,
+      `${entry.wordCount} words`
+    ].filter(Boolean).join(' • ');
+
+    details.append(title, meta);
+    li.append(details);
+
+    for (const [action, label] of [['open', '📂 Open'], ['export', '💾 Export'], ['delete', '✕']]) {
+      const button = document.createElement('button');
+      button.className = action === 'delete' ? 'btn-small' : 'btn-secondary';
+      button.textContent = label;
+      button.dataset.historyAction = action;
+      button.dataset.historyId = entry.id;
+      li.append(button);
+    }
+
+    elements.historyList.appendChild(li);
+  }
+
+  elements.historyEmpty.hidden = historyEntries.length > 0;
+  if (historyEntries.length > 0 && entries.length === 0) {
+    elements.historyList.innerHTML = '<li class="history-meta">No matching transcripts</li>';
+  }
+}
+
+/**
+ * @param {'open'|'export'|'delete'} action
+ * @param {string} id
+ */
+async function handleHistoryAction(action, id) {
+  const entry = historyEntries.find(e => e.id === id);
+  if (!entry) {return;}
+
+  if (action === 'open') {
+    if (processingState.isProcessing) {
+      log('Wait for the current transcription to finish before opening a past one', 'warning');
+      return;
+    }
+    let restored;
+    try {
+      restored = restoreSession(entry.session);
+    } catch (error) {
+      log(`Could not open "${entry.title}": ${error.message}`, 'error');
+      return;
+    }
+    currentHistoryId = entry.id;
+    showRestoredSession(restored, 'From history');
+    renderHistoryList();
+  } else if (action === 'export') {
+    const baseName = entry.title.replace(/\.[^.]+$/, '');
+    downloadText(JSON.stringify(entry.session, null, 2), `${baseName}_session.json`, 'application/json');
+  } else if (action === 'delete') {
+    try {
+      await deleteHistoryEntry(id);
+      log(`Deleted "${entry.title}" from history`, 'info');
+    } catch (error) {
+      log(`Could not delete "${entry.title}": ${error.message}`, 'warning');
+    }
+    if (currentHistoryId === id) {currentHistoryId = null;}
+    refreshHistory();
+  }
+}
+
+async function handleHistoryRename(id, value) {
+  const entry = historyEntries.find(e => e.id === id);
+  const title = value.trim();
+  if (!entry || !title || title === entry.title) {
+    renderHistoryList();
+    return;
+  }
+
+  try {
+    await renameHistoryEntry(id, title);
+    entry.title = title;
+    log(`Renamed history entry to "${title}"`, 'info');
+  } catch (error) {
+    log(`Could not rename: ${error.message}`, 'warning');
+  }
+  renderHistoryList();
+}
+
 /**
  * Retry all failed chunks
  */
@@ -900,8 +2862,9 @@ async function handleRetryFailed() {
     return;
   }
 
+  const { provider, glossary, promptChaining } = transcriptionOptions;
   const apiKey = elements.apiKey.value.trim();
-  const keyValidation = validateApiKey(apiKey);
+  const keyValidation = validateApiKey(apiKey, provider);
   if (!keyValidation.valid) {
     log(keyValidation.message, 'error');
     elements.apiKey.focus();
@@ -933,7 +2896,7 @@ async function handleRetryFailed() {
   const chunksToRetry = [...processingState.failedChunks];
   processingState.failedChunks = [];
 
-  const overlapDurationSec = parseInt(elements.overlapDuration.value);
+  const rateLimiter = createRateLimiter();
   let successCount = 0;
 
   try {
@@ -955,26 +2918,41 @@ async function handleRetryFailed() {
         const { transcribeChunkWithRetry } = await import('./groq-client.js');
 
         // Extract the chunk blob
-        const blob = await extractChunkBlob(currentFile, chunk);
+        const blob = await extractChunkForProvider(chunk, provider);
+
+        // Chain from the previous chunk as the first run would have (it may
+        // itself have just been retried)
+        const previousResult = promptChaining
+          ? transcriptionResults.find(r => r.chunk.index === index - 1)
+          : null;
+        const prompt = buildChunkPrompt({ chunk, previousResult, glossary });
 
         // Transcribe with retry
-        const result = await transcribeChunkWithRetry(blob, apiKey, {}, {
+        const result = await transcribeChunkWithRetry(blob, apiKey, { ...transcriptionOptions, prompt }, {
           onRetry: (attempt, maxRetries, delay, _errorInfo) => {
             const delaySec = (delay / 1000).toFixed(0);
             elements.retryStatus.hidden = false;
             elements.retryText.textContent = `Chunk ${index + 1}: Retry ${attempt}/${maxRetries} in ${delaySec}s`;
             updateChunkStatus(elements.chunkList, index, 'processing', `Retrying (${attempt}/${maxRetries})...`);
           },
+          beforeAttempt: async () => {
+            if (rateLimiter) {
+              await rateLimiter.acquire(getSentDuration(chunk), {
+                shouldAbort: () => processingState.isAborted,
+                onWait: showRateLimitCountdown
+              });
+            }
+          },
           shouldAbort: () => processingState.isAborted,
           config: RetryConfig
         });
 
-        // Update the result in transcriptionResults
-        transcriptionResults[index] = {
-          chunk,
-          success: true,
-          ...result
-        };
+        // Replace the chunk's result by chunk index - after an aborted
+        // parallel run, positions in transcriptionResults don't match it
+        const retried = { chunk, success: true, ...result };
+        transcriptionResults = [...transcriptionResults.filter(r => r.chunk.index !== index), retried]
+          .sort((a, b) => a.chunk.index - b.chunk.index);
+        persistChunkResult(retried);
 
         updateChunkStatus(elements.chunkList, index, 'done');
         updateProgressPip(elements.chunkProgress, index, 'done');
@@ -1004,7 +2982,10 @@ async function handleRetryFailed() {
     // Re-merge transcripts and update results
     if (successCount > 0) {
       log(`Retry complete: ${successCount} chunk(s) succeeded`, 'success');
-      showResults(overlapDurationSec);
+      discardEdits('failed chunks were retried');
+      showResults();
+      finishSavedJob();
+      saveToHistory();
     } else {
       log('Retry complete: no chunks succeeded', 'warning');
       // Update the failed chunks warning
@@ -1015,6 +2996,7 @@ async function handleRetryFailed() {
     log(`Retry failed: ${error.message}`, 'error');
   } finally {
     processingState.isProcessing = false;
+    hideRateLimitCountdown();
     elements.analyzeBtn.disabled = false;
     elements.transcribeBtn.disabled = false;
     elements.retryFailedBtn.disabled = false;
@@ -1035,8 +3017,11 @@ function updateFailedChunksUI() {
 
   if (failedCount > 0) {
     elements.failedChunksWarning.hidden = false;
-    elements.failedChunksText.textContent = `${failedCount} chunk(s) failed to transcribe. You can retry them.`;
-    elements.retryFailedBtn.hidden = false;
+    // Retrying needs the audio, which imported sessions don't have
+    elements.failedChunksText.textContent = currentFile
+      ? `${failedCount} chunk(s) failed to transcribe. You can retry them.`
+      : `${failedCount} chunk(s) failed to transcribe.`;
+    elements.retryFailedBtn.hidden = !currentFile;
     elements.retryFailedBtn.textContent = `🔄 Retry ${failedCount} Failed Chunk${failedCount > 1 ? 's' : ''}`;
   } else {
     elements.failedChunksWarning.hidden = true;
@@ -1160,30 +3145,36 @@ function jumpToTimeInWordList() {
     return;
   }
 
-  // Find the first word at or after this time
-  const wordElements = elements.wordList.querySelectorAll('.word-item');
-  let foundElement = null;
-
-  for (const el of wordElements) {
-    const wordTime = parseFloat(el.dataset.time);
-    if (wordTime >= targetTime) {
-      foundElement = el;
-      break;
-    }
+  if (scrollWordTimelineTo(targetTime)) {
+    log(`Jumped to ${formatTimeMs(targetTime)}`, 'success');
+  } else {
+    log(`No words found at or after ${formatTimeMs(targetTime)}`, 'warning');
   }
+}
 
-  if (foundElement) {
-    // Scroll to the element
-    foundElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-
-    // Highlight briefly
-    foundElement.classList.add('highlight');
-    setTimeout(() => foundElement.classList.remove('highlight'), 2000);
+/**
+ * Scroll the word timeline to the first word at or after a time and
+ * highlight it briefly
+ * @param {number} targetTime - Seconds
+ * @param {{scrollPage?: boolean}} [options] - scrollPage: false scrolls the word list only
+ * @returns {boolean} - Whether a word was found
+ */
+function scrollWordTimelineTo(targetTime, { scrollPage = true } = {}) {
+  // Small tolerance so a word starting exactly at targetTime is found
+  const foundElement = [...elements.wordList.querySelectorAll('[data-time]')]
+    .find(el => parseFloat(el.dataset.time) >= targetTime - 0.001);
+  if (!foundElement) {return false;}
 
-    log(`Jumped to ${formatTimeMs(targetTime)}`, 'success');
+  if (scrollPage) {
+    foundElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
   } else {
-    log(`No words found at or after ${formatTimeMs(targetTime)}`, 'warning');
+    const list = elements.wordList;
+    const offset = foundElement.getBoundingClientRect().top - list.getBoundingClientRect().top;
+    list.scrollTo({ top: list.scrollTop + offset - (list.clientHeight - foundElement.offsetHeight) / 2, behavior: 'smooth' });
   }
+  foundElement.classList.add('highlight');
+  setTimeout(() => foundElement.classList.remove('highlight'), 2000);
+  return true;
 }
 
 /**
@@ -0,0 +1,110 @@
+/**
+ * Adaptive silence threshold from the file's measured levels
+ *
+ * The Silence Threshold slider is a raw amplitude, and the right value
+ * depends on the recording: 0.01 finds nothing in a noisy field recording and
+ * too much in a quiet studio one. Here the file is decoded once, the RMS
+ * level of every 30 ms frame goes into a histogram, and the threshold is
+ * placed just above the noise floor, well below the speech level.
+ */
+
+import { log } from './logger.js';
+import { decodeFrameFeatures } from './vad.js';
+
+const HISTOGRAM_MIN_DB = -90;
+const HISTOGRAM_BIN_DB = 1;
+
+// Noise floor: the level the quietest 10% of frames stay below;
+// speech level: the level the loudest 10% reach
+const NOISE_PERCENTILE = 0.1;
+const SPEECH_PERCENTILE = 0.9;
+
+// The threshold sits this far above the noise floor...
+const FLOOR_MARGIN_DB = 6;
+// ...but no closer than this to the speech level (halfway if they're closer still)
+const SPEECH_MARGIN_DB = 10;
+
+// Range of the Silence Threshold slider
+const MIN_THRESHOLD = 0.001;
+const MAX_THRESHOLD = 0.1;
+
+/**
+ * @typedef {Object} LevelProfile
+ * @property {{minDb: number, binDb: number, counts: Uint32Array}} histogram - Frames per level bin;
+ *   digital silence (below minDb) is left out
+ * @property {number} noiseFloorDb
+ * @property {number} speechLevelDb
+ * @property {number} thresholdDb - Suggested threshold, after clamping to the slider's range
+ * @property {number} threshold - The same as a linear amplitude, as the slider takes it
+ */
+
+/**
+ * Convert a linear amplitude to dBFS
+ * @param {number} amplitude
+ * @returns {number}
+ */
+export function amplitudeToDb(amplitude) {
+  return 20 * Math.log10(amplitude);
+}
+
+/**
+ * Build a level profile and threshold suggestion from frame levels
+ * @param {ArrayLike<number>} energyDb - RMS level per frame (dBFS)
+ * @returns {LevelProfile}
+ */
+export function analyzeLevels(energyDb) {
+  const bins = Math.ceil(-HISTOGRAM_MIN_DB / HISTOGRAM_BIN_DB);
+  const counts = new Uint32Array(bins);
+  const levels = [];
+
+  for (let f = 0; f < energyDb.length; f++) {
+    if (energyDb[f] < HISTOGRAM_MIN_DB) {continue;}
+    levels.push(energyDb[f]);
+    counts[Math.min(bins - 1, Math.floor((energyDb[f] - HISTOGRAM_MIN_DB) / HISTOGRAM_BIN_DB))]++;
+  }
+  levels.sort((a, b) => a - b);
+
+  const percentile = (p) => levels.length > 0 ? levels[Math.floor((levels.length - 1) * p)] : HISTOGRAM_MIN_DB;
+  const noiseFloorDb = percentile(NOISE_PERCENTILE);
+  const speechLevelDb = percentile(SPEECH_PERCENTILE);
+
+  const targetDb = Math.min(
+    noiseFloorDb + FLOOR_MARGIN_DB,
+    Math.max(speechLevelDb - SPEECH_MARGIN_DB, (noiseFloorDb + speechLevelDb) / 2)
+  );
+  const threshold = Math.min(MAX_THRESHOLD, Math.max(MIN_THRESHOLD, Math.round(10 ** (targetDb / 20) * 1000) / 1000));
+
+  return {
+    histogram: { minDb: HISTOGRAM_MIN_DB, binDb: HISTOGRAM_BIN_DB, counts },
+    noiseFloorDb,
+    speechLevelDb,
+    thresholdDb: amplitudeToDb(threshold),
+    threshold
+  };
+}
+
+// Level profiles by file, so a file is only measured once
+const profileCache = new WeakMap();
+
+/**
+ * Measure a file's levels and suggest a silence threshold
+ * The result is cached per file.
+ *
+ * @param {File} file
+ * @param {number} duration - Seconds
+ * @param {(percent: number) => void} [onProgress]
+ * @returns {Promise<LevelProfile>}
+ */
+export function measureLevels(file, duration, onProgress = () => {}) {
+  if (!profileCache.has(file)) {
+    const profile = decodeFrameFeatures(file, duration, { sampleRate: 8000, onProgress }).then(({ energyDb }) => {
+      const levels = analyzeLevels(energyDb);
+      log(`Levels: noise floor ${levels.noiseFloorDb.toFixed(0)} dB, speech ${levels.speechLevelDb.toFixed(0)} dB ` +
+        `→ silence threshold ${levels.threshold} (${levels.thresholdDb.toFixed(0)} dB)`, 'success');
+      return levels;
+    });
+    profileCache.set(file, profile);
+    profile.catch(() => profileCache.delete(file));
+  }
+  return profileCache.get(file);
+}
@@ -0,0 +1,46 @@
+/**
+ * Audio playback synced to the merged transcript
+ *
+ * Merged words carry absolute times (absoluteStart / absoluteEnd) from
+ * deduplication, so the word being spoken is found from the player's
+ * currentTime.
+ */
+
+// Keep a word highlighted through short pauses after it, so the highlight
+// doesn't flicker off between words
+const GAP_TOLERANCE_SEC = 0.3;
+
+/**
+ * Index of the word playing at a time
+ *
+ * @param {Array<{absoluteStart?: number, absoluteEnd?: number}>} words - Merged words, in order
+ * @param {number} time - Seconds
+ * @returns {number} - Word index, or -1 between words / without timestamps
+ */
+export function findWordAtTime(words, time) {
+  // Last word starting at or before `time` (words are in time order)
+  let lo = 0;
+  let hi = words.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const start = words[mid].absoluteStart;
+    if (typeof start !== 'number') {return -1;}
+
+    if (start <= time) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  if (found === -1) {return -1;}
+
+  const next = words[found + 1];
+  const holdUntil = Math.min(
+    words[found].absoluteEnd + GAP_TOLERANCE_SEC,
+    next ? next.absoluteStart : Infinity
+  );
+  return time < holdUntil ? found : -1;
+}
@@ -0,0 +1,114 @@
+/**
+ * Prompt chaining for consistent vocabulary across chunks
+ *
+ * Whisper's `prompt` parameter conditions the decoder on preceding text.
+ * Each chunk is transcribed on its own, so without a prompt the same name
+ * can come back spelled differently in every chunk. Sending a glossary plus
+ * the end of the previous chunk's transcript keeps the spelling consistent.
+ */
+
+import { toOriginalTime } from './silence-skipping.js';
+
+// Whisper only looks at the final 224 tokens of the prompt; ~800 characters
+// of English stays under that
+const PROMPT_MAX_CHARS = 800;
+
+// Slack for word timestamps that end a little after the next chunk's start
+const BOUNDARY_TOLERANCE_SEC = 0.1;
+
+/**
+ * Parse user glossary input into a list of unique terms
+ * @param {string} text - Terms separated by commas or new lines
+ * @returns {string[]}
+ */
+export function parseGlossary(text) {
+  if (!text) {return [];}
+
+  const seen = new Set();
+  const terms = [];
+  for (const raw of text.split(/[,\n]/)) {
+    const term = raw.trim();
+    const key = term.toLowerCase();
+    if (term && !seen.has(key)) {
+      seen.add(key);
+      terms.push(term);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Text of the previous chunk that precedes the next chunk's audio
+ *
+ * The previous chunk's trailing overlap is heard again at the start of the
+ * next chunk. Prompting with it would tell Whisper those words were already
+ * said, so with word timestamps the tail is cut at the next chunk's start.
+ * Without timestamps the whole text is used.
+ *
+ * @param {Object} previousResult - Successful result of the previous chunk
+ * @param {Object} chunk - Chunk about to be transcribed
+ * @returns {string}
+ */
+function getPrecedingText(previousResult, chunk) {
+  const words = previousResult.words || [];
+  if (words.length === 0) {
+    return (previousResult.text || '').trim();
+  }
+
+  const cutoff = chunk.start + BOUNDARY_TOLERANCE_SEC;
+  return words
+    .filter(w => toOriginalTime(previousResult.chunk, w.end) <= cutoff)
+    .map(w => w.word)
+    .join(' ');
+}
+
+/**
+ * Keep the last words of a text that fit in maxChars
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function takeTail(text, maxChars) {
+  const words = text.split(/\s+/).filter(w => w.length > 0);
+  const tail = [];
+  let length = 0;
+
+  for (let i = words.length - 1; i >= 0; i--) {
+    const added = words[i].length + (tail.length > 0 ? 1 : 0);
+    if (length + added > maxChars) {break;}
+    tail.unshift(words[i]);
+    length += added;
+  }
+
+  return tail.join(' ');
+}
+
+/**
+ * Build the prompt for a chunk
+ *
+ * The glossary comes first and the previous chunk's tail last, since Whisper
+ * weighs the end of the prompt most (it reads as the text just spoken).
+ *
+ * @param {Object} params
+ * @param {Object} params.chunk - Chunk about to be transcribed
+ * @param {Object|null} [params.previousResult] - Successful result of the previous chunk, if chaining
+ * @param {string[]} [params.glossary] - Terms to spell consistently
+ * @returns {string} - Prompt, or '' if there is nothing to send
+ */
+export function buildChunkPrompt({ chunk, previousResult = null, glossary = [] }) {
+  let glossaryText = '';
+  for (const term of glossary) {
+    const next = glossaryText ? `${glossaryText}, ${term}` : term;
+    // Leave at least half the budget for the previous chunk's text
+    if (next.length + 1 > PROMPT_MAX_CHARS / 2) {break;}
+    glossaryText = next;
+  }
+  if (glossaryText) {
+    glossaryText += '.';
+  }
+
+  const budget = PROMPT_MAX_CHARS - glossaryText.length - 1;
+  const tail = previousResult?.success ? takeTail(getPrecedingText(previousResult, chunk), budget) : '';
+
+  return [glossaryText, tail].filter(Boolean).join(' ');
+}
@@ -0,0 +1,229 @@
+/**
+ * Transcription provider definitions
+ *
+ * Every provider speaks the OpenAI `/audio/transcriptions` multipart API, but
+ * they differ in where they live, which models they serve, how large an upload
+ * they accept and whether they can return word-level timestamps.
+ */
+
+/**
+ * @typedef {Object} TranscriptionProvider
+ * @property {string} id - Stable identifier (saved in settings)
+ * @property {string} name - Display name
+ * @property {string} baseUrl - API base URL (without the endpoint path)
+ * @property {string} transcriptionPath - Path of the transcription endpoint
+ * @property {string|null} translationPath - Path of the translate-to-English endpoint (null = unsupported)
+ * @property {string|null} translationModel - Model used for translation (not every model can translate)
+ * @property {string[]} models - Model identifiers the provider serves
+ * @property {string} defaultModel - Model used when none is selected
+ * @property {number} maxUploadMB - Maximum upload size per request
+ * @property {boolean} supportsWordTimestamps - Whether word timestamps can be requested
+ * @property {boolean} requiresApiKey - Whether requests need an API key
+ * @property {string|null} apiKeyPrefix - Expected API key prefix, if any
+ * @property {boolean} selfHosted - Whether the base URL is user-configurable
+ */
+
+/**
+ * @typedef {Object} NormalizedTranscription
+ * @property {string} text
+ * @property {number|undefined} duration
+ * @property {string|undefined} language
+ * @property {Array} segments
+ * @property {Array<{word: string, start: number, end: number}>} words
+ */
+
+/** @type {Object<string, TranscriptionProvider>} */
+export const PROVIDERS = {
+  groq: {
+    id: 'groq',
+    name: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    transcriptionPath: '/audio/transcriptions',
+    translationPath: '/audio/translations',
+    translationModel: 'whisper-large-v3',
+    models: ['whisper-large-v3', 'whisper-large-v3-turbo', 'distil-whisper-large-v3-en'],
+    defaultModel: 'whisper-large-v3',
+    maxUploadMB: 25,
+    supportsWordTimestamps: true,
+    requiresApiKey: true,
+    apiKeyPrefix: 'gsk_',
+    selfHosted: false
+  },
+  openai: {
+    id: 'openai',
+    name: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    transcriptionPath: '/audio/transcriptions',
+    translationPath: '/audio/translations',
+    translationModel: 'whisper-1',
+    models: ['whisper-1'],
+    defaultModel: 'whisper-1',
+    maxUploadMB: 25,
+    supportsWordTimestamps: true,
+    requiresApiKey: true,
+    apiKeyPrefix: 'sk-',
+    selfHosted: false
+  },
+  'whisper-cpp': {
+    id: 'whisper-cpp',
+    name: 'whisper.cpp server',
+    // whisper.cpp's server listens on /inference unless started with
+    // --inference-path /v1/audio/transcriptions
+    baseUrl: 'http://localhost:8080',
+    transcriptionPath: '/inference',
+    translationPath: null,
+    translationModel: null,
+    models: ['default'],
+    defaultModel: 'default',
+    maxUploadMB: 100,
+    supportsWordTimestamps: false,
+    requiresApiKey: false,
+    apiKeyPrefix: null,
+    selfHosted: true
+  },
+  'faster-whisper': {
+    id: 'faster-whisper',
+    name: 'faster-whisper (OpenAI-compatible)',
+    baseUrl: 'http://localhost:8000/v1',
+    transcriptionPath: '/audio/transcriptions',
+    translationPath: '/audio/translations',
+    translationModel: 'Systran/faster-whisper-large-v3',
+    models: ['Systran/faster-whisper-large-v3', 'Systran/faster-distil-whisper-large-v3', 'Systran/faster-whisper-medium'],
+    defaultModel: 'Systran/faster-whisper-large-v3',
+    maxUploadMB: 100,
+    supportsWordTimestamps: true,
+    requiresApiKey: false,
+    apiKeyPrefix: null,
+    selfHosted: true
+  }
+};
+
+export const DEFAULT_PROVIDER_ID = 'groq';
+
+/**
+ * Languages offered for the `language` parameter (ISO-639-1), most common first
+ * Whisper understands more; these cover the bulk of real-world uploads.
+ */
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'nl', name: 'Dutch' },
+  { code: 'pl', name: 'Polish' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'uk', name: 'Ukrainian' },
+  { code: 'tr', name: 'Turkish' },
+  { code: 'ar', name: 'Arabic' },
+  { code: 'he', name: 'Hebrew' },
+  { code: 'hi', name: 'Hindi' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ko', name: 'Korean' },
+  { code: 'vi', name: 'Vietnamese' },
+  { code: 'id', name: 'Indonesian' },
+  { code: 'th', name: 'Thai' },
+  { code: 'sv', name: 'Swedish' },
+  { code: 'da', name: 'Danish' },
+  { code: 'no', name: 'Norwegian' },
+  { code: 'fi', name: 'Finnish' },
+  { code: 'cs', name: 'Czech' },
+  { code: 'el', name: 'Greek' },
+  { code: 'ro', name: 'Romanian' },
+  { code: 'hu', name: 'Hungarian' }
+];
+
+/**
+ * Whether a model only transcribes English (e.g. distil-whisper-large-v3-en)
+ * @param {string} model - Model identifier
+ * @returns {boolean}
+ */
+export function isEnglishOnlyModel(model) {
+  return /[-.]en$/.test(model);
+}
+
+/**
+ * Look up a provider, optionally overriding its base URL (self-hosted servers)
+ * @param {string} id - Provider id
+ * @param {Object} [overrides] - Fields to override
+ * @param {string} [overrides.baseUrl] - Custom base URL
+ * @returns {TranscriptionProvider}
+ */
+export function getProvider(id, overrides = {}) {
+  const provider = PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER_ID];
+  const baseUrl = overrides.baseUrl ? overrides.baseUrl.trim().replace(/\/+$/, '') : '';
+
+  if (baseUrl && provider.selfHosted) {
+    return { ...provider, baseUrl };
+  }
+  return provider;
+}
+
+/**
+ * Transcription tasks
+ */
+export const Task = {
+  TRANSCRIBE: 'transcribe', // Text in the spoken language
+  TRANSLATE: 'translate'    // English translation
+};
+
+/**
+ * Whether a provider can translate to English
+ * @param {TranscriptionProvider} provider
+ * @returns {boolean}
+ */
+export function supportsTranslation(provider) {
+  return Boolean(provider.translationPath);
+}
+
+/**
+ * Full URL of a provider's transcription (or translation) endpoint
+ * @param {TranscriptionProvider} provider
+ * @param {string} [task] - Task.TRANSCRIBE or Task.TRANSLATE
+ * @returns {string}
+ */
+export function getTranscriptionUrl(provider, task = Task.TRANSCRIBE) {
+  if (task === Task.TRANSLATE) {
+    if (!supportsTranslation(provider)) {
+      throw new Error(`${provider.name} does not support translation`);
+    }
+    return `${provider.baseUrl}${provider.translationPath}`;
+  }
+  return `${provider.baseUrl}${provider.transcriptionPath}`;
+}
+
+/**
+ * Normalize a provider response into the shape the pipeline expects
+ *
+ * Groq/OpenAI return top-level `words`; whisper.cpp and some OpenAI-compatible
+ * servers nest them inside each segment, and plain `json` responses only
+ * carry `text`.
+ *
+ * @param {Object} data - Parsed JSON response
+ * @returns {NormalizedTranscription}
+ */
+export function normalizeTranscriptionResponse(data) {
+  const segments = Array.isArray(data.segments) ? data.segments : [];
+
+  let words = Array.isArray(data.words) ? data.words : [];
+  if (words.length === 0) {
+    words = segments.flatMap(segment => Array.isArray(segment.words) ? segment.words : []);
+  }
+
+  // Some servers return `text` on words instead of `word`, or pad with spaces
+  words = words
+    .map(w => ({ ...w, word: String(w.word ?? w.text ?? '').trim() }))
+    .filter(w => w.word.length > 0 && typeof w.start === 'number' && typeof w.end === 'number');
+
+  const duration = data.duration ?? (segments.length > 0 ? segments[segments.length - 1].end : undefined);
+
+  return {
+    text: data.text ?? segments.map(s => s.text).join('').trim(),
+    duration,
+    language: data.language,
+    segments,
+    words
+  };
+}
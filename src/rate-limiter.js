@@ -0,0 +1,181 @@
+/**
+ * Client-side rate limiter for Groq Whisper quotas
+ *
+ * Groq limits Whisper usage by requests per minute (RPM) and by audio
+ * seconds per hour (ASPH). Each budget is modelled as a token bucket that
+ * refills continuously; a request is held until both buckets can cover it.
+ */
+
+/**
+ * @typedef {Object} RateLimiterOptions
+ * @property {number|null} [requestsPerMinute] - RPM budget (null/0 = unlimited)
+ * @property {number|null} [audioSecondsPerHour] - ASPH budget (null/0 = unlimited)
+ * @property {() => number} [now] - Clock function (ms), injectable for tests
+ */
+
+/**
+ * @typedef {Object} AcquireOptions
+ * @property {() => boolean} [shouldAbort] - Abort check while waiting
+ * @property {(nextSlotAt: number) => void} [onWait] - Called when the request has to wait
+ */
+
+/**
+ * Token bucket that refills continuously up to its capacity
+ */
+class TokenBucket {
+  /** @type {number} */
+  #capacity;
+
+  /** @type {number} */
+  #tokens;
+
+  /** @type {number} */
+  #refillPerMs;
+
+  /** @type {number} */
+  #lastRefill;
+
+  /**
+   * @param {number} capacity - Maximum tokens (the budget per window)
+   * @param {number} windowMs - Time to refill from empty to full
+   * @param {number} now - Current time (ms)
+   */
+  constructor(capacity, windowMs, now) {
+    this.#capacity = capacity;
+    this.#tokens = capacity;
+    this.#refillPerMs = capacity / windowMs;
+    this.#lastRefill = now;
+  }
+
+  /**
+   * @param {number} now - Current time (ms)
+   */
+  #refill(now) {
+    const elapsed = Math.max(0, now - this.#lastRefill);
+    this.#tokens = Math.min(this.#capacity, this.#tokens + elapsed * this.#refillPerMs);
+    this.#lastRefill = now;
+  }
+
+  /**
+   * Milliseconds until `amount` tokens are available
+   * Requests larger than the whole budget only need a full bucket,
+   * otherwise they could never be sent.
+   * @param {number} amount - Tokens needed
+   * @param {number} now - Current time (ms)
+   * @returns {number}
+   */
+  timeUntilAvailable(amount, now) {
+    this.#refill(now);
+    const needed = Math.min(amount, this.#capacity);
+    if (this.#tokens >= needed) {
+      return 0;
+    }
+    return (needed - this.#tokens) / this.#refillPerMs;
+  }
+
+  /**
+   * Take tokens (may go negative for oversized requests)
+   * @param {number} amount - Tokens to consume
+   * @param {number} now - Current time (ms)
+   */
+  consume(amount, now) {
+    this.#refill(now);
+    this.#tokens -= amount;
+  }
+}
+
+/**
+ * Rate limiter combining an RPM bucket and an audio-seconds-per-hour bucket
+ */
+export class RateLimiter {
+  /** @type {TokenBucket|null} */
+  #requests = null;
+
+  /** @type {TokenBucket|null} */
+  #audioSeconds = null;
+
+  /** @type {() => number} */
+  #now;
+
+  /**
+   * Create a rate limiter
+   * @param {RateLimiterOptions} options - Budgets to enforce
+   */
+  constructor(options = {}) {
+    this.#now = options.now || (() => Date.now());
+    const now = this.#now();
+
+    if (options.requestsPerMinute > 0) {
+      this.#requests = new TokenBucket(options.requestsPerMinute, 60 * 1000, now);
+    }
+    if (options.audioSecondsPerHour > 0) {
+      this.#audioSeconds = new TokenBucket(options.audioSecondsPerHour, 60 * 60 * 1000, now);
+    }
+  }
+
+  /**
+   * Whether any budget is being enforced
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.#requests !== null || this.#audioSeconds !== null;
+  }
+
+  /**
+   * Timestamp (ms) at which a request for `audioSeconds` of audio may be sent
+   * @param {number} audioSeconds - Duration of the audio to send
+   * @returns {number} - Timestamp; <= now means it can go immediately
+   */
+  getNextSlotTime(audioSeconds) {
+    const now = this.#now();
+    const waits = [0];
+
+    if (this.#requests) {
+      waits.push(this.#requests.timeUntilAvailable(1, now));
+    }
+    if (this.#audioSeconds) {
+      waits.push(this.#audioSeconds.timeUntilAvailable(audioSeconds, now));
+    }
+
+    return now + Math.ceil(Math.max(...waits));
+  }
+
+  /**
+   * Consume budget for a request if it fits right now
+   * @param {number} audioSeconds - Duration of the audio to send
+   * @returns {boolean} - True if the request may be sent
+   */
+  tryAcquire(audioSeconds) {
+    const now = this.#now();
+    if (this.getNextSlotTime(audioSeconds) > now) {
+      return false;
+    }
+
+    this.#requests?.consume(1, now);
+    this.#audioSeconds?.consume(audioSeconds, now);
+    return true;
+  }
+
+  /**
+   * Wait until the request fits both budgets, then consume them
+   * @param {number} audioSeconds - Duration of the audio to send
+   * @param {AcquireOptions} options - Wait options
+   * @returns {Promise<void>}
+   */
+  async acquire(audioSeconds, options = {}) {
+    const { shouldAbort = () => false, onWait = () => {} } = options;
+
+    while (!this.tryAcquire(audioSeconds)) {
+      if (shouldAbort()) {
+        throw new Error('Transcription aborted by user');
+      }
+
+      const nextSlotAt = this.getNextSlotTime(audioSeconds);
+      onWait(nextSlotAt);
+
+      // Re-check at least every 500ms so aborts are noticed promptly
+      const waitMs = Math.max(1, Math.min(500, nextSlotAt - this.#now()));
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+}
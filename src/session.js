@@ -0,0 +1,262 @@
+/**
+ * Transcription session export and import
+ *
+ * A session file captures everything needed to audit a run or re-merge it
+ * offline without calling the API again: the source file's metadata, the
+ * chunk plan, every chunk's provider response, the merge output, the final
+ * transcript (including manual edits) and the settings that produced them.
+ */
+
+export const SESSION_FORMAT = 'groq-chunker-session';
+export const SESSION_VERSION = 1;
+
+/**
+ * @typedef {Object} SessionFileInfo
+ * @property {string} name
+ * @property {number} size - Bytes
+ * @property {string} type - MIME type
+ * @property {number} lastModified - ms since epoch
+ * @property {number|null} duration - Seconds
+ */
+
+/**
+ * Settings a run depends on, with the provider reduced to what identifies it
+ * @param {Object|null} chunking - Options passed to calculateChunks
+ * @param {Object|null} transcription - transcriptionOptions of the run
+ * @returns {Object}
+ */
+function serializeSettings(chunking, transcription) {
+  const { provider, ...rest } = transcription || {};
+
+  return {
+    chunking: chunking ? { ...chunking } : null,
+    transcription: transcription
+      ? {
+        ...rest,
+        provider: provider ? { id: provider.id, name: provider.name, baseUrl: provider.baseUrl } : null
+      }
+      : null
+  };
+}
+
+/**
+ * Chunk result without the chunk object (chunks are stored once, by index)
+ * @param {Object} result - Entry of transcriptionResults
+ * @returns {Object}
+ */
+export function serializeResult(result) {
+  const { chunk, ...rest } = result;
+  return { chunkIndex: chunk.index, ...rest };
+}
+
+/**
+ * Build a session object ready for JSON.stringify
+ *
+ * @param {Object} params
+ * @param {File|{name: string, size: number, type: string, lastModified: number}} params.file - Source audio file
+ * @param {number|null} [params.duration] - Audio duration in seconds
+ * @param {Array} params.chunks - Chunks from calculateChunks
+ * @param {Array} params.results - transcriptionResults
+ * @param {Object|null} [params.mergeResult] - Output of mergeTranscriptsWithDeduplication
+ * @param {{text: string, words: Array, edited: boolean}|null} [params.transcript] - Transcript as shown (glossary-corrected, possibly edited)
+ * @param {Object|null} [params.chunking] - Options passed to calculateChunks
+ * @param {Object|null} [params.transcription] - transcriptionOptions of the run
+ * @returns {Object}
+ */
+export function createSession({ file, duration = null, chunks, results, mergeResult = null, transcript = null, chunking = null, transcription = null }) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    /** @type {SessionFileInfo} */
+    file: {
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      lastModified: file.lastModified,
+      duration
+    },
+    settings: serializeSettings(chunking, transcription),
+    chunks,
+    results: results.map(serializeResult),
+    merge: mergeResult
+      ? {
+        method: mergeResult.method,
+        text: mergeResult.text,
+        words: mergeResult.words,
+        allWords: mergeResult.allWords || [],
+        stats: mergeResult.stats,
+        language: mergeResult.language,
+        chunkLanguages: mergeResult.chunkLanguages
+      }
+      : null,
+    transcript: transcript
+      ? { text: transcript.text, words: transcript.words, edited: transcript.edited }
+      : null
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Throw a validation error pointing at the offending field
+ * @param {string} path - e.g. "results[2].chunkIndex"
+ * @param {string} problem
+ * @returns {never}
+ */
+function invalid(path, problem) {
+  throw new Error(`Invalid session: ${path} ${problem}`);
+}
+
+function validateChunk(chunk, i) {
+  const path = `chunks[${i}]`;
+  if (!isObject(chunk)) {invalid(path, 'is not an object');}
+  if (!Number.isInteger(chunk.index)) {invalid(`${path}.index`, 'must be an integer');}
+  for (const key of ['start', 'end', 'logicalStart', 'logicalEnd', 'duration']) {
+    if (!isNumber(chunk[key])) {invalid(`${path}.${key}`, 'must be a number');}
+  }
+  if (chunk.end <= chunk.start) {invalid(path, 'ends before it starts');}
+  if (!isObject(chunk.overlap) || !isNumber(chunk.overlap.leading) || !isNumber(chunk.overlap.trailing)) {
+    invalid(`${path}.overlap`, 'must have numeric leading and trailing');
+  }
+  // Skipped silences map word timestamps back to the file, so they must be usable
+  if (chunk.skips !== undefined) {
+    if (!Array.isArray(chunk.skips)) {invalid(`${path}.skips`, 'must be an array');}
+    chunk.skips.forEach((skip, k) => {
+      if (!isObject(skip) || !isNumber(skip.start) || !isNumber(skip.end) ||
+        skip.end <= skip.start || skip.start < chunk.start || skip.end > chunk.end) {
+        invalid(`${path}.skips[${k}]`, 'must have numeric start/end inside the chunk');
+      }
+    });
+  }
+}
+
+function validateTimedItems(items, path, textKey) {
+  if (items === undefined || items === null) {return;}
+  if (!Array.isArray(items)) {invalid(path, 'must be an array');}
+  items.forEach((item, k) => {
+    if (!isObject(item) || typeof item[textKey] !== 'string' || !isNumber(item.start) || !isNumber(item.end)) {
+      invalid(`${path}[${k}]`, `must have a string "${textKey}" and numeric start/end`);
+    }
+  });
+}
+
+function validateResult(result, i, chunksByIndex) {
+  const path = `results[${i}]`;
+  if (!isObject(result)) {invalid(path, 'is not an object');}
+  if (!chunksByIndex.has(result.chunkIndex)) {invalid(`${path}.chunkIndex`, `does not match any chunk (${result.chunkIndex})`);}
+  if (typeof result.success !== 'boolean') {invalid(`${path}.success`, 'must be true or false');}
+
+  if (result.success) {
+    if (typeof result.text !== 'string') {invalid(`${path}.text`, 'must be a string');}
+    validateTimedItems(result.words, `${path}.words`, 'word');
+    validateTimedItems(result.segments, `${path}.segments`, 'text');
+  }
+}
+
+function validateEditedWords(words) {
+  const path = 'transcript.words';
+  if (!Array.isArray(words)) {invalid(path, 'must be an array');}
+  words.forEach((w, k) => {
+    const timed = w?.absoluteStart === undefined || (isNumber(w.absoluteStart) && isNumber(w.absoluteEnd));
+    if (!isObject(w) || typeof w.word !== 'string' || !timed) {
+      invalid(`${path}[${k}]`, 'must have a string "word" and, if timed, numeric absoluteStart/absoluteEnd');
+    }
+  });
+}
+
+/**
+ * Parse and validate an exported session
+ * @param {string} json - Contents of a session file
+ * @returns {RestoredSession}
+ * @throws {Error} - If the JSON is malformed or the session is invalid (see restoreSession)
+ */
+export function parseSession(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+
+  return restoreSession(data);
+}
+
+/**
+ * @typedef {Object} RestoredSession
+ * @property {SessionFileInfo} file
+ * @property {{chunking: Object|null, transcription: Object|null}} settings
+ * @property {Array} chunks
+ * @property {Array} results - transcriptionResults entries
+ * @property {Array|null} editedWords - Manually edited transcript words, if any
+ */
+
+/**
+ * Validate a session object and rebuild its results
+ *
+ * Results come back in the shape transcriptionResults uses, with each one's
+ * chunk object re-attached, so they can be merged again without the API.
+ *
+ * @param {any} data - Session object (from createSession or a parsed file)
+ * @returns {RestoredSession}
+ * @throws {Error} - If it is not a session, an unsupported version, or fails validation
+ */
+export function restoreSession(data) {
+  if (!isObject(data) || data.format !== SESSION_FORMAT) {
+    throw new Error(`Not a session file (expected "format": "${SESSION_FORMAT}")`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    invalid('version', 'must be a positive integer');
+  }
+  if (data.version > SESSION_VERSION) {
+    throw new Error(`Session version ${data.version} is newer than this app supports (version ${SESSION_VERSION}) - update the app to import it`);
+  }
+
+  if (!isObject(data.file) || typeof data.file.name !== 'string') {
+    invalid('file', 'must have a name');
+  }
+  if (!Array.isArray(data.chunks) || data.chunks.length === 0) {
+    invalid('chunks', 'must be a non-empty array');
+  }
+  data.chunks.forEach(validateChunk);
+
+  const chunksByIndex = new Map(data.chunks.map(chunk => [chunk.index, chunk]));
+  if (chunksByIndex.size !== data.chunks.length) {
+    invalid('chunks', 'contain duplicate indices');
+  }
+
+  if (!Array.isArray(data.results)) {
+    invalid('results', 'must be an array');
+  }
+  data.results.forEach((result, i) => validateResult(result, i, chunksByIndex));
+
+  const edited = isObject(data.transcript) && data.transcript.edited === true;
+  if (edited) {
+    validateEditedWords(data.transcript.words);
+  }
+
+  const settings = isObject(data.settings) ? data.settings : {};
+
+  return {
+    file: {
+      name: data.file.name,
+      size: isNumber(data.file.size) ? data.file.size : 0,
+      type: typeof data.file.type === 'string' ? data.file.type : '',
+      lastModified: isNumber(data.file.lastModified) ? data.file.lastModified : 0,
+      duration: isNumber(data.file.duration) ? data.file.duration : null
+    },
+    settings: {
+      chunking: isObject(settings.chunking) ? settings.chunking : null,
+      transcription: isObject(settings.transcription) ? settings.transcription : null
+    },
+    chunks: data.chunks,
+    results: data.results.map(({ chunkIndex, ...rest }) => ({ chunk: chunksByIndex.get(chunkIndex), ...rest })),
+    editedWords: edited ? data.transcript.words : null
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Skipping long silences to save API cost
+ *
+ * Long breaks (the minutes before a meeting starts, a pause in a lecture)
+ * cost audio seconds but produce no words. In this mode they are found once
+ * with FFmpeg's silencedetect filter and cut out of each chunk before upload,
+ * keeping a short pad of silence on both sides so speech at the edges isn't
+ * clipped.
+ *
+ * Each chunk records what was removed from it as `skips`, in original-file
+ * time. That is all the offset map needs: a timestamp in the uploaded audio
+ * is moved past every skip that starts before it (see toOriginalTime).
+ */
+
+import { log } from './logger.js';
+import { isFFmpegLoaded, detectSilenceWithFFmpeg } from './ffmpeg-service.js';
+import { formatTime } from './audio-analyzer.js';
+
+// Silence kept on each side of a skip
+const SKIP_PAD_SEC = 0.5;
+
+// Audio every chunk keeps, so a chunk inside one long silence still uploads
+const MIN_SENT_SEC = 1;
+
+/**
+ * @typedef {Object} Skip
+ * @property {number} start - Original-file seconds
+ * @property {number} end
+ */
+
+/**
+ * Find the silences worth skipping in a whole file
+ * Needs FFmpeg; the Web Audio fallback would decode the whole file at once.
+ *
+ * @param {File} file
+ * @param {number} duration - Seconds
+ * @param {Object} options
+ * @param {number} options.minSilenceSec - Only silences at least this long are skipped
+ * @param {number} options.threshold - Linear amplitude below which audio is silent (as silenceThreshold)
+ * @returns {Promise<Skip[]>} - In order, already trimmed by the pad
+ */
+export async function findSkippableSilences(file, duration, { minSilenceSec, threshold }) {
+  if (!isFFmpegLoaded()) {
+    throw new Error('FFmpeg not loaded');
+  }
+
+  const thresholdDb = Math.round(20 * Math.log10(threshold));
+  const silences = await detectSilenceWithFFmpeg(file, 0, duration, thresholdDb, minSilenceSec);
+
+  const skips = silences
+    .map(s => ({ start: s.start + SKIP_PAD_SEC, end: Math.min(duration, s.end) - SKIP_PAD_SEC }))
+    .filter(s => s.end > s.start);
+
+  const skippedSec = skips.reduce((sum, s) => sum + (s.end - s.start), 0);
+  log(`Found ${skips.length} silences over ${minSilenceSec}s: ${formatTime(skippedSec)} will not be sent`, 'success');
+
+  return skips;
+}
+
+/**
+ * Merge overlapping skips into one ordered list
+ * @param {Skip[]} skips
+ * @returns {Skip[]}
+ */
+function mergeSkips(skips) {
+  const merged = [];
+  for (const skip of [...skips].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && skip.start <= last.end) {
+      last.end = Math.max(last.end, skip.end);
+    } else {
+      merged.push({ start: skip.start, end: skip.end });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Skips that fall inside a time range, clipped to it
+ * @param {Skip[]} skips - In order, not overlapping
+ * @param {number} start
+ * @param {number} end
+ * @returns {Skip[]}
+ */
+export function clipSkips(skips, start, end) {
+  return skips
+    .filter(s => s.end > start && s.start < end)
+    .map(s => ({ start: Math.max(start, s.start), end: Math.min(end, s.end) }));
+}
+
+/**
+ * Give each chunk the skips that fall inside it
+ *
+ * Skips are clipped to the chunk, overlap included, so a silence spanning a
+ * cut is removed from both chunks. Chunks keep at least MIN_SENT_SEC of audio.
+ * Accepts the skips of other chunks (overlapping pieces are merged first),
+ * so a plan rebuilt from edited cuts can take them from the old chunks.
+ *
+ * @param {Array} chunks - Chunks from buildChunksFromCuts
+ * @param {Skip[]} skips
+ * @returns {Array} - New chunk objects; chunks without skips are returned as is
+ */
+export function attachSkips(chunks, skips) {
+  const merged = mergeSkips(skips);
+
+  return chunks.map(chunk => {
+    const inside = clipSkips(merged, chunk.start, chunk.end);
+
+    const shortfall = MIN_SENT_SEC - (chunk.duration - sumSkipped(inside));
+    if (shortfall > 0 && inside.length > 0) {
+      const last = inside[inside.length - 1];
+      last.end = Math.max(last.start, last.end - shortfall);
+    }
+
+    const kept = inside.filter(s => s.end > s.start);
+    return kept.length > 0 ? { ...chunk, skips: kept } : chunk;
+  });
+}
+
+function sumSkipped(skips) {
+  return skips.reduce((sum, s) => sum + (s.end - s.start), 0);
+}
+
+/**
+ * Seconds of audio actually sent for a chunk
+ * @param {Object} chunk
+ * @returns {number}
+ */
+export function getSentDuration(chunk) {
+  return chunk.duration - sumSkipped(chunk.skips || []);
+}
+
+/**
+ * Parts of a chunk that are sent, in original-file time
+ * @param {Object} chunk
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function getKeptRanges(chunk) {
+  const ranges = [];
+  let position = chunk.start;
+  for (const skip of chunk.skips || []) {
+    if (skip.start > position) {ranges.push({ start: position, end: skip.start });}
+    position = skip.end;
+  }
+  if (chunk.end > position) {ranges.push({ start: position, end: chunk.end });}
+  return ranges;
+}
+
+/**
+ * Convert a time in a chunk's uploaded audio to original-file time
+ * @param {Object} chunk
+ * @param {number} time - Seconds from the start of the uploaded audio
+ * @returns {number}
+ */
+export function toOriginalTime(chunk, time) {
+  let position = chunk.start + time;
+  for (const skip of chunk.skips || []) {
+    if (position < skip.start) {break;}
+    position += skip.end - skip.start;
+  }
+  return position;
+}
+
+/**
+ * Convert an original-file time to a time in a chunk's uploaded audio
+ * The inverse of toOriginalTime; a time inside a skip maps to where the skip was cut.
+ *
+ * @param {Object} chunk
+ * @param {number} time - Original-file seconds
+ * @returns {number} - Seconds from the start of the uploaded audio
+ */
+export function toSentTime(chunk, time) {
+  return time - chunk.start - getSkippedBefore(chunk, time);
+}
+
+/**
+ * Seconds of a chunk's skipped silence before an original-file time
+ * @param {Object} chunk
+ * @param {number} time - Original-file seconds
+ * @returns {number}
+ */
+export function getSkippedBefore(chunk, time) {
+  let skipped = 0;
+  for (const skip of chunk.skips || []) {
+    if (time <= skip.start) {break;}
+    skipped += Math.min(time, skip.end) - skip.start;
+  }
+  return skipped;
+}
@@ -0,0 +1,180 @@
+/**
+ * SRT / WebVTT subtitle export from merged word timestamps
+ *
+ * Words are grouped into cues that respect common broadcast limits (line
+ * length, lines per cue, cue duration) and break at sentence ends and pauses
+ * so each cue reads as a natural unit.
+ */
+
+/**
+ * @typedef {Object} SubtitleOptions
+ * @property {number} maxCharsPerLine - Wrap lines longer than this
+ * @property {number} maxLinesPerCue - Start a new cue rather than add a line
+ * @property {number} maxCueDuration - Seconds a cue may stay on screen
+ * @property {number} pauseThreshold - Silence (seconds) between words that ends a cue
+ */
+
+/**
+ * @typedef {Object} SubtitleCue
+ * @property {number} start - Seconds
+ * @property {number} end - Seconds
+ * @property {string[]} lines - Wrapped text lines
+ */
+
+/** @type {SubtitleOptions} */
+export const SubtitleDefaults = {
+  maxCharsPerLine: 42,
+  maxLinesPerCue: 2,
+  maxCueDuration: 7,
+  pauseThreshold: 0.8
+};
+
+// Cues shorter than this are hard to read; extended when there is room
+const MIN_CUE_DURATION = 0.7;
+
+// A clause break (comma etc.) ends a cue once it is this full
+const CLAUSE_BREAK_FILL = 0.6;
+
+/**
+ * Greedily wrap words into lines of at most maxChars
+ * A single word longer than the limit gets a line of its own.
+ * @param {string[]} words
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function wrapLines(words, maxChars) {
+  const lines = [];
+  let line = '';
+
+  for (const word of words) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) {lines.push(line);}
+
+  return lines;
+}
+
+/**
+ * Group merged words into subtitle cues
+ *
+ * @param {Array<{word: string, absoluteStart: number, absoluteEnd: number}>} words - Merged words in order
+ * @param {Partial<SubtitleOptions>} [options]
+ * @returns {SubtitleCue[]}
+ */
+export function buildCues(words, options = {}) {
+  const { maxCharsPerLine, maxLinesPerCue, maxCueDuration, pauseThreshold } = { ...SubtitleDefaults, ...options };
+  const capacity = maxCharsPerLine * maxLinesPerCue;
+
+  const cues = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) {return;}
+    cues.push({
+      start: current[0].absoluteStart,
+      end: current[current.length - 1].absoluteEnd,
+      lines: wrapLines(current.map(w => w.word), maxCharsPerLine)
+    });
+    current = [];
+  };
+
+  for (const word of words) {
+    const text = word.word.trim();
+    if (!text) {continue;}
+
+    if (current.length > 0) {
+      const last = current[current.length - 1];
+      const pause = word.absoluteStart - last.absoluteEnd;
+      const tooLong = word.absoluteEnd - current[0].absoluteStart > maxCueDuration;
+      const tooManyLines = wrapLines([...current.map(w => w.word), text], maxCharsPerLine).length > maxLinesPerCue;
+
+      if (pause >= pauseThreshold || tooLong || tooManyLines) {
+        flush();
+      }
+    }
+
+    current.push({ ...word, word: text });
+
+    // Sentence ends always close the cue; clause breaks once it's fairly full
+    const cueLength = current.map(w => w.word).join(' ').length;
+    if (/[.!?…]["')\]]*$/.test(text) || (/[,;:]$/.test(text) && cueLength >= capacity * CLAUSE_BREAK_FILL)) {
+      flush();
+    }
+  }
+  flush();
+
+  // Give very short cues a minimum display time without running into the next
+  for (let i = 0; i < cues.length; i++) {
+    const next = cues[i + 1];
+    const limit = next ? next.start : Infinity;
+    if (cues[i].end - cues[i].start < MIN_CUE_DURATION) {
+      cues[i].end = Math.min(cues[i].start + MIN_CUE_DURATION, limit);
+    }
+    cues[i].end = Math.max(cues[i].end, cues[i].start);
+  }
+
+  return cues;
+}
+
+/**
+ * Format seconds as HH:MM:SS<separator>mmm
+ * @param {number} seconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string}
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const ms = totalMs % 1000;
+  const totalSec = Math.floor(totalMs / 1000);
+  const s = totalSec % 60;
+  const m = Math.floor(totalSec / 60) % 60;
+  const h = Math.floor(totalSec / 3600);
+
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Render cues as SubRip (.srt)
+ * @param {SubtitleCue[]} cues
+ * @returns {string}
+ */
+export function formatSrt(cues) {
+  return cues.map((cue, i) => [
+    String(i + 1),
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    ...cue.lines
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Escape cue text for WebVTT, where "&" and "<" start markup and "-->"
+ * would be read as a timing line
+ * @param {string} line
+ * @returns {string}
+ */
+function escapeVttText(line) {
+  return line
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/-->/g, '--&gt;');
+}
+
+/**
+ * Render cues as WebVTT (.vtt)
+ * @param {SubtitleCue[]} cues
+ * @returns {string}
+ */
+export function formatVtt(cues) {
+  const body = cues.map(cue => [
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+    ...cue.lines.map(escapeVttText)
+  ].join('\n')).join('\n\n');
+
+  return `WEBVTT\n\n${body}\n`;
+}
@@ -0,0 +1,152 @@
+/**
+ * Transcript editing that keeps word timestamps aligned
+ *
+ * The edited text is compared word by word with the words it was made from.
+ * Unchanged words keep their timing. A run of changed words takes over the
+ * time span of the words it replaces, shared out by length, so fixing a word
+ * keeps its timing, merging words spans all of them and splitting a word
+ * divides it. Inserted words are timed in the gap between their neighbours,
+ * and deleted words simply drop out.
+ */
+
+// Above this many comparisons (old words x new words, after trimming the
+// common start and end) the changed middle is retimed as one block
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * @typedef {Object} TranscriptWord
+ * @property {string} word
+ * @property {number} [absoluteStart] - Seconds (absent without word timestamps)
+ * @property {number} [absoluteEnd]
+ * @property {number} [chunkIndex]
+ * @property {boolean} [edited] - Added or changed by an edit
+ */
+
+function isTimed(word) {
+  return typeof word?.absoluteStart === 'number' && typeof word?.absoluteEnd === 'number';
+}
+
+/**
+ * Longest common subsequence of two word lists
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<[number, number]>} - Matched index pairs, in order
+ */
+function matchWords(a, b) {
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_DIFF_CELLS) {return [];}
+
+  // lengths[i][j] = LCS of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  /** @type {Array<[number, number]>} */
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Time a run of new words that replaces a run of old words
+ * @param {TranscriptWord[]} oldRun - Words replaced (may be empty for an insertion)
+ * @param {string[]} newRun - Replacement text (may be empty for a deletion)
+ * @param {TranscriptWord|undefined} before - Kept word before the run
+ * @param {TranscriptWord|undefined} after - Kept word after the run
+ * @returns {TranscriptWord[]}
+ */
+function retimeRun(oldRun, newRun, before, after) {
+  if (newRun.length === 0) {return [];}
+
+  let spanStart;
+  let spanEnd;
+  if (oldRun.length > 0 && isTimed(oldRun[0]) && isTimed(oldRun[oldRun.length - 1])) {
+    spanStart = oldRun[0].absoluteStart;
+    spanEnd = oldRun[oldRun.length - 1].absoluteEnd;
+  } else if (oldRun.length === 0 && (isTimed(before) || isTimed(after))) {
+    // Insertion: fill the gap between the neighbours
+    spanStart = isTimed(before) ? before.absoluteEnd : after.absoluteStart;
+    spanEnd = isTimed(after) ? after.absoluteStart : before.absoluteEnd;
+  }
+
+  const template = (k) => oldRun.length > 0
+    ? oldRun[Math.floor(k * oldRun.length / newRun.length)]
+    : (before || after);
+
+  if (spanStart === undefined) {
+    return newRun.map((word, k) => ({ ...template(k), word, edited: true }));
+  }
+
+  // Share the span out by word length
+  const span = Math.max(0, spanEnd - spanStart);
+  const totalChars = newRun.reduce((sum, w) => sum + w.length, 0);
+  let t = spanStart;
+
+  return newRun.map((word, k) => {
+    const duration = span * (word.length / totalChars);
+    const timed = { ...template(k), word, absoluteStart: t, absoluteEnd: t + duration, edited: true };
+    t += duration;
+    return timed;
+  });
+}
+
+/**
+ * Apply edited text to a word list
+ *
+ * @param {TranscriptWord[]} words - Words the text was edited from
+ * @param {string} text - Edited transcript (words separated by whitespace)
+ * @returns {TranscriptWord[]}
+ */
+export function applyTranscriptEdit(words, text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+
+  // Edits are usually local - match the unchanged start and end directly
+  let prefix = 0;
+  while (prefix < words.length && prefix < tokens.length && words[prefix].word === tokens[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < words.length - prefix &&
+    suffix < tokens.length - prefix &&
+    words[words.length - 1 - suffix].word === tokens[tokens.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = words.slice(prefix, words.length - suffix);
+  const newMiddle = tokens.slice(prefix, tokens.length - suffix);
+  const pairs = matchWords(oldMiddle.map(w => w.word), newMiddle);
+
+  const result = words.slice(0, prefix);
+  let i = 0;
+  let j = 0;
+  for (const [matchI, matchJ] of [...pairs, [oldMiddle.length, newMiddle.length]]) {
+    const before = result[result.length - 1];
+    const after = oldMiddle[matchI] || words[words.length - suffix];
+    result.push(...retimeRun(oldMiddle.slice(i, matchI), newMiddle.slice(j, matchJ), before, after));
+    if (matchI < oldMiddle.length) {
+      result.push(oldMiddle[matchI]);
+    }
+    i = matchI + 1;
+    j = matchJ + 1;
+  }
+
+  return result.concat(words.slice(words.length - suffix));
+}
@@ -0,0 +1,69 @@
+/**
+ * Full-text search over the merged transcript
+ *
+ * The transcript is rendered as its words joined by single spaces, so a
+ * match is found in that text and then mapped back to the words it covers,
+ * whose timestamps say where it is in the audio.
+ */
+
+/**
+ * @typedef {Object} TranscriptMatch
+ * @property {number} firstWord - Index of the first word the match touches
+ * @property {number} lastWord - Index of the last word the match touches
+ * @property {number|null} start - Absolute start time (null without word timestamps)
+ * @property {number|null} end - Absolute end time
+ */
+
+/**
+ * Find every occurrence of a query in the transcript
+ *
+ * Matching ignores case and runs of whitespace, and may start or end inside
+ * a word ("deploy" matches "redeployed"). Matches don't overlap.
+ *
+ * @param {Array<{word: string, absoluteStart?: number, absoluteEnd?: number}>} words - Words as rendered
+ * @param {string} query
+ * @returns {TranscriptMatch[]}
+ */
+export function searchTranscript(words, query) {
+  const needle = (query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!needle || words.length === 0) {return [];}
+
+  // Character offset where each word starts in the joined text
+  const offsets = [];
+  let length = 0;
+  for (const w of words) {
+    offsets.push(length);
+    length += w.word.length + 1;
+  }
+  const haystack = words.map(w => w.word).join(' ').toLowerCase();
+
+  const wordAt = (charIndex) => {
+    let lo = 0;
+    let hi = offsets.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (offsets[mid] <= charIndex) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return lo;
+  };
+
+  const matches = [];
+  let from = haystack.indexOf(needle);
+  while (from !== -1) {
+    const firstWord = wordAt(from);
+    const lastWord = wordAt(from + needle.length - 1);
+    matches.push({
+      firstWord,
+      lastWord,
+      start: words[firstWord].absoluteStart ?? null,
+      end: words[lastWord].absoluteEnd ?? null
+    });
+    from = haystack.indexOf(needle, from + needle.length);
+  }
+
+  return matches;
+}
@@ -0,0 +1,255 @@
+/**
+ * Whole-file voice activity detection (VAD) for chunk planning
+ *
+ * The window search in calculateChunks only looks around each ideal cut, so a
+ * window without a clear pause forces a cut mid-sentence. This pass decodes
+ * the whole file once at 16 kHz, classifies 30 ms frames as speech or not
+ * from their energy and zero-crossing rate, and plans every cut from the
+ * resulting speech map.
+ *
+ * The speech threshold is relative to the file's own noise floor, so it
+ * works on noisy recordings where a fixed amplitude threshold never fires.
+ */
+
+import { log } from './logger.js';
+import { isFFmpegLoaded, decodePcmWithFFmpeg } from './ffmpeg-service.js';
+import { scoreCutCandidates } from './audio-analyzer.js';
+
+const VAD_SAMPLE_RATE = 16000;
+const FRAME_SEC = 0.03;
+
+// A frame is speech when it is this far above the noise floor...
+const SPEECH_MARGIN_DB = 10;
+// ...or, for unvoiced consonants ("s", "f"), quieter but with many zero crossings
+const FRICATIVE_MARGIN_DB = 4;
+const FRICATIVE_ZCR = 3000; // Zero crossings per second
+
+// Speech continues this long after the last speech frame, so short dips
+// between words aren't taken for pauses
+const HANGOVER_SEC = 0.15;
+const MIN_SILENCE_SEC = 0.3;
+
+// Noise floor: the energy this fraction of frames stays below
+const NOISE_PERCENTILE = 0.1;
+
+/**
+ * @typedef {Object} FrameFeatures
+ * @property {Float32Array} energyDb - RMS energy per frame (dBFS)
+ * @property {Float32Array} zcr - Zero crossings per second per frame
+ */
+
+/**
+ * @typedef {Object} SpeechMap
+ * @property {number} frameSec
+ * @property {Float32Array} energyDb - Per frame, to find the quietest point when there is no pause
+ * @property {number} noiseFloorDb
+ * @property {number} thresholdDb - Energy above which a frame is speech
+ * @property {number} speechSec - Total speech
+ * @property {Array<{start: number, end: number, duration: number, midpoint: number}>} silences -
+ *   Pauses of at least MIN_SILENCE_SEC (start/end/midpoint in seconds, duration in ms, as analyzeWindowForSilence)
+ */
+
+/**
+ * Energy and zero-crossing rate of consecutive frames
+ * @param {ArrayLike<number>} samples
+ * @param {number} sampleRate
+ * @param {number} [scale] - Multiplier to bring samples to -1..1 (1/32768 for 16-bit PCM)
+ * @returns {FrameFeatures}
+ */
+export function computeFrameFeatures(samples, sampleRate, scale = 1) {
+  const frameSize = Math.max(1, Math.round(FRAME_SEC * sampleRate));
+  const count = Math.floor(samples.length / frameSize);
+  const energyDb = new Float32Array(count);
+  const zcr = new Float32Array(count);
+
+  for (let f = 0; f < count; f++) {
+    const start = f * frameSize;
+    let sum = 0;
+    let crossings = 0;
+    for (let i = start; i < start + frameSize; i++) {
+      const value = samples[i] * scale;
+      sum += value * value;
+      if (i > start && (value >= 0) !== (samples[i - 1] >= 0)) {crossings++;}
+    }
+    energyDb[f] = 10 * Math.log10(sum / frameSize + 1e-10);
+    zcr[f] = crossings / (frameSize / sampleRate);
+  }
+
+  return { energyDb, zcr };
+}
+
+/**
+ * Classify frames and collect the pauses between speech
+ * @param {FrameFeatures} features
+ * @param {number} [frameSec]
+ * @returns {SpeechMap}
+ */
+export function buildSpeechMap({ energyDb, zcr }, frameSec = FRAME_SEC) {
+  const sorted = Float32Array.from(energyDb).sort();
+  const noiseFloorDb = sorted.length > 0 ? sorted[Math.floor(sorted.length * NOISE_PERCENTILE)] : -100;
+  const thresholdDb = noiseFloorDb + SPEECH_MARGIN_DB;
+
+  const hangoverFrames = Math.round(HANGOVER_SEC / frameSec);
+  const speech = new Uint8Array(energyDb.length);
+  let hangover = 0;
+  for (let f = 0; f < energyDb.length; f++) {
+    const voiced = energyDb[f] > thresholdDb;
+    const fricative = energyDb[f] > noiseFloorDb + FRICATIVE_MARGIN_DB && zcr[f] > FRICATIVE_ZCR;
+    if (voiced || fricative) {
+      hangover = hangoverFrames;
+      speech[f] = 1;
+    } else if (hangover > 0) {
+      hangover--;
+      speech[f] = 1;
+    }
+  }
+
+  const silences = [];
+  let speechFrames = 0;
+  let runStart = null;
+  for (let f = 0; f <= speech.length; f++) {
+    if (f < speech.length && speech[f]) {speechFrames++;}
+    const silent = f < speech.length && !speech[f];
+    if (silent && runStart === null) {
+      runStart = f;
+    } else if (!silent && runStart !== null) {
+      const start = runStart * frameSec;
+      const end = f * frameSec;
+      if (end - start >= MIN_SILENCE_SEC) {
+        silences.push({ start, end, duration: (end - start) * 1000, midpoint: (start + end) / 2 });
+      }
+      runStart = null;
+    }
+  }
+
+  return { frameSec, energyDb, noiseFloorDb, thresholdDb, speechSec: speechFrames * frameSec, silences };
+}
+
+/**
+ * Quietest moment in a time range
+ * @param {SpeechMap} speechMap
+ * @param {number} start - Seconds
+ * @param {number} end - Seconds
+ * @returns {number|null} - Middle of the quietest frame, null if the range has no frames
+ */
+function findQuietestTime(speechMap, start, end) {
+  const { energyDb, frameSec } = speechMap;
+  let best = null;
+  for (let f = Math.max(0, Math.ceil(start / frameSec)); f < Math.min(energyDb.length, end / frameSec); f++) {
+    if (best === null || energyDb[f] < energyDb[best]) {best = f;}
+  }
+  return best === null ? null : (best + 0.5) * frameSec;
+}
+
+/**
+ * Plan cut points from a speech map
+ *
+ * Each cut goes in the best-scoring pause (see scoreCutCandidates) inside the
+ * search window around its ideal time. When the window has no pause, the
+ * search widens back to half a chunk after the previous cut, never later
+ * than the ideal time so chunks stay under their length. Only continuous
+ * speech forces a cut, and then at the quietest moment in the window.
+ *
+ * @param {SpeechMap} speechMap
+ * @param {number} duration - Seconds
+ * @param {Object} options
+ * @param {number} options.chunkLengthSec
+ * @param {number} options.silenceWindowSec
+ * @returns {import('./chunker.js').Cut[]}
+ */
+export function planCutsFromSpeech(speechMap, duration, { chunkLengthSec, silenceWindowSec }) {
+  const cuts = [];
+  let position = 0;
+
+  while (position + chunkLengthSec < duration - 1) {
+    const idealCut = position + chunkLengthSec;
+    const windowStart = Math.max(position + chunkLengthSec / 2, idealCut - silenceWindowSec / 2);
+    const windowEnd = Math.min(duration - 1, idealCut + silenceWindowSec / 2);
+
+    let candidates = speechMap.silences.filter(s => s.midpoint >= windowStart && s.midpoint <= windowEnd);
+    if (candidates.length === 0) {
+      candidates = speechMap.silences.filter(s => s.midpoint > position + chunkLengthSec / 2 && s.midpoint < idealCut);
+    }
+
+    const [best, ...rejected] = scoreCutCandidates(candidates, idealCut);
+    if (best) {
+      cuts.push({ time: best.midpoint, type: 'silence', targetTime: idealCut, silence: best, rejected });
+    } else {
+      const quietest = findQuietestTime(speechMap, windowStart, windowEnd);
+      cuts.push({ time: quietest ?? idealCut, type: 'forced', targetTime: idealCut, silence: null, rejected: [] });
+    }
+    position = cuts[cuts.length - 1].time;
+  }
+
+  return cuts;
+}
+
+/**
+ * Frame features of a whole file
+ * Uses FFmpeg if available (decodes five minutes at a time), falls back to
+ * Web Audio API.
+ *
+ * @param {File} file
+ * @param {number} duration - Seconds
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate] - Decoding rate (default: 16 kHz; zero crossings need it, energy alone doesn't)
+ * @param {(percent: number) => void} [options.onProgress]
+ * @returns {Promise<FrameFeatures>}
+ */
+export async function decodeFrameFeatures(file, duration, { sampleRate = VAD_SAMPLE_RATE, onProgress = () => {} } = {}) {
+  let features = null;
+
+  if (isFFmpegLoaded()) {
+    try {
+      const frames = Math.floor(duration / FRAME_SEC);
+      features = { energyDb: new Float32Array(frames).fill(-100), zcr: new Float32Array(frames) };
+
+      await decodePcmWithFFmpeg(file, {
+        duration,
+        sampleRate,
+        onSegment: (samples, startSec) => {
+          // Place each segment by its start time, as for the waveform peaks
+          const offset = Math.round(startSec / FRAME_SEC);
+          const segment = computeFrameFeatures(samples, sampleRate, 1 / 32768);
+          const count = Math.max(0, Math.min(segment.energyDb.length, frames - offset));
+          features.energyDb.set(segment.energyDb.subarray(0, count), offset);
+          features.zcr.set(segment.zcr.subarray(0, count), offset);
+        },
+        onProgress
+      });
+    } catch (error) {
+      log(`FFmpeg decoding failed: ${error.message}, trying Web Audio...`, 'warning');
+      features = null;
+    }
+  }
+
+  if (!features) {
+    // Fallback to Web Audio API (higher memory usage - decodes entire file)
+    const arrayBuffer = await file.arrayBuffer();
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+      const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+      features = computeFrameFeatures(audioBuffer.getChannelData(0), audioBuffer.sampleRate);
+    } finally {
+      await audioContext.close();
+    }
+  }
+
+  return features;
+}
+
+/**
+ * Run VAD over a whole file
+ * @param {File} file
+ * @param {number} duration - Seconds
+ * @param {(percent: number) => void} [onProgress]
+ * @returns {Promise<SpeechMap>}
+ */
+export async function analyzeSpeech(file, duration, onProgress = () => {}) {
+  const features = await decodeFrameFeatures(file, duration, { onProgress });
+  const speechMap = buildSpeechMap(features);
+  log(`VAD: noise floor ${speechMap.noiseFloorDb.toFixed(0)} dB, speech above ${speechMap.thresholdDb.toFixed(0)} dB, ` +
+    `${Math.round((speechMap.speechSec / duration) * 100)}% speech, ${speechMap.silences.length} pauses`, 'success');
+
+  return speechMap;
+}
@@ -0,0 +1,120 @@
+/**
+ * Multi-resolution waveform peaks
+ *
+ * The whole file is reduced once to min/max peaks at a fine base resolution,
+ * then each level of the pyramid halves the previous one. Drawing a view
+ * picks the coarsest level that still has a peak per pixel column, so
+ * zooming and panning cost the same on a 3-hour file as on a 3-minute one.
+ */
+
+// Base resolution: one peak per 32 ms (256 samples at 8 kHz)
+export const PEAK_SECONDS = 0.032;
+
+// Stop halving once a level is this small
+const MIN_LEVEL_PEAKS = 256;
+
+/**
+ * @typedef {Object} PeakLevel
+ * @property {Float32Array} min - Lowest sample per peak (-1 to 1)
+ * @property {Float32Array} max - Highest sample per peak (-1 to 1)
+ * @property {number} secondsPerPeak
+ */
+
+/**
+ * @typedef {Object} PeakPyramid
+ * @property {number} duration - Seconds
+ * @property {PeakLevel[]} levels - Finest first
+ */
+
+/**
+ * Reduce samples to min/max peaks
+ * @param {ArrayLike<number>} samples
+ * @param {number} samplesPerPeak
+ * @param {number} [scale] - Multiplier to bring samples to -1..1 (1/32768 for 16-bit PCM)
+ * @returns {{min: Float32Array, max: Float32Array}}
+ */
+export function computePeaks(samples, samplesPerPeak, scale = 1) {
+  const count = Math.ceil(samples.length / samplesPerPeak);
+  const min = new Float32Array(count);
+  const max = new Float32Array(count);
+
+  for (let p = 0; p < count; p++) {
+    const end = Math.min((p + 1) * samplesPerPeak, samples.length);
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (let i = p * samplesPerPeak; i < end; i++) {
+      const value = samples[i];
+      if (value < lo) {lo = value;}
+      if (value > hi) {hi = value;}
+    }
+    min[p] = lo * scale;
+    max[p] = hi * scale;
+  }
+
+  return { min, max };
+}
+
+/**
+ * Build the pyramid from base-level peaks
+ * @param {{min: Float32Array, max: Float32Array}} base
+ * @param {number} secondsPerPeak - Resolution of the base level
+ * @param {number} duration - Seconds
+ * @returns {PeakPyramid}
+ */
+export function buildPeakPyramid(base, secondsPerPeak, duration) {
+  const levels = [{ min: base.min, max: base.max, secondsPerPeak }];
+
+  let level = levels[0];
+  while (level.min.length > MIN_LEVEL_PEAKS) {
+    const count = Math.ceil(level.min.length / 2);
+    const min = new Float32Array(count);
+    const max = new Float32Array(count);
+    for (let p = 0; p < count; p++) {
+      const a = 2 * p;
+      const b = Math.min(a + 1, level.min.length - 1);
+      min[p] = Math.min(level.min[a], level.min[b]);
+      max[p] = Math.max(level.max[a], level.max[b]);
+    }
+    level = { min, max, secondsPerPeak: level.secondsPerPeak * 2 };
+    levels.push(level);
+  }
+
+  return { duration, levels };
+}
+
+/**
+ * Peaks for each pixel column of a time range
+ * @param {PeakPyramid} pyramid
+ * @param {number} start - Seconds
+ * @param {number} end - Seconds
+ * @param {number} columns - Pixel columns to fill
+ * @returns {{min: Float32Array, max: Float32Array}} - Zero outside the audio
+ */
+export function getVisiblePeaks(pyramid, start, end, columns) {
+  const secondsPerColumn = (end - start) / columns;
+
+  // Coarsest level with at least one peak per column
+  let level = pyramid.levels[0];
+  for (const candidate of pyramid.levels) {
+    if (candidate.secondsPerPeak <= secondsPerColumn) {level = candidate;}
+  }
+
+  const min = new Float32Array(columns);
+  const max = new Float32Array(columns);
+  const peakCount = level.min.length;
+
+  for (let c = 0; c < columns; c++) {
+    const from = Math.floor((start + c * secondsPerColumn) / level.secondsPerPeak);
+    const to = Math.max(from + 1, Math.ceil((start + (c + 1) * secondsPerColumn) / level.secondsPerPeak));
+    let lo = 0;
+    let hi = 0;
+    for (let p = Math.max(0, from); p < Math.min(to, peakCount); p++) {
+      if (level.min[p] < lo) {lo = level.min[p];}
+      if (level.max[p] > hi) {hi = level.max[p];}
+    }
+    min[c] = lo;
+    max[c] = hi;
+  }
+
+  return { min, max };
+}
@@ -2,15 +2,34 @@
  * Waveform visualization and chunk marker rendering
  */
 
+import { getVisiblePeaks } from './waveform-peaks.js';
+import { getSentDuration } from './silence-skipping.js';
+
+/**
+ * @typedef {Object} WaveformView
+ * @property {number} start - First visible second
+ * @property {number} end - Last visible second
+ */
+
+// Narrowest view the waveform can zoom to (seconds)
+const MIN_VIEW_SEC = 5;
+
 /**
- * Draw waveform on canvas
+ * Draw the visible range of a peak pyramid on a canvas
+ * One min/max line is drawn per pixel column, from the pyramid level that
+ * matches the zoom (see getVisiblePeaks).
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {import('./waveform-peaks.js').PeakPyramid} pyramid
+ * @param {WaveformView} [view] - Defaults to the whole file
+ * @param {Object} [options]
+ * @param {string} [options.barColor]
+ * @param {string} [options.backgroundColor]
  */
-export function drawWaveform(canvas, waveformData, options = {}) {
+export function drawWaveform(canvas, pyramid, view = { start: 0, end: pyramid.duration }, options = {}) {
   const {
     barColor = '#f97316',
-    backgroundColor = 'transparent',
-    barWidth = 2,
-    barGap = 1
+    backgroundColor = 'transparent'
   } = options;
 
   const ctx = canvas.getContext('2d');
@@ -22,42 +41,188 @@ export function drawWaveform(canvas, waveformData, options = {}) {
   canvas.height = rect.height * dpr;
   ctx.scale(dpr, dpr);
 
-  const width = rect.width;
+  const width = Math.floor(rect.width);
   const height = rect.height;
 
   // Clear canvas
   ctx.fillStyle = backgroundColor;
-  ctx.fillRect(0, 0, width, height);
+  ctx.fillRect(0, 0, rect.width, height);
 
-  // Calculate bar dimensions
-  const numBars = waveformData.length;
-  const totalBarWidth = barWidth + barGap;
-  const startX = (width - numBars * totalBarWidth) / 2;
+  if (width <= 0 || view.end <= view.start) {return;}
+
+  const { min, max } = getVisiblePeaks(pyramid, view.start, view.end, width);
+  const middle = height / 2;
+  const scale = middle * 0.9;
 
-  // Draw bars
   ctx.fillStyle = barColor;
+  for (let x = 0; x < width; x++) {
+    const top = middle - max[x] * scale;
+    const barHeight = Math.max(1, (max[x] - min[x]) * scale);
+    ctx.fillRect(x, top, 1, barHeight);
+  }
+}
+
+/**
+ * Draw a level histogram with the noise floor, speech level and threshold
+ * Bins at or below the threshold (counted as silence) are drawn green.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {import('./noise-floor.js').LevelProfile} levels
+ * @param {number} thresholdDb - Threshold in use
+ */
+export function drawLevelHistogram(canvas, levels, thresholdDb) {
+  const ctx = canvas.getContext('2d');
+  const dpr = window.devicePixelRatio || 1;
+
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = rect.width * dpr;
+  canvas.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+
+  const width = rect.width;
+  const height = rect.height;
+  ctx.clearRect(0, 0, width, height);
+
+  const { minDb, binDb, counts } = levels.histogram;
+  const rangeDb = counts.length * binDb;
+  const toX = (db) => ((db - minDb) / rangeDb) * width;
+  const peak = Math.max(1, ...counts);
+  const barWidth = width / counts.length;
+
+  counts.forEach((count, i) => {
+    const barHeight = (count / peak) * (height - 2);
+    ctx.fillStyle = minDb + (i + 1) * binDb <= thresholdDb ? '#22c55e' : '#8b5cf6';
+    ctx.fillRect(i * barWidth, height - barHeight, Math.max(1, barWidth - 1), barHeight);
+  });
+
+  const line = (db, color, dash) => {
+    ctx.strokeStyle = color;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    ctx.moveTo(toX(db), 0);
+    ctx.lineTo(toX(db), height);
+    ctx.stroke();
+  };
+  line(levels.noiseFloorDb, '#94a3b8', [3, 3]);
+  line(levels.speechLevelDb, '#94a3b8', [3, 3]);
+  line(thresholdDb, '#f97316', []);
+  ctx.setLineDash([]);
+}
+
+/**
+ * Zoom a view around an anchor time
+ * @param {WaveformView} view
+ * @param {number} factor - Below 1 zooms in, above 1 zooms out
+ * @param {number} anchor - Time that stays under the pointer (seconds)
+ * @param {number} duration - Audio duration (seconds)
+ * @returns {WaveformView}
+ */
+export function zoomView(view, factor, anchor, duration) {
+  const span = Math.min(duration, Math.max(Math.min(MIN_VIEW_SEC, duration), (view.end - view.start) * factor));
+  const ratio = view.end > view.start ? (anchor - view.start) / (view.end - view.start) : 0.5;
 
-  for (let i = 0; i < numBars; i++) {
-    const amplitude = waveformData[i];
-    const barHeight = Math.max(2, amplitude * height * 0.9);
-    const x = startX + i * totalBarWidth;
-    const y = (height - barHeight) / 2;
+  return panView({ start: anchor - ratio * span, end: anchor - ratio * span + span }, 0, duration);
+}
 
-    ctx.fillRect(x, y, barWidth, barHeight);
+/**
+ * Move a view, keeping it inside the audio
+ * @param {WaveformView} view
+ * @param {number} deltaSec - Positive pans right
+ * @param {number} duration - Audio duration (seconds)
+ * @returns {WaveformView}
+ */
+export function panView(view, deltaSec, duration) {
+  const span = Math.min(duration, view.end - view.start);
+  const start = Math.min(duration - span, Math.max(0, view.start + deltaSec));
+
+  return { start, end: start + span };
+}
+
+/**
+ * Explain how a cut was placed, for its marker's tooltip
+ * @param {Object} cutInfo - cutInfo of the chunk the cut ends
+ * @param {number} time - Cut time (seconds)
+ * @returns {string}
+ */
+export function describeCut(cutInfo, time) {
+  const target = typeof cutInfo.targetTime === 'number' ? formatTime(cutInfo.targetTime) : null;
+
+  if (cutInfo.type === 'manual') {
+    return `Cut at ${formatTime(time)}: placed by hand`;
+  }
+  if (cutInfo.type === 'forced' || !cutInfo.silence) {
+    return `Cut at ${formatTime(time)}: no silence found near ${target ?? 'the target'}, cut at the target time`;
+  }
+
+  const { silence, rejected = [] } = cutInfo;
+  const lines = [
+    `Cut at ${formatTime(time)}: middle of a ${(silence.duration / 1000).toFixed(1)}s silence, ` +
+      `${silence.distance.toFixed(1)}s from the ${target} target (score ${Math.round(silence.score)})`
+  ];
+  if (rejected.length > 0) {
+    lines.push(`Beat ${rejected.length} other candidate${rejected.length === 1 ? '' : 's'}:`);
+    for (const candidate of rejected) {
+      lines.push(`  ${formatTime(candidate.midpoint)} - ${(candidate.duration / 1000).toFixed(1)}s silence, ` +
+        `${candidate.distance.toFixed(1)}s away (score ${Math.round(candidate.score)})`);
+    }
+  } else {
+    lines.push('The only silence found near the target');
   }
+  return lines.join('\n');
 }
 
 /**
  * Render chunk markers on the waveform, including overlap regions
+ *
+ * @param {HTMLElement} container
+ * @param {Array} chunks
+ * @param {number} duration - Audio duration in seconds
+ * @param {Object} [options]
+ * @param {Array<{start: number, end: number}>} [options.silences] - Detected silences to show (snap targets);
+ *   the silence each cut was placed in and the candidates it beat are highlighted from the chunks' cutInfo
+ * @param {boolean} [options.editable] - Cut markers can be dragged and removed
+ * @param {WaveformView} [options.view] - Visible range, to line up with drawWaveform (default: whole file)
  */
-export function renderChunkMarkers(container, chunks, duration) {
+export function renderChunkMarkers(container, chunks, duration, options = {}) {
+  const { silences = [], editable = false, view = { start: 0, end: duration } } = options;
+  const toPercent = (time) => ((time - view.start) / (view.end - view.start)) * 100;
   container.innerHTML = '';
+  container.classList.toggle('editable', editable);
+
+  // Silence regions, each drawn once: chosen for a cut, rejected, or just detected
+  const regions = new Map();
+  const addRegion = (silence, status, title) => {
+    const key = `${silence.start}-${silence.end}`;
+    if (!regions.has(key) || status !== '') {
+      regions.set(key, { silence, status, title });
+    }
+  };
+  silences.forEach(silence => addRegion(silence, '', `Silence: ${(silence.end - silence.start).toFixed(1)}s`));
+  chunks.forEach(chunk => {
+    (chunk.cutInfo.rejected || []).forEach(candidate => {
+      addRegion(candidate, 'rejected', `Rejected cut candidate: ${(candidate.duration / 1000).toFixed(1)}s silence, score ${Math.round(candidate.score)}`);
+    });
+  });
+  chunks.forEach(chunk => {
+    if (chunk.cutInfo.silence) {
+      addRegion(chunk.cutInfo.silence, 'chosen', `Chosen cut silence: ${(chunk.cutInfo.silence.duration / 1000).toFixed(1)}s`);
+    }
+  });
+
+  regions.forEach(({ silence, status, title }) => {
+    const region = document.createElement('div');
+    region.className = status ? `silence-region ${status}` : 'silence-region';
+    region.style.left = `${toPercent(silence.start)}%`;
+    region.style.width = `${toPercent(silence.end) - toPercent(silence.start)}%`;
+    region.title = title;
+    container.appendChild(region);
+  });
 
   chunks.forEach((chunk, index) => {
     // Render overlap regions (purple)
     if (chunk.overlap.leading > 0 && chunk.overlap.leadingStart !== null) {
-      const startPos = (chunk.overlap.leadingStart / duration) * 100;
-      const endPos = (chunk.overlap.leadingEnd / duration) * 100;
+      const startPos = toPercent(chunk.overlap.leadingStart);
+      const endPos = toPercent(chunk.overlap.leadingEnd);
 
       const region = document.createElement('div');
       region.className = 'overlap-region';
@@ -69,8 +234,8 @@ export function renderChunkMarkers(container, chunks, duration) {
     }
 
     if (chunk.overlap.trailing > 0 && chunk.overlap.trailingStart !== null) {
-      const startPos = (chunk.overlap.trailingStart / duration) * 100;
-      const endPos = (chunk.overlap.trailingEnd / duration) * 100;
+      const startPos = toPercent(chunk.overlap.trailingStart);
+      const endPos = toPercent(chunk.overlap.trailingEnd);
 
       const region = document.createElement('div');
       region.className = 'overlap-region';
@@ -83,30 +248,22 @@ export function renderChunkMarkers(container, chunks, duration) {
 
     // Render cut point marker (at logical boundary, not overlap)
     if (index > 0) {
-      const position = (chunk.logicalStart / duration) * 100;
+      const position = toPercent(chunk.logicalStart);
 
       const marker = document.createElement('div');
-      marker.className = 'chunk-marker';
+      // The cut ending the previous chunk is described by its cutInfo
+      const cutType = chunks[index - 1].cutInfo.type;
+      marker.className = cutType === 'manual' || cutType === 'forced' ? `chunk-marker ${cutType}` : 'chunk-marker';
       marker.style.left = `${position}%`;
       marker.dataset.time = formatTime(chunk.logicalStart);
+      marker.dataset.cutIndex = String(index - 1);
+      marker.title = describeCut(chunks[index - 1].cutInfo, chunk.logicalStart);
+      if (editable) {
+        marker.title += '\n\nDrag to move this cut (hold Alt to skip snapping), double-click to remove it';
+      }
 
       container.appendChild(marker);
     }
-
-    // Render silence region if detected
-    if (chunk.cutInfo.type === 'silence' && chunk.cutInfo.silence) {
-      const silence = chunk.cutInfo.silence;
-      const startPos = (silence.start / duration) * 100;
-      const endPos = (silence.end / duration) * 100;
-
-      const region = document.createElement('div');
-      region.className = 'silence-region';
-      region.style.left = `${startPos}%`;
-      region.style.width = `${endPos - startPos}%`;
-      region.title = `Silence: ${(silence.duration / 1000).toFixed(1)}s`;
-
-      container.appendChild(region);
-    }
   });
 }
 
@@ -127,12 +284,26 @@ export function renderChunkList(container, chunks) {
       ? `<span class="overlap-badge" title="Leading: ${chunk.overlap.leading}s, Trailing: ${chunk.overlap.trailing}s">🔀 overlap</span>`
       : '';
 
+    // Long silences left out of the upload (see silence-skipping.js)
+    const skippedSec = chunk.duration - getSentDuration(chunk);
+    const skipBadge = skippedSec > 0
+      ? `<span class="skip-badge" title="${chunk.skips.length} silence(s) left out, ${formatDuration(getSentDuration(chunk))} sent">⏭ −${formatDuration(skippedSec)}</span>`
+      : '';
+
     // Show logical time range for clarity
     const logicalTime = `${formatTime(chunk.logicalStart)} → ${formatTime(chunk.logicalEnd)}`;
     const actualTime = hasOverlap
       ? `<small class="actual-time">(actual: ${formatTime(chunk.start)} → ${formatTime(chunk.end)})</small>`
       : '';
 
+    // Preview buttons: the whole chunk and each overlap zone (see createPreviewChunk)
+    const leadingButton = chunk.overlap.leading > 0
+      ? `<button class="chunk-preview-btn" data-preview="leading" title="Play the leading overlap (${formatTime(chunk.overlap.leadingStart)} → ${formatTime(chunk.overlap.leadingEnd)})">▶ Lead-in</button>`
+      : '';
+    const trailingButton = chunk.overlap.trailing > 0
+      ? `<button class="chunk-preview-btn" data-preview="trailing" title="Play the trailing overlap (${formatTime(chunk.overlap.trailingStart)} → ${formatTime(chunk.overlap.trailingEnd)})">▶ Tail</button>`
+      : '';
+
     item.innerHTML = `
       <div class="chunk-item-header">
         <span class="chunk-number">Chunk ${index + 1}</span>
@@ -143,7 +314,12 @@ export function renderChunkList(container, chunks) {
         ${actualTime}
       </div>
       <div class="chunk-duration">
-        ${formatDuration(chunk.duration)} ${overlapBadge}
+        ${formatDuration(chunk.duration)} ${overlapBadge} ${skipBadge}
+      </div>
+      <div class="chunk-preview">
+        <button class="chunk-preview-btn" data-preview="chunk" title="Play the chunk as it is sent to the API">▶ Chunk</button>
+        ${leadingButton}
+        ${trailingButton}
       </div>
     `;
 
@@ -8,12 +8,16 @@ import {
   transcribeChunk,
   transcribeChunkWithRetry,
   transcribeChunks,
+  detectLanguage,
   mergeTranscripts,
   ErrorType,
   RetryConfig,
 } from '../../src/groq-client.js';
+import { RateLimiter } from '../../src/rate-limiter.js';
+import { PROVIDERS, Task, getProvider } from '../../src/providers.js';
 import { groqSuccessResponse } from '../fixtures/api-responses.js';
 import { createMockChunk } from '../fixtures/chunks.js';
+import { createMockTranscriptionResult } from '../fixtures/transcriptions.js';
 
 // Mock the logger to avoid console output
 vi.mock('../../src/logger.js', () => ({
@@ -31,11 +35,12 @@ function createMockAudioBlob() {
  * Create a mock successful fetch response
  * This mimics what fetch() returns - an object with ok, status, and json() method
  */
-function mockFetchSuccess(data) {
+function mockFetchSuccess(data, headers = {}) {
   return {
     ok: true,
     status: 200,
     statusText: 'OK',
+    headers: new Headers(headers),
     json: () => Promise.resolve(data),
     text: () => Promise.resolve(JSON.stringify(data)),
   };
@@ -44,12 +49,13 @@ function mockFetchSuccess(data) {
 /**
  * Create a mock error fetch response
  */
-function mockFetchError(status, statusText, errorData = null) {
+function mockFetchError(status, statusText, errorData = null, headers = {}) {
   const body = errorData || { error: { message: statusText } };
   return {
     ok: false,
     status,
     statusText,
+    headers: new Headers(headers),
     json: () => Promise.resolve(body),
     text: () => Promise.resolve(JSON.stringify(body)),
   };
@@ -78,6 +84,14 @@ describe('transcribeChunk', () => {
     expect(globalThis.fetch).toHaveBeenCalledOnce();
   });
 
+  it('should keep the raw provider response', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    const result = await transcribeChunk(createMockAudioBlob(), 'gsk_test_api_key_12345');
+
+    expect(result.response).toEqual(groqSuccessResponse);
+  });
+
   it('should include authorization header', async () => {
     globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
 
@@ -154,6 +168,24 @@ describe('transcribeChunk', () => {
     expect(formData.get('language')).toBe('es');
   });
 
+  it('should pass model and temperature options', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    await transcribeChunk(createMockAudioBlob(), 'gsk_test', { model: 'whisper-large-v3-turbo', temperature: 0.2 });
+
+    const formData = globalThis.fetch.mock.calls[0][1].body;
+    expect(formData.get('model')).toBe('whisper-large-v3-turbo');
+    expect(formData.get('temperature')).toBe('0.2');
+  });
+
+  it('should leave temperature to the provider by default', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    await transcribeChunk(createMockAudioBlob(), 'gsk_test');
+
+    expect(globalThis.fetch.mock.calls[0][1].body.get('temperature')).toBeNull();
+  });
+
   it('should request word-level timestamps', async () => {
     globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
 
@@ -164,6 +196,93 @@ describe('transcribeChunk', () => {
     const formData = call[1].body;
     expect(formData.get('timestamp_granularities[]')).toBe('word');
   });
+
+  it('should send requests to the selected provider', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    await transcribeChunk(createMockAudioBlob(), 'sk-test', { provider: PROVIDERS.openai });
+
+    const [url, init] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/audio/transcriptions');
+    expect(init.body.get('model')).toBe('whisper-1');
+  });
+
+  it('should use a custom self-hosted URL without auth or word timestamps', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess({ text: 'Self hosted' }));
+
+    const provider = getProvider('whisper-cpp', { baseUrl: 'http://gpu-box:8080' });
+    const result = await transcribeChunk(createMockAudioBlob(), '', { provider });
+
+    const [url, init] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('http://gpu-box:8080/inference');
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(init.body.get('timestamp_granularities[]')).toBeNull();
+    expect(result.text).toBe('Self hosted');
+    expect(result.words).toEqual([]);
+  });
+
+  it('should send translations to the translations endpoint', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess({ text: 'Hello world', duration: 2 }));
+
+    const result = await transcribeChunk(createMockAudioBlob(), 'gsk_test', {
+      task: Task.TRANSLATE,
+      model: 'whisper-large-v3-turbo',
+      language: 'es'
+    });
+
+    const [url, init] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://api.groq.com/openai/v1/audio/translations');
+    expect(init.body.get('model')).toBe('whisper-large-v3');
+    expect(init.body.get('language')).toBeNull();
+    expect(init.body.get('timestamp_granularities[]')).toBeNull();
+    expect(result.text).toBe('Hello world');
+    expect(result.words).toEqual([]);
+  });
+
+  it('should name the provider in error messages', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 502,
+      statusText: 'Bad Gateway',
+      text: () => Promise.reject(new Error('no body')),
+    });
+
+    await expect(
+      transcribeChunk(createMockAudioBlob(), '', { provider: PROVIDERS['faster-whisper'] })
+    ).rejects.toThrow('faster-whisper (OpenAI-compatible) API error: 502');
+  });
+});
+
+describe('detectLanguage', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('should report the detected language without sending a hint', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess({ text: 'Hola a todos', language: 'Spanish' }));
+
+    const detection = await detectLanguage(createMockAudioBlob(), 'gsk_test', { language: 'en', prompt: 'Groq.' });
+
+    const formData = globalThis.fetch.mock.calls[0][1].body;
+    expect(formData.get('language')).toBeNull();
+    expect(formData.get('prompt')).toBeNull();
+    expect(detection).toEqual({ language: 'Spanish', code: 'es', text: 'Hola a todos' });
+  });
+
+  it('should return a null code for languages it cannot pin', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess({ text: 'Kia ora', language: 'Maori' }));
+
+    const detection = await detectLanguage(createMockAudioBlob(), 'gsk_test');
+
+    expect(detection.language).toBe('Maori');
+    expect(detection.code).toBeNull();
+  });
 });
 
 describe('transcribeChunkWithRetry', () => {
@@ -372,6 +491,119 @@ describe('transcribeChunkWithRetry', () => {
   });
 });
 
+describe('rate-limit headers', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    vi.useFakeTimers();
+  });
+
+  afterEach(async () => {
+    await vi.runAllTimersAsync();
+    globalThis.fetch = originalFetch;
+    vi.useRealTimers();
+  });
+
+  it('should attach rate-limit info to errors', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(
+      mockFetchError(429, 'Too Many Requests', null, { 'retry-after': '7' })
+    );
+
+    try {
+      await transcribeChunk(createMockAudioBlob(), 'gsk_test');
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.rateLimit.retryAfterMs).toBe(7000);
+    }
+  });
+
+  it('should return rate-limit info with successful results', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(
+      mockFetchSuccess(groqSuccessResponse, { 'x-ratelimit-remaining-requests': '19' })
+    );
+
+    const result = await transcribeChunk(createMockAudioBlob(), 'gsk_test');
+
+    expect(result.rateLimit.remaining.requests).toBe(19);
+  });
+
+  it('should wait for Retry-After instead of exponential backoff', async () => {
+    let attempts = 0;
+    globalThis.fetch = vi.fn().mockImplementation(() => {
+      attempts++;
+      if (attempts === 1) {
+        return Promise.resolve(mockFetchError(429, 'Too Many Requests', null, { 'retry-after': '10' }));
+      }
+      return Promise.resolve(mockFetchSuccess(groqSuccessResponse));
+    });
+
+    const onRetry = vi.fn();
+    const resultPromise = transcribeChunkWithRetry(createMockAudioBlob(), 'gsk_test', {}, {
+      onRetry,
+      config: { ...RetryConfig, initialDelayMs: 100 },
+    });
+
+    // Exponential backoff would have retried after 100ms
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(6000);
+    await resultPromise;
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(1, RetryConfig.maxRetries, 10000, expect.anything());
+  });
+
+  it('should wait for an exhausted quota to reset', async () => {
+    let attempts = 0;
+    globalThis.fetch = vi.fn().mockImplementation(() => {
+      attempts++;
+      if (attempts === 1) {
+        return Promise.resolve(mockFetchError(429, 'Too Many Requests', null, {
+          'x-ratelimit-remaining-requests': '0',
+          'x-ratelimit-reset-requests': '3s',
+        }));
+      }
+      return Promise.resolve(mockFetchSuccess(groqSuccessResponse));
+    });
+
+    const onRetry = vi.fn();
+    const resultPromise = transcribeChunkWithRetry(createMockAudioBlob(), 'gsk_test', {}, { onRetry });
+
+    await vi.advanceTimersByTimeAsync(4000);
+    await resultPromise;
+
+    expect(onRetry).toHaveBeenCalledWith(1, RetryConfig.maxRetries, 3000, expect.anything());
+  });
+
+  it('should hold later chunks when a response reports the quota exhausted', async () => {
+    const sendTimes = [];
+    let calls = 0;
+    globalThis.fetch = vi.fn().mockImplementation(() => {
+      sendTimes.push(Date.now());
+      calls++;
+      const headers = calls === 1
+        ? { 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '20s' }
+        : {};
+      return Promise.resolve(mockFetchSuccess(groqSuccessResponse, headers));
+    });
+
+    const chunks = [createMockChunk({ index: 0 }), createMockChunk({ index: 1 })];
+    const start = Date.now();
+
+    const resultsPromise = transcribeChunks(chunks, () => Promise.resolve(createMockAudioBlob()), 'gsk_test', {
+      delayBetweenChunks: 0,
+    });
+
+    await vi.advanceTimersByTimeAsync(25000);
+    const results = await resultsPromise;
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(sendTimes[1] - start).toBeGreaterThanOrEqual(20000);
+  });
+});
+
 describe('transcribeChunks', () => {
   let originalFetch;
 
@@ -579,6 +811,396 @@ describe('transcribeChunks', () => {
     expect(results[0].chunk).toBe(chunk);
     expect(results[0].chunk.logicalStart).toBe(100);
   });
+
+  it('should prompt each chunk with the glossary and the previous chunk tail', async () => {
+    globalThis.fetch = vi.fn()
+      .mockResolvedValueOnce(mockFetchSuccess({
+        text: 'Welcome to Kubernetes today',
+        words: [
+          { word: 'Welcome', start: 0, end: 0.5 },
+          { word: 'to', start: 0.5, end: 0.7 },
+          { word: 'Kubernetes', start: 0.7, end: 1.5 },
+          { word: 'today', start: 2.5, end: 3 },
+        ],
+      }))
+      .mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    // Chunk 2 starts at 2s, so "today" falls in the overlap and is left out
+    const chunks = [
+      createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 2.5, overlapTrailing: 0.5 }),
+      createMockChunk({ index: 1, logicalStart: 2.5, logicalEnd: 5, overlapLeading: 0.5 }),
+    ];
+
+    const resultsPromise = transcribeChunks(chunks, mockExtractChunk, 'gsk_test', {
+      delayBetweenChunks: 0,
+      promptChaining: true,
+      glossary: ['Kubernetes', 'kubectl'],
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await resultsPromise;
+
+    const prompts = globalThis.fetch.mock.calls.map(call => call[1].body.get('prompt'));
+    expect(prompts[0]).toBe('Kubernetes, kubectl.');
+    expect(prompts[1]).toBe('Kubernetes, kubectl. Welcome to Kubernetes');
+  });
+
+  it('should chain a resumed chunk from the restored result before it', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    const chunks = [0, 1, 2, 3].map(index => createMockChunk({ index, logicalStart: index * 10, logicalEnd: index * 10 + 10 }));
+    const restoredResults = [0, 2].map(index => createMockTranscriptionResult({
+      chunk: chunks[index],
+      text: `restored chunk ${index}`,
+      words: [
+        { word: 'restored', start: 1, end: 2 },
+        { word: 'chunk', start: 2, end: 3 },
+        { word: String(index), start: 3, end: 4 },
+      ],
+    }));
+
+    const resultsPromise = transcribeChunks([chunks[1], chunks[3]], mockExtractChunk, 'gsk_test', {
+      delayBetweenChunks: 0,
+      promptChaining: true,
+      restoredResults,
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await resultsPromise;
+
+    const prompts = globalThis.fetch.mock.calls.map(call => call[1].body.get('prompt'));
+    expect(prompts).toEqual(['restored chunk 0', 'restored chunk 2']);
+  });
+
+  it('should send the same model, language and temperature for every chunk', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    const resultsPromise = transcribeChunks([createMockChunk(), createMockChunk({ index: 1 })], mockExtractChunk, 'gsk_test', {
+      delayBetweenChunks: 0,
+      model: 'whisper-large-v3-turbo',
+      language: 'de',
+      temperature: 0.4,
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await resultsPromise;
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    for (const call of globalThis.fetch.mock.calls) {
+      const formData = call[1].body;
+      expect(formData.get('model')).toBe('whisper-large-v3-turbo');
+      expect(formData.get('language')).toBe('de');
+      expect(formData.get('temperature')).toBe('0.4');
+    }
+  });
+
+  it('should not send a prompt by default', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    const resultsPromise = transcribeChunks([createMockChunk(), createMockChunk({ index: 1 })], mockExtractChunk, 'gsk_test', {
+      delayBetweenChunks: 0,
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await resultsPromise;
+
+    for (const call of globalThis.fetch.mock.calls) {
+      expect(call[1].body.get('prompt')).toBeNull();
+    }
+  });
+});
+
+describe('transcribeChunks (concurrent)', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    vi.useFakeTimers();
+  });
+
+  afterEach(async () => {
+    await vi.runAllTimersAsync();
+    globalThis.fetch = originalFetch;
+    vi.useRealTimers();
+  });
+
+  const mockExtractChunk = vi.fn(() => Promise.resolve(createMockAudioBlob()));
+
+  /**
+   * Fetch mock whose responses resolve after a per-call delay,
+   * tracking the peak number of requests in flight
+   */
+  function createDelayedFetch(delays, responder = () => mockFetchSuccess(groqSuccessResponse)) {
+    const stats = { inFlight: 0, peak: 0, calls: 0 };
+    const fetchFn = vi.fn().mockImplementation(() => {
+      const call = stats.calls++;
+      stats.inFlight++;
+      stats.peak = Math.max(stats.peak, stats.inFlight);
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          stats.inFlight--;
+          resolve(responder(call));
+        }, delays[call] ?? 10);
+      });
+    });
+    return { fetchFn, stats };
+  }
+
+  it('should keep up to N requests in flight', async () => {
+    const { fetchFn, stats } = createDelayedFetch([100, 100, 100, 100, 100, 100]);
+    globalThis.fetch = fetchFn;
+
+    const chunks = Array.from({ length: 6 }, (_, index) => createMockChunk({ index }));
+
+    const resultsPromise = transcribeChunks(chunks, mockExtractChunk, 'gsk_test', {
+      concurrency: 3,
+      delayBetweenChunks: 0,
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    const results = await resultsPromise;
+
+    expect(results.length).toBe(6);
+    expect(stats.peak).toBe(3);
+  });
+
+  it('should return results in chunk order even when they finish out of order', async () => {
+    // First chunk is slowest, last chunk fastest
+    const { fetchFn } = createDelayedFetch([300, 200, 100]);
+    globalThis.fetch = fetchFn;
+
+    const chunks = [0, 1, 2].map(index => createMockChunk({ index }));
+    const completionOrder = [];
+
+    const resultsPromise = transcribeChunks(chunks, mockExtractChunk, 'gsk_test', {
+      concurrency: 3,
+      delayBetweenChunks: 0,
+      onChunkComplete: (chunk, index) => completionOrder.push(index),
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    const results = await resultsPromise;
+
+    expect(completionOrder).toEqual([2, 1, 0]);
+    expect(results.map(r => r.chunk.index)).toEqual([0, 1, 2]);
+  });
+
+  it('should call onChunkStart once per chunk with its index', async () => {
+    const { fetchFn } = createDelayedFetch([]);
+    globalThis.fetch = fetchFn;
+
+    const chunks = [0, 1, 2, 3].map(index => createMockChunk({ index }));
+    const onChunkStart = vi.fn();
+
+    const resultsPromise = transcribeChunks(chunks, mockExtractChunk, 'gsk_test', {
+      concurrency: 2,
+      delayBetweenChunks: 0,
+      onChunkStart,
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await resultsPromise;
+
+    expect(onChunkStart).toHaveBeenCalledTimes(4);
+    expect(onChunkStart.mock.calls.map(c => c[1]).sort()).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should extract chunks one at a time', async () => {
+    const { fetchFn } = createDelayedFetch([]);
+    globalThis.fetch = fetchFn;
+
+    let activeExtractions = 0;
+    let peakExtractions = 0;
+    const slowExtract = vi.fn(() => {
+      activeExtractions++;
+      peakExtractions = Math.max(peakExtractions, activeExtractions);
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          activeExtractions--;
+          resolve(createMockAudioBlob());
+        }, 50);
+      });
+    });
+
+    const chunks = [0, 1, 2].map(index => createMockChunk({ index }));
+
+    const resultsPromise = transcribeChunks(chunks, slowExtract, 'gsk_test', {
+      concurrency: 3,
+      delayBetweenChunks: 0,
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await resultsPromise;
+
+    expect(slowExtract).toHaveBeenCalledTimes(3);
+    expect(peakExtractions).toBe(1);
+  });
+
+  it('should stop starting new chunks when aborted', async () => {
+    const { fetchFn } = createDelayedFetch([50, 50, 50, 50, 50, 50]);
+    globalThis.fetch = fetchFn;
+
+    const chunks = Array.from({ length: 6 }, (_, index) => createMockChunk({ index }));
+    let aborted = false;
+
+    const resultsPromise = transcribeChunks(chunks, mockExtractChunk, 'gsk_test', {
+      concurrency: 2,
+      delayBetweenChunks: 0,
+      shouldAbort: () => aborted,
+      onChunkComplete: () => {
+        aborted = true;
+      },
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    const results = await resultsPromise;
+
+    // Both in-flight chunks finish, nothing new starts
+    expect(results.length).toBe(2);
+    expect(results.map(r => r.chunk.index)).toEqual([0, 1]);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep each result with its chunk when aborted mid-pool', async () => {
+    // Chunk 1 is still in flight when chunk 2 finishes and aborts the run
+    const { fetchFn } = createDelayedFetch([10, 300, 10, 10, 10, 10]);
+    globalThis.fetch = fetchFn;
+
+    const chunks = Array.from({ length: 6 }, (_, index) => createMockChunk({ index, logicalStart: index * 10, logicalEnd: index * 10 + 10 }));
+    let aborted = false;
+
+    const resultsPromise = transcribeChunks(chunks, mockExtractChunk, 'gsk_test', {
+      concurrency: 2,
+      delayBetweenChunks: 0,
+      shouldAbort: () => aborted,
+      onChunkComplete: (chunk) => {
+        if (chunk.index === 2) {aborted = true;}
+      },
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    const results = await resultsPromise;
+
+    expect(results.map(r => r.chunk.index)).toEqual([0, 1, 2]);
+    for (const result of results) {
+      expect(result.chunk).toBe(chunks[result.chunk.index]);
+    }
+  });
+
+  it('should stop all workers on auth error', async () => {
+    const { fetchFn } = createDelayedFetch([10, 10, 10, 10, 10], (call) =>
+      call === 0 ? mockFetchError(401, 'Unauthorized') : mockFetchSuccess(groqSuccessResponse)
+    );
+    globalThis.fetch = fetchFn;
+
+    const chunks = Array.from({ length: 5 }, (_, index) => createMockChunk({ index }));
+
+    const resultsPromise = transcribeChunks(chunks, mockExtractChunk, 'gsk_test', {
+      concurrency: 2,
+      delayBetweenChunks: 0,
+      retryConfig: { ...RetryConfig, maxRetries: 0 },
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    const results = await resultsPromise;
+
+    expect(results[0].errorType).toBe(ErrorType.AUTH);
+    expect(results.length).toBeLessThan(5);
+  });
+
+  it('should back off all workers together after a 429', async () => {
+    const sendTimes = [];
+    const { fetchFn } = createDelayedFetch([10, 500, 10, 10], (call) => {
+      return call === 0 ? mockFetchError(429, 'Too Many Requests') : mockFetchSuccess(groqSuccessResponse);
+    });
+    globalThis.fetch = vi.fn().mockImplementation((...args) => {
+      sendTimes.push(Date.now());
+      return fetchFn(...args);
+    });
+
+    const chunks = [0, 1, 2].map(index => createMockChunk({ index }));
+    const start = Date.now();
+
+    const resultsPromise = transcribeChunks(chunks, mockExtractChunk, 'gsk_test', {
+      concurrency: 2,
+      delayBetweenChunks: 0,
+      retryConfig: { ...RetryConfig, maxRetries: 3, initialDelayMs: 2000, maxDelayMs: 2000 },
+    });
+
+    await vi.advanceTimersByTimeAsync(5000);
+    const results = await resultsPromise;
+
+    expect(results.every(r => r.success)).toBe(true);
+    // Chunk 2 (third request) is only sent once the 2s backoff from the 429 has passed
+    const laterRequests = sendTimes.slice(2);
+    expect(laterRequests.every(t => t - start >= 2000)).toBe(true);
+  });
+});
+
+describe('transcribeChunks (rate limiter)', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    vi.useFakeTimers();
+  });
+
+  afterEach(async () => {
+    await vi.runAllTimersAsync();
+    globalThis.fetch = originalFetch;
+    vi.useRealTimers();
+  });
+
+  it('should hold chunks that would exceed the audio-seconds budget', async () => {
+    const sendTimes = [];
+    globalThis.fetch = vi.fn().mockImplementation(() => {
+      sendTimes.push(Date.now());
+      return Promise.resolve(mockFetchSuccess(groqSuccessResponse));
+    });
+
+    // Two 10-minute chunks against a 15-minute-per-hour budget
+    const chunks = [
+      createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 600 }),
+      createMockChunk({ index: 1, logicalStart: 600, logicalEnd: 1200 }),
+    ];
+    const rateLimiter = new RateLimiter({ audioSecondsPerHour: 900 });
+    const onRateLimitWait = vi.fn();
+    const start = Date.now();
+
+    const resultsPromise = transcribeChunks(chunks, () => Promise.resolve(createMockAudioBlob()), 'gsk_test', {
+      delayBetweenChunks: 0,
+      rateLimiter,
+      onRateLimitWait,
+    });
+
+    // 300s remain after chunk 1; 300 more audio-seconds take 20 minutes to refill
+    await vi.advanceTimersByTimeAsync(21 * 60 * 1000);
+    const results = await resultsPromise;
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(sendTimes[1] - start).toBeGreaterThanOrEqual(20 * 60 * 1000);
+    expect(onRateLimitWait).toHaveBeenCalledWith(chunks[1], 1, expect.any(Number));
+  });
+
+  it('should not hold requests within budget', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(mockFetchSuccess(groqSuccessResponse));
+
+    const chunks = [0, 1, 2].map(index => createMockChunk({ index }));
+    const onRateLimitWait = vi.fn();
+
+    const resultsPromise = transcribeChunks(chunks, () => Promise.resolve(createMockAudioBlob()), 'gsk_test', {
+      delayBetweenChunks: 0,
+      concurrency: 3,
+      rateLimiter: new RateLimiter({ requestsPerMinute: 20, audioSecondsPerHour: 7200 }),
+      onRateLimitWait,
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    const results = await resultsPromise;
+
+    expect(results.length).toBe(3);
+    expect(onRateLimitWait).not.toHaveBeenCalled();
+  });
 });
 
 describe('mergeTranscripts', () => {
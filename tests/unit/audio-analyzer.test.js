@@ -8,6 +8,7 @@ import {
   formatSize,
   findBestCutPoint,
   findSilentRegions,
+  scoreCutCandidates,
 } from '../../src/audio-analyzer.js';
 import {
   emptySilences,
@@ -73,6 +74,26 @@ describe('formatSize', () => {
   });
 });
 
+describe('scoreCutCandidates', () => {
+  it('should score every silence and sort best first', () => {
+    const silences = [
+      createMockSilence({ start: 599.8, end: 600.1, duration: 300 }), // 300 - 0.05 * 100
+      createMockSilence({ start: 597, end: 598.2, duration: 1200 }),  // 1200 - 2.4 * 100
+    ];
+
+    const candidates = scoreCutCandidates(silences, 600);
+
+    expect(candidates.map(c => c.midpoint)).toEqual([597.6, 599.95]);
+    expect(candidates[0].distance).toBeCloseTo(2.4);
+    expect(candidates[0].score).toBeCloseTo(960);
+    expect(candidates[1].score).toBeCloseTo(295);
+  });
+
+  it('should return no candidates without silences', () => {
+    expect(scoreCutCandidates(emptySilences, 600)).toEqual([]);
+  });
+});
+
 describe('findBestCutPoint', () => {
   it('should return null for empty silences array', () => {
     expect(findBestCutPoint(emptySilences, 600)).toBeNull();
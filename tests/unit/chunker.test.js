@@ -6,6 +6,9 @@ import { describe, it, expect } from 'vitest';
 import {
   validateChunkSize,
   estimateTotalTranscriptionTime,
+  createRangeChunk,
+  createPreviewChunk,
+  buildChunksFromCuts,
 } from '../../src/chunker.js';
 import {
   createMockChunk,
@@ -154,6 +157,15 @@ describe('estimateTotalTranscriptionTime', () => {
     // Sum of durations: 100 + 200 + 50 = 350
     expect(result).toBe(350);
   });
+
+  it('should leave out skipped silence', () => {
+    const chunks = [
+      { ...createMockChunk({ logicalStart: 0, logicalEnd: 100 }), skips: [{ start: 20, end: 50 }] },
+      createMockChunk({ logicalStart: 100, logicalEnd: 200 }),
+    ];
+
+    expect(estimateTotalTranscriptionTime(chunks)).toBe(170);
+  });
 });
 
 describe('Chunk fixtures', () => {
@@ -239,3 +251,119 @@ describe('Chunk fixtures', () => {
     });
   });
 });
+
+describe('createRangeChunk', () => {
+  it('should build an overlap-free chunk for the range', () => {
+    const parent = createMockChunk({ index: 2, logicalStart: 600, logicalEnd: 1200, overlapLeading: 10 });
+    const range = createRangeChunk(parent, 700, 730);
+
+    expect(range.index).toBe(2);
+    expect(range.start).toBe(700);
+    expect(range.end).toBe(730);
+    expect(range.duration).toBe(30);
+    expect(range.overlap.leading).toBe(0);
+    expect(range.overlap.trailing).toBe(0);
+  });
+
+  it('should clamp the range to the parent chunk', () => {
+    const parent = createMockChunk({ logicalStart: 0, logicalEnd: 600 });
+    const range = createRangeChunk(parent, -1, 605);
+
+    expect(range.start).toBe(0);
+    expect(range.end).toBe(600);
+  });
+
+  it('should keep the parent skips inside the range', () => {
+    const parent = {
+      ...createMockChunk({ logicalStart: 0, logicalEnd: 600 }),
+      skips: [{ start: 100, end: 200 }, { start: 300, end: 400 }]
+    };
+
+    expect(createRangeChunk(parent, 150, 350).skips).toEqual([{ start: 150, end: 200 }, { start: 300, end: 350 }]);
+    expect(createRangeChunk(parent, 250, 280).skips).toBeUndefined();
+  });
+});
+
+describe('createPreviewChunk', () => {
+  const chunk = createMockChunk({ index: 1, logicalStart: 600, logicalEnd: 1200, overlapLeading: 10, overlapTrailing: 10 });
+
+  it('should return the chunk itself for a whole-chunk preview', () => {
+    expect(createPreviewChunk(chunk, 'chunk')).toBe(chunk);
+  });
+
+  it('should cover the leading overlap zone', () => {
+    const preview = createPreviewChunk(chunk, 'leading');
+
+    expect(preview.index).toBe(1);
+    expect(preview.start).toBe(590);
+    expect(preview.end).toBe(600);
+  });
+
+  it('should cover the trailing overlap zone', () => {
+    const preview = createPreviewChunk(chunk, 'trailing');
+
+    expect(preview.start).toBe(1200);
+    expect(preview.end).toBe(1210);
+  });
+
+  it('should leave skipped silence out of the previews', () => {
+    const skipping = { ...chunk, skips: [{ start: 592, end: 596 }, { start: 800, end: 900 }] };
+
+    expect(createPreviewChunk(skipping, 'chunk').skips).toEqual(skipping.skips);
+    expect(createPreviewChunk(skipping, 'leading').skips).toEqual([{ start: 592, end: 596 }]);
+    expect(createPreviewChunk(skipping, 'trailing').skips).toBeUndefined();
+  });
+
+  it('should return null for a side without overlap', () => {
+    const first = createMockChunk({ logicalStart: 0, logicalEnd: 600, overlapTrailing: 10 });
+
+    expect(createPreviewChunk(first, 'leading')).toBeNull();
+  });
+});
+
+describe('buildChunksFromCuts', () => {
+  const cuts = [
+    { time: 600, type: 'silence' },
+    { time: 1150, type: 'manual' }
+  ];
+
+  it('should build one chunk per span between cuts', () => {
+    const chunks = buildChunksFromCuts(cuts, 1800, 10);
+
+    expect(chunks.map(c => [c.logicalStart, c.logicalEnd])).toEqual([[0, 600], [600, 1150], [1150, 1800]]);
+    expect(chunks.map(c => c.index)).toEqual([0, 1, 2]);
+  });
+
+  it('should add overlap on the inner sides only', () => {
+    const [first, middle, last] = buildChunksFromCuts(cuts, 1800, 10);
+
+    expect([first.start, first.end]).toEqual([0, 610]);
+    expect([middle.start, middle.end]).toEqual([590, 1160]);
+    expect([last.start, last.end]).toEqual([1140, 1800]);
+    expect(middle.overlap).toMatchObject({ leading: 10, trailing: 10, leadingStart: 590, trailingEnd: 1160 });
+    expect(first.overlap.leading).toBe(0);
+    expect(last.overlap.trailing).toBe(0);
+  });
+
+  it('should record the type of the cut that ends each chunk', () => {
+    const chunks = buildChunksFromCuts(cuts, 1800, 10);
+
+    expect(chunks.map(c => c.cutInfo.type)).toEqual(['silence', 'manual', 'end']);
+  });
+
+  it('should copy how each cut was chosen to cutInfo', () => {
+    const silence = { start: 599, end: 601, duration: 2000, midpoint: 600, distance: 0, score: 2000 };
+    const rejected = [{ start: 590, end: 590.5, duration: 500, midpoint: 590.25, distance: 9.75, score: -475 }];
+    const [first, second] = buildChunksFromCuts([{ time: 600, type: 'silence', targetTime: 600, silence, rejected }], 1200, 10);
+
+    expect(first.cutInfo).toEqual({ type: 'silence', targetTime: 600, silence, rejected });
+    expect(second.cutInfo).toEqual({ type: 'end', silence: null });
+  });
+
+  it('should build a single chunk without cuts', () => {
+    const chunks = buildChunksFromCuts([], 300, 10);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ start: 0, end: 300, duration: 300 });
+  });
+});
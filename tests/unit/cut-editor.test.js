@@ -0,0 +1,103 @@
+/**
+ * Unit tests for cut-editor.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getCuts, moveCut, addCut, removeCut, snapToSilence } from '../../src/cut-editor.js';
+import { createMockChunk } from '../fixtures/index.js';
+
+const cuts = [
+  { time: 600, type: 'silence' },
+  { time: 1200, type: 'silence' }
+];
+
+describe('getCuts', () => {
+  it('should list the logical boundaries between chunks with their type', () => {
+    const chunks = [
+      createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 600, overlapTrailing: 10 }),
+      createMockChunk({ index: 1, logicalStart: 600, logicalEnd: 1200, overlapLeading: 10 })
+    ];
+    chunks[0].cutInfo.type = 'manual';
+
+    expect(getCuts(chunks)).toEqual([{ time: 600, type: 'manual', silence: null }]);
+  });
+
+  it('should keep the analysis details of a cut', () => {
+    const chunks = [
+      createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 598 }),
+      createMockChunk({ index: 1, logicalStart: 598, logicalEnd: 1200 })
+    ];
+    const silence = { start: 597, end: 599, duration: 2000, midpoint: 598, distance: 2, score: 1800 };
+    chunks[0].cutInfo = { type: 'silence', targetTime: 600, silence, rejected: [] };
+
+    expect(getCuts(chunks)[0]).toEqual({ time: 598, type: 'silence', targetTime: 600, silence, rejected: [] });
+  });
+
+  it('should return no cuts for a single chunk', () => {
+    expect(getCuts([createMockChunk()])).toEqual([]);
+  });
+});
+
+describe('moveCut', () => {
+  it('should move a cut and mark it manual', () => {
+    expect(moveCut(cuts, 0, 650, 1800)).toEqual([
+      { time: 650, type: 'manual' },
+      { time: 1200, type: 'silence' }
+    ]);
+  });
+
+  it('should keep a cut clear of its neighbours and the ends', () => {
+    expect(moveCut(cuts, 0, 1199, 1800)[0].time).toBe(1195);
+    expect(moveCut(cuts, 0, -20, 1800)[0].time).toBe(5);
+    expect(moveCut(cuts, 1, 1800, 1800)[1].time).toBe(1795);
+  });
+
+  it('should not modify the original cuts', () => {
+    moveCut(cuts, 0, 650, 1800);
+
+    expect(cuts[0]).toEqual({ time: 600, type: 'silence' });
+  });
+});
+
+describe('addCut', () => {
+  it('should insert a manual cut in order', () => {
+    expect(addCut(cuts, 900, 1800)).toEqual([
+      { time: 600, type: 'silence' },
+      { time: 900, type: 'manual' },
+      { time: 1200, type: 'silence' }
+    ]);
+  });
+
+  it('should refuse a cut too close to another cut or the ends', () => {
+    expect(addCut(cuts, 603, 1800)).toBe(cuts);
+    expect(addCut(cuts, 2, 1800)).toBe(cuts);
+    expect(addCut(cuts, 1798, 1800)).toBe(cuts);
+  });
+});
+
+describe('removeCut', () => {
+  it('should drop the cut', () => {
+    expect(removeCut(cuts, 0)).toEqual([{ time: 1200, type: 'silence' }]);
+  });
+});
+
+describe('snapToSilence', () => {
+  const silences = [
+    { start: 595, end: 597 },
+    { start: 610, end: 611 }
+  ];
+
+  it('should snap to the middle of a silence the time falls in', () => {
+    expect(snapToSilence(595.5, silences, 1)).toBe(596);
+  });
+
+  it('should snap to the nearest silence within the tolerance', () => {
+    expect(snapToSilence(599, silences, 3)).toBe(596);
+    expect(snapToSilence(608, silences, 3)).toBe(610.5);
+  });
+
+  it('should leave the time alone when no silence is close enough', () => {
+    expect(snapToSilence(603, silences, 3)).toBe(603);
+    expect(snapToSilence(603, [], 3)).toBe(603);
+  });
+});
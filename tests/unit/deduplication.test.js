@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect, vi } from 'vitest';
-import { mergeTranscriptsWithDeduplication } from '../../src/deduplication.js';
+import { mergeTranscriptsWithDeduplication, MergeStrategy } from '../../src/deduplication.js';
 import {
   createMockChunk,
   createMockTranscriptionResult,
@@ -192,6 +192,95 @@ describe('mergeTranscriptsWithDeduplication', () => {
       // Should still produce merged text
       expect(result.text).toContain('First');
       expect(result.text).toContain('Second');
+      expect(result.method).toBe('text');
+    });
+
+    it('should report timestamp merge when word timestamps are available', () => {
+      const result = mergeTranscriptsWithDeduplication([successfulResult], 10);
+
+      expect(result.method).toBe('timestamp');
+    });
+
+    it('should report no merge when nothing succeeded', () => {
+      const result = mergeTranscriptsWithDeduplication([failedResult], 10);
+
+      expect(result.method).toBe('none');
+    });
+  });
+
+  describe('Merge strategies', () => {
+    // Chunks 0-10 and 10-20 with 2s of overlap; chunk 2 starts at 8s
+    function boundaryResults() {
+      return [
+        createMockTranscriptionResult({
+          chunk: createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 10, overlapTrailing: 2 }),
+          text: 'one two three four',
+          words: [
+            { word: 'one', start: 5, end: 5.5 },
+            { word: 'two', start: 8.5, end: 9 },
+            { word: 'three', start: 10.5, end: 11 },
+            { word: 'four', start: 11.5, end: 11.9 },
+          ],
+        }),
+        createMockTranscriptionResult({
+          chunk: createMockChunk({ index: 1, logicalStart: 10, logicalEnd: 20, overlapLeading: 2 }),
+          text: 'TWO THREE FOUR five',
+          words: [
+            { word: 'TWO', start: 0.5, end: 1 },
+            { word: 'THREE', start: 2.5, end: 3 },
+            { word: 'FOUR', start: 3.5, end: 3.9 },
+            { word: 'five', start: 7, end: 7.5 },
+          ],
+        }),
+      ];
+    }
+
+    it('should keep each chunk up to the cut', () => {
+      const result = mergeTranscriptsWithDeduplication(boundaryResults(), 2, { strategy: MergeStrategy.CUT });
+
+      expect(result.text).toBe('one two THREE FOUR five');
+      expect(result.stats.wordsDeduplicated).toBe(3);
+    });
+
+    it('should keep the earlier or the later chunk when asked', () => {
+      const earlier = mergeTranscriptsWithDeduplication(boundaryResults(), 2, { strategy: MergeStrategy.EARLIER });
+      const later = mergeTranscriptsWithDeduplication(boundaryResults(), 2, { strategy: MergeStrategy.LATER });
+
+      expect(earlier.text).toBe('one two three four five');
+      expect(later.text).toBe('one TWO THREE FOUR five');
+    });
+
+    it('should count words starting within the tolerance as overlap', () => {
+      const results = boundaryResults();
+      // Chunk 2's first word starts at 8.6s, chunk 1's "two" 0.1s before it
+      results[1].words[0] = { word: 'TWO', start: 0.6, end: 1 };
+
+      const strict = mergeTranscriptsWithDeduplication(results, 2, { strategy: MergeStrategy.LATER, toleranceSec: 0 });
+      const loose = mergeTranscriptsWithDeduplication(results, 2, { strategy: MergeStrategy.LATER, toleranceSec: 0.2 });
+
+      expect(strict.text).toBe('one two TWO THREE FOUR five');
+      expect(loose.text).toBe('one TWO THREE FOUR five');
+    });
+
+    it('should trim a chunk that overlaps on both sides at both ends', () => {
+      const results = [
+        ...boundaryResults(),
+        createMockTranscriptionResult({
+          chunk: createMockChunk({ index: 2, logicalStart: 20, logicalEnd: 30, overlapLeading: 2 }),
+          text: 'FIVE six',
+          words: [
+            { word: 'FIVE', start: 1, end: 1.5 },
+            { word: 'six', start: 5, end: 5.5 },
+          ],
+        }),
+      ];
+      // Chunk 2 starts at 8s and overlaps chunk 3 at 18-22s
+      results[1].chunk = createMockChunk({ index: 1, logicalStart: 10, logicalEnd: 20, overlapLeading: 2, overlapTrailing: 2 });
+      results[1].words[3] = { word: 'five', start: 11, end: 11.5 };
+
+      const result = mergeTranscriptsWithDeduplication(results, 2, { strategy: MergeStrategy.EARLIER });
+
+      expect(result.text).toBe('one two three four five six');
     });
   });
 
@@ -211,4 +300,50 @@ describe('mergeTranscriptsWithDeduplication', () => {
       expect(typeof result.stats.wordsDeduplicated).toBe('number');
     });
   });
+
+  describe('Skipped silences', () => {
+    it('should map word timestamps back to original-file time', () => {
+      const chunk = { ...createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 60 }), skips: [{ start: 10, end: 40 }] };
+      const results = [
+        createMockTranscriptionResult({
+          chunk,
+          text: 'before after',
+          words: [
+            { word: 'before', start: 9, end: 9.5 },
+            { word: 'after', start: 10.5, end: 11 },
+          ],
+        }),
+      ];
+
+      const result = mergeTranscriptsWithDeduplication(results, 0);
+
+      expect(result.words.map(w => [w.absoluteStart, w.absoluteEnd])).toEqual([[9, 9.5], [40.5, 41]]);
+    });
+  });
+
+  describe('Chunk languages', () => {
+    it('should keep each chunk language and flag the odd one out', () => {
+      const results = [0, 1, 2].map(index => createMockTranscriptionResult({
+        chunk: createMockChunk({ index, logicalStart: index * 600, logicalEnd: (index + 1) * 600 }),
+        text: `Chunk ${index} text here.`,
+        language: index === 1 ? 'Welsh' : 'English',
+      }));
+
+      const result = mergeTranscriptsWithDeduplication(results, 0);
+
+      expect(result.language).toBe('English');
+      expect(result.chunkLanguages).toEqual([
+        { chunkIndex: 0, language: 'English', mismatch: false, pinned: false, avgLogprob: null, lowConfidence: false },
+        { chunkIndex: 1, language: 'Welsh', mismatch: true, pinned: false, avgLogprob: null, lowConfidence: false },
+        { chunkIndex: 2, language: 'English', mismatch: false, pinned: false, avgLogprob: null, lowConfidence: false },
+      ]);
+    });
+
+    it('should return no languages for empty results', () => {
+      const result = mergeTranscriptsWithDeduplication([], 10);
+
+      expect(result.language).toBeNull();
+      expect(result.chunkLanguages).toEqual([]);
+    });
+  });
 });
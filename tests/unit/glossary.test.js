@@ -0,0 +1,129 @@
+/**
+ * Unit tests for glossary.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  createGlossaryEntry,
+  loadGlossary,
+  saveGlossary,
+  applyGlossary,
+  applyGlossaryToText,
+} from '../../src/glossary.js';
+
+// Mock the logger to avoid console output
+vi.mock('../../src/logger.js', () => ({
+  log: vi.fn(),
+}));
+
+/**
+ * Merged words as returned by mergeTranscriptsWithDeduplication
+ */
+function createWords(text, start = 0) {
+  return text.split(' ').map((word, i) => ({
+    word,
+    absoluteStart: start + i,
+    absoluteEnd: start + i + 0.8,
+    chunkIndex: 0,
+  }));
+}
+
+describe('createGlossaryEntry', () => {
+  it('should split and trim variants', () => {
+    expect(createGlossaryEntry(' Groq ', 'grok, groc ,')).toEqual({ term: 'Groq', variants: ['grok', 'groc'] });
+  });
+
+  it('should drop variants equal to the term', () => {
+    expect(createGlossaryEntry('Groq', 'groq, grok, grok')).toEqual({ term: 'Groq', variants: ['grok'] });
+  });
+
+  it('should return null for an empty term', () => {
+    expect(createGlossaryEntry('  ', 'grok')).toBeNull();
+  });
+});
+
+describe('loadGlossary / saveGlossary', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should round-trip entries through localStorage', () => {
+    const entries = [{ term: 'Groq', variants: ['grok'] }, { term: 'FFmpeg', variants: [] }];
+    saveGlossary(entries);
+
+    expect(loadGlossary()).toEqual(entries);
+  });
+
+  it('should return an empty glossary when nothing is saved', () => {
+    expect(loadGlossary()).toEqual([]);
+  });
+
+  it('should ignore invalid saved data', () => {
+    localStorage.setItem('groqChunkerGlossary', '{not json');
+    expect(loadGlossary()).toEqual([]);
+
+    localStorage.setItem('groqChunkerGlossary', JSON.stringify([{ variants: ['x'] }, { term: 'Groq' }]));
+    expect(loadGlossary()).toEqual([{ term: 'Groq', variants: [] }]);
+  });
+});
+
+describe('applyGlossary', () => {
+  const entries = [
+    { term: 'Groq', variants: ['grok', 'groc'] },
+    { term: 'kubectl', variants: ['cube control', 'cube cuddle'] },
+  ];
+
+  it('should replace variants and keep their timestamps', () => {
+    const words = createWords('we use grok daily', 10);
+    const result = applyGlossary(words, entries);
+
+    expect(result.words.map(w => w.word)).toEqual(['we', 'use', 'Groq', 'daily']);
+    expect(result.words[2].absoluteStart).toBe(12);
+    expect(result.words[2].absoluteEnd).toBe(12.8);
+    expect(result.substitutions).toEqual([{ original: 'grok', replacement: 'Groq', start: 12, end: 12.8 }]);
+  });
+
+  it('should collapse multi-word variants into one timed word', () => {
+    const words = createWords('run cube control now');
+    const result = applyGlossary(words, entries);
+
+    expect(result.words.map(w => w.word)).toEqual(['run', 'kubectl', 'now']);
+    expect(result.words[1].absoluteStart).toBe(1);
+    expect(result.words[1].absoluteEnd).toBe(2.8);
+    expect(result.substitutions[0].original).toBe('cube control');
+  });
+
+  it('should keep surrounding punctuation', () => {
+    const result = applyGlossary(createWords('Thanks, Groc.'), entries);
+    expect(result.words[1].word).toBe('Groq.');
+  });
+
+  it('should fix the casing of the term itself', () => {
+    const result = applyGlossary(createWords('groq is fast'), entries);
+
+    expect(result.words[0].word).toBe('Groq');
+    expect(result.substitutions).toHaveLength(1);
+  });
+
+  it('should not record words that are already correct', () => {
+    const words = createWords('Groq is fast');
+    const result = applyGlossary(words, entries);
+
+    expect(result.words).toEqual(words);
+    expect(result.substitutions).toEqual([]);
+  });
+
+  it('should return words unchanged with an empty glossary', () => {
+    const words = createWords('grok');
+    expect(applyGlossary(words, [])).toEqual({ words, substitutions: [] });
+  });
+});
+
+describe('applyGlossaryToText', () => {
+  it('should correct plain text without timestamps', () => {
+    const result = applyGlossaryToText('ask grok  about it', [{ term: 'Groq', variants: ['grok'] }]);
+
+    expect(result.text).toBe('ask Groq about it');
+    expect(result.substitutions).toEqual([{ original: 'grok', replacement: 'Groq', start: undefined, end: undefined }]);
+  });
+});
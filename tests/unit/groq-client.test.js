@@ -9,7 +9,12 @@ import {
   calculateBackoffDelay,
   RetryConfig,
   validateApiKey,
+  parseResetDuration,
+  parseRetryAfter,
+  parseRateLimitHeaders,
+  getRateLimitDelay,
 } from '../../src/groq-client.js';
+import { PROVIDERS } from '../../src/providers.js';
 
 describe('classifyError', () => {
   describe('Rate limit errors (429)', () => {
@@ -203,6 +208,116 @@ describe('calculateBackoffDelay', () => {
   });
 });
 
+describe('parseResetDuration', () => {
+  it('should parse seconds with fractions', () => {
+    expect(parseResetDuration('7.66s')).toBeCloseTo(7660);
+  });
+
+  it('should parse compound minute/second values', () => {
+    expect(parseResetDuration('2m59.56s')).toBeCloseTo(179560);
+  });
+
+  it('should parse hours and milliseconds', () => {
+    expect(parseResetDuration('1h2m3s')).toBe(3723000);
+    expect(parseResetDuration('120ms')).toBe(120);
+  });
+
+  it('should treat a bare number as seconds', () => {
+    expect(parseResetDuration('30')).toBe(30000);
+  });
+
+  it('should return null for missing or invalid values', () => {
+    expect(parseResetDuration(null)).toBeNull();
+    expect(parseResetDuration('')).toBeNull();
+    expect(parseResetDuration('soon')).toBeNull();
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should parse delay in seconds', () => {
+    expect(parseRetryAfter('12')).toBe(12000);
+  });
+
+  it('should parse an HTTP date relative to now', () => {
+    const future = new Date(Date.now() + 30000).toUTCString();
+    const delay = parseRetryAfter(future);
+    expect(delay).toBeGreaterThan(28000);
+    expect(delay).toBeLessThanOrEqual(30000);
+  });
+
+  it('should never return a negative delay', () => {
+    expect(parseRetryAfter(new Date(0).toUTCString())).toBe(0);
+  });
+
+  it('should return null for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('not a date')).toBeNull();
+  });
+});
+
+describe('parseRateLimitHeaders', () => {
+  it('should return null when headers are missing', () => {
+    expect(parseRateLimitHeaders(null)).toBeNull();
+    expect(parseRateLimitHeaders(undefined)).toBeNull();
+  });
+
+  it('should return null when no rate-limit headers are present', () => {
+    const headers = new Headers({ 'content-type': 'application/json' });
+    expect(parseRateLimitHeaders(headers)).toBeNull();
+  });
+
+  it('should parse remaining and reset values per kind', () => {
+    const headers = new Headers({
+      'x-ratelimit-remaining-requests': '14',
+      'x-ratelimit-reset-requests': '2m59.56s',
+      'x-ratelimit-remaining-tokens': '0',
+      'x-ratelimit-reset-tokens': '7.66s',
+    });
+
+    const info = parseRateLimitHeaders(headers);
+
+    expect(info.remaining).toEqual({ requests: 14, tokens: 0 });
+    expect(info.resetMs.requests).toBeCloseTo(179560);
+    expect(info.resetMs.tokens).toBeCloseTo(7660);
+    expect(info.retryAfterMs).toBeNull();
+  });
+
+  it('should parse Retry-After', () => {
+    const headers = new Headers({ 'retry-after': '5' });
+    expect(parseRateLimitHeaders(headers).retryAfterMs).toBe(5000);
+  });
+});
+
+describe('getRateLimitDelay', () => {
+  it('should return 0 without rate-limit info', () => {
+    expect(getRateLimitDelay(null)).toBe(0);
+  });
+
+  it('should prefer Retry-After', () => {
+    expect(getRateLimitDelay({
+      retryAfterMs: 3000,
+      remaining: { requests: 0 },
+      resetMs: { requests: 60000 },
+    })).toBe(3000);
+  });
+
+  it('should wait for the longest reset among exhausted quotas', () => {
+    expect(getRateLimitDelay({
+      retryAfterMs: null,
+      remaining: { requests: 0, tokens: 0, audio: 5 },
+      resetMs: { requests: 2000, tokens: 8000, audio: 90000 },
+    })).toBe(8000);
+  });
+
+  it('should return 0 when quota remains', () => {
+    expect(getRateLimitDelay({
+      retryAfterMs: null,
+      remaining: { requests: 3 },
+      resetMs: { requests: 60000 },
+    })).toBe(0);
+  });
+});
+
 describe('validateApiKey', () => {
   it('should reject empty key', () => {
     const result = validateApiKey('');
@@ -237,6 +352,19 @@ describe('validateApiKey', () => {
     const result = validateApiKey('gsk_1234567890123456');
     expect(result.valid).toBe(true);
   });
+
+  it('should check the prefix of the selected provider', () => {
+    const result = validateApiKey('gsk_1234567890abcdefghijklmnop', PROVIDERS.openai);
+    expect(result.valid).toBe(false);
+    expect(result.message).toContain('sk-');
+
+    expect(validateApiKey('sk-1234567890abcdefghijklmnop', PROVIDERS.openai).valid).toBe(true);
+  });
+
+  it('should not require a key for self-hosted providers', () => {
+    expect(validateApiKey('', PROVIDERS['whisper-cpp']).valid).toBe(true);
+    expect(validateApiKey('', PROVIDERS['faster-whisper']).valid).toBe(true);
+  });
 });
 
 describe('RetryConfig', () => {
@@ -0,0 +1,218 @@
+/**
+ * Unit tests for hallucination-analyzer.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  SuspicionReason,
+  hasRepeatedPhrase,
+  analyzeSegments,
+  markSuspiciousWords,
+  spliceRangeIntoResult,
+} from '../../src/hallucination-analyzer.js';
+import { createRangeChunk } from '../../src/chunker.js';
+import { createMockChunk, createMockTranscriptionResult } from '../fixtures/index.js';
+
+// Mock the logger to avoid console output
+vi.mock('../../src/logger.js', () => ({
+  log: vi.fn(),
+}));
+
+/**
+ * verbose_json segment with healthy metrics unless overridden
+ */
+function createSegment(text, start, end, metrics = {}) {
+  return {
+    text,
+    start,
+    end,
+    avg_logprob: -0.2,
+    no_speech_prob: 0.01,
+    compression_ratio: 1.3,
+    ...metrics,
+  };
+}
+
+function createResultWithSegments(segments, chunkOptions = {}) {
+  return {
+    ...createMockTranscriptionResult({ chunk: createMockChunk(chunkOptions) }),
+    segments,
+  };
+}
+
+describe('hasRepeatedPhrase', () => {
+  it('should detect a phrase repeated back to back', () => {
+    expect(hasRepeatedPhrase('I love you. I love you. I love you.')).toBe(true);
+  });
+
+  it('should detect a single word repeated four times', () => {
+    expect(hasRepeatedPhrase('so so so so')).toBe(true);
+    expect(hasRepeatedPhrase('no no no')).toBe(false);
+  });
+
+  it('should not flag normal speech', () => {
+    expect(hasRepeatedPhrase('The quick brown fox jumps over the lazy dog.')).toBe(false);
+  });
+});
+
+describe('analyzeSegments', () => {
+  it('should flag low average log-probability', () => {
+    const results = [createResultWithSegments([createSegment(' Mumbled words', 0, 2, { avg_logprob: -1.4 })])];
+    const [flag] = analyzeSegments(results);
+
+    expect(flag.reasons).toEqual([SuspicionReason.LOW_CONFIDENCE]);
+    expect(flag.text).toBe('Mumbled words');
+  });
+
+  it('should flag low-confidence text over likely silence', () => {
+    const results = [createResultWithSegments([
+      createSegment('Something', 0, 2, { avg_logprob: -1.2, no_speech_prob: 0.9 }),
+    ])];
+
+    expect(analyzeSegments(results)[0].reasons).toContain(SuspicionReason.NO_SPEECH);
+  });
+
+  it('should flag high compression ratios and repeated segments', () => {
+    const results = [createResultWithSegments([
+      createSegment('la la la la la la', 0, 2, { compression_ratio: 3.1 }),
+      createSegment('Next point.', 2, 4),
+      createSegment('Next point.', 4, 6),
+    ])];
+    const flags = analyzeSegments(results);
+
+    expect(flags.map(f => f.start)).toEqual([0, 4]);
+    expect(flags.every(f => f.reasons.includes(SuspicionReason.REPETITION))).toBe(true);
+  });
+
+  it('should flag filler phrases over silence only', () => {
+    const results = [createResultWithSegments([
+      createSegment(' Thank you for watching!', 590, 595, { no_speech_prob: 0.5 }),
+      createSegment(' Thank you.', 10, 11, { no_speech_prob: 0.05 }),
+    ])];
+    const flags = analyzeSegments(results);
+
+    expect(flags).toHaveLength(1);
+    expect(flags[0].reasons).toEqual([SuspicionReason.FILLER]);
+  });
+
+  it('should use absolute times and skip failed results', () => {
+    const results = [
+      createResultWithSegments([createSegment('Hmm', 5, 6, { avg_logprob: -2 })], { index: 1, logicalStart: 600, logicalEnd: 1200 }),
+      createMockTranscriptionResult({ success: false }),
+    ];
+    const [flag] = analyzeSegments(results);
+
+    expect(flag.chunkIndex).toBe(1);
+    expect(flag.start).toBe(605);
+    expect(flag.end).toBe(606);
+  });
+
+  it('should ignore segments without metrics', () => {
+    const results = [createResultWithSegments([{ text: 'Plain', start: 0, end: 1 }])];
+    expect(analyzeSegments(results)).toEqual([]);
+  });
+});
+
+describe('markSuspiciousWords', () => {
+  const words = [
+    { word: 'good', absoluteStart: 0, absoluteEnd: 0.5, chunkIndex: 0 },
+    { word: 'bad', absoluteStart: 1, absoluteEnd: 1.5, chunkIndex: 0 },
+    { word: 'other', absoluteStart: 1.1, absoluteEnd: 1.4, chunkIndex: 1 },
+  ];
+
+  it('should mark words inside a flagged segment of the same chunk', () => {
+    const suspicious = [{ chunkIndex: 0, start: 0.9, end: 2, text: 'bad', reasons: ['repetition'], metrics: {} }];
+    const marked = markSuspiciousWords(words, suspicious);
+
+    expect(marked[0].suspicious).toBeUndefined();
+    expect(marked[1].suspicious).toEqual(['repetition']);
+    expect(marked[2].suspicious).toBeUndefined();
+  });
+
+  it('should return words unchanged when nothing is flagged', () => {
+    expect(markSuspiciousWords(words, [])).toBe(words);
+  });
+});
+
+describe('spliceRangeIntoResult', () => {
+  it('should replace words and segments in the range with the re-transcription', () => {
+    const result = {
+      ...createMockTranscriptionResult({ chunk: createMockChunk({ index: 1, logicalStart: 600, logicalEnd: 1200 }) }),
+      text: 'before you you you after',
+      words: [
+        { word: 'before', start: 0, end: 1 },
+        { word: 'you', start: 10, end: 11 },
+        { word: 'you', start: 11, end: 12 },
+        { word: 'you', start: 12, end: 13 },
+        { word: 'after', start: 20, end: 21 },
+      ],
+      segments: [
+        createSegment('before', 0, 1),
+        createSegment('you you you', 10, 13, { compression_ratio: 3 }),
+        createSegment('after', 20, 21),
+      ],
+    };
+    // Range re-extracted with 1s padding: 609 → 614
+    const rangeChunk = { start: 609, end: 614 };
+    const rangeResult = {
+      text: 'padding real speech',
+      words: [
+        { word: 'padding', start: 0, end: 0.5 },
+        { word: 'real', start: 1.2, end: 2 },
+        { word: 'speech', start: 2.2, end: 3.5 },
+      ],
+      segments: [createSegment('real speech', 1.2, 3.5)],
+    };
+
+    const spliced = spliceRangeIntoResult(result, rangeResult, rangeChunk, { start: 610, end: 613 });
+
+    expect(spliced.text).toBe('before real speech after');
+    expect(spliced.words.map(w => [w.word, w.start])).toEqual([
+      ['before', 0], ['real', 10.2], ['speech', 11.2], ['after', 20],
+    ]);
+    expect(spliced.segments.map(s => s.text)).toEqual(['before', 'real speech', 'after']);
+    expect(spliced.retranscribedRanges).toEqual([{ start: 610, end: 613 }]);
+    expect(result.words).toHaveLength(5);
+  });
+
+  it('should map both timelines through skipped silence', () => {
+    // 603 → 606 was left out of the upload, so uploaded time is 3s behind after it
+    const chunk = { ...createMockChunk({ index: 1, logicalStart: 600, logicalEnd: 1200 }), skips: [{ start: 603, end: 606 }] };
+    const result = {
+      ...createMockTranscriptionResult({ chunk }),
+      words: [
+        { word: 'before', start: 1, end: 2 },
+        { word: 'you', start: 6, end: 7 },
+        { word: 'you', start: 7, end: 8 },
+        { word: 'after', start: 17, end: 18 },
+      ],
+      segments: [
+        createSegment('before', 1, 2),
+        createSegment('you you', 6, 8, { compression_ratio: 3 }),
+        createSegment('after', 17, 18),
+      ],
+    };
+    const rangeChunk = createRangeChunk(chunk, 602, 613);
+    const rangeResult = {
+      text: 'padding real speech',
+      words: [
+        { word: 'padding', start: 0.2, end: 0.6 },
+        { word: 'real', start: 4.2, end: 5 },
+        { word: 'speech', start: 5.2, end: 6.5 },
+      ],
+      segments: [createSegment('real speech', 4.2, 6.5)],
+    };
+
+    const spliced = spliceRangeIntoResult(result, rangeResult, rangeChunk, { start: 608, end: 612 });
+
+    expect(rangeChunk.skips).toEqual([{ start: 603, end: 606 }]);
+    expect(spliced.text).toBe('before real speech after');
+    expect(spliced.words.map(w => [w.word, w.start, w.end])).toEqual([
+      ['before', 1, 2],
+      ['real', expect.closeTo(6.2), expect.closeTo(7)],
+      ['speech', expect.closeTo(7.2), expect.closeTo(8.5)],
+      ['after', 17, 18],
+    ]);
+    expect(spliced.segments.map(s => s.text)).toEqual(['before', 'real speech', 'after']);
+  });
+});
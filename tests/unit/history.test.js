@@ -0,0 +1,96 @@
+/**
+ * Unit tests for history.js
+ *
+ * IndexedDB access is not covered here; these test the entry helpers.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { countWords, createHistoryEntry, searchHistory } from '../../src/history.js';
+import { createSession } from '../../src/session.js';
+import { createMockChunk, createMockTranscriptionResult } from '../fixtures/index.js';
+
+function createTestSession(name = 'talk.mp3') {
+  const chunk = createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 10 });
+  return createSession({
+    file: { name, size: 100, type: 'audio/mpeg', lastModified: 0 },
+    duration: 10,
+    chunks: [chunk],
+    results: [{ ...createMockTranscriptionResult({ chunk }), response: { text: 'raw' } }],
+    transcription: { provider: null, task: 'transcribe', model: 'whisper-large-v3-turbo' }
+  });
+}
+
+describe('countWords', () => {
+  it('should count whitespace-separated words', () => {
+    expect(countWords('  hello   there\nworld ')).toBe(3);
+    expect(countWords('')).toBe(0);
+  });
+});
+
+describe('createHistoryEntry', () => {
+  it('should summarize the session for the list', () => {
+    const entry = createHistoryEntry(createTestSession(), { text: 'one two three' });
+
+    expect(entry.title).toBe('talk.mp3');
+    expect(entry.fileName).toBe('talk.mp3');
+    expect(entry.duration).toBe(10);
+    expect(entry.model).toBe('whisper-large-v3-turbo');
+    expect(entry.wordCount).toBe(3);
+    expect(entry.id).toEqual(expect.any(String));
+    expect(entry.createdAt).toBe(entry.updatedAt);
+  });
+
+  it('should keep the raw provider responses for the session export', () => {
+    const entry = createHistoryEntry(createTestSession(), { text: 'one' });
+
+    expect(entry.session.results[0].response).toEqual({ text: 'raw' });
+  });
+
+  it('should prefer the given word count', () => {
+    const entry = createHistoryEntry(createTestSession(), { text: 'one two', wordCount: 5 });
+
+    expect(entry.wordCount).toBe(5);
+  });
+
+  it('should keep id, title and creation date when replacing an entry', () => {
+    const previous = { ...createHistoryEntry(createTestSession(), { text: 'old' }), title: 'Renamed', createdAt: 1 };
+    const entry = createHistoryEntry(createTestSession(), { text: 'new text' }, previous);
+
+    expect(entry.id).toBe(previous.id);
+    expect(entry.title).toBe('Renamed');
+    expect(entry.createdAt).toBe(1);
+    expect(entry.text).toBe('new text');
+  });
+
+  it('should give new entries distinct ids', () => {
+    const a = createHistoryEntry(createTestSession(), { text: '' });
+    const b = createHistoryEntry(createTestSession(), { text: '' });
+
+    expect(a.id).not.toBe(b.id);
+  });
+});
+
+describe('searchHistory', () => {
+  const entries = [
+    { ...createHistoryEntry(createTestSession('standup.mp3'), { text: 'Deploy Kubernetes today' }), createdAt: 1 },
+    { ...createHistoryEntry(createTestSession('interview.wav'), { text: 'Tell me about yourself' }), title: 'Jane interview', createdAt: 3 },
+    { ...createHistoryEntry(createTestSession('lecture.m4a'), { text: 'Kubernetes pods and services' }), createdAt: 2 }
+  ];
+
+  it('should return every entry newest first for an empty query', () => {
+    expect(searchHistory(entries, '').map(e => e.fileName)).toEqual(['interview.wav', 'lecture.m4a', 'standup.mp3']);
+  });
+
+  it('should match transcript text ignoring case', () => {
+    expect(searchHistory(entries, 'kubernetes').map(e => e.fileName)).toEqual(['lecture.m4a', 'standup.mp3']);
+  });
+
+  it('should match titles and file names', () => {
+    expect(searchHistory(entries, 'jane').map(e => e.fileName)).toEqual(['interview.wav']);
+    expect(searchHistory(entries, 'standup').map(e => e.fileName)).toEqual(['standup.mp3']);
+  });
+
+  it('should require every term to match', () => {
+    expect(searchHistory(entries, 'kubernetes pods').map(e => e.fileName)).toEqual(['lecture.m4a']);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for job-store.js
+ *
+ * IndexedDB access is not covered here; these test the fingerprint and the
+ * job record helpers the store is built on.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  addJobResult,
+  computeFileFingerprint,
+  createJob,
+  describeJob,
+  restoreJob
+} from '../../src/job-store.js';
+import { createMockChunk, createMockTranscriptionResult } from '../fixtures/index.js';
+import { PROVIDERS } from '../../src/providers.js';
+
+const file = { name: 'talk.mp3', size: 1234, type: 'audio/mpeg', lastModified: 1700000000000 };
+
+function createPlan() {
+  return [0, 1, 2].map(index => createMockChunk({ index, logicalStart: index * 10, logicalEnd: (index + 1) * 10 }));
+}
+
+function createTestJob(chunks = createPlan()) {
+  return createJob('fp-1', {
+    file,
+    duration: 30,
+    chunks,
+    chunking: { overlapDurationSec: 0 },
+    transcription: { provider: PROVIDERS.groq, task: 'transcribe', model: 'whisper-large-v3' }
+  });
+}
+
+function createBytes(size, seed = 0) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    bytes[i] = (i * 31 + seed) % 256;
+  }
+  return bytes;
+}
+
+describe('computeFileFingerprint', () => {
+  it('should give identical files the same fingerprint regardless of name', async () => {
+    const bytes = createBytes(4096);
+    const a = new File([bytes], 'a.mp3', { lastModified: 1 });
+    const b = new File([bytes], 'renamed.mp3', { lastModified: 2 });
+
+    expect(await computeFileFingerprint(a)).toBe(await computeFileFingerprint(b));
+  });
+
+  it('should tell different content apart', async () => {
+    const a = new Blob([createBytes(4096, 0)]);
+    const b = new Blob([createBytes(4096, 1)]);
+
+    expect(await computeFileFingerprint(a)).not.toBe(await computeFileFingerprint(b));
+  });
+
+  it('should prefix the file size', async () => {
+    const fingerprint = await computeFileFingerprint(new Blob([createBytes(100)]));
+
+    expect(fingerprint).toMatch(/^100-[0-9a-f]{64}$/);
+  });
+});
+
+describe('createJob', () => {
+  it('should store the plan as a session without results', () => {
+    const chunks = createPlan();
+    const job = createTestJob(chunks);
+
+    expect(job.id).toBe('fp-1');
+    expect(job.session.chunks).toEqual(chunks);
+    expect(job.session.results).toEqual([]);
+    expect(job.session.settings.transcription.provider).toEqual({
+      id: 'groq',
+      name: PROVIDERS.groq.name,
+      baseUrl: PROVIDERS.groq.baseUrl
+    });
+  });
+});
+
+describe('addJobResult', () => {
+  it('should keep results ordered by chunk and replace earlier attempts', () => {
+    const chunks = createPlan();
+    let job = createTestJob(chunks);
+
+    job = addJobResult(job, createMockTranscriptionResult({ success: false, chunk: chunks[2] }));
+    job = addJobResult(job, createMockTranscriptionResult({ text: 'first', chunk: chunks[0] }));
+    job = addJobResult(job, createMockTranscriptionResult({ text: 'third', chunk: chunks[2] }));
+
+    expect(job.session.results.map(r => [r.chunkIndex, r.text])).toEqual([[0, 'first'], [2, 'third']]);
+    expect(job.session.results[0].chunk).toBeUndefined();
+  });
+
+  it('should keep the raw provider response for the session export', () => {
+    const chunks = createPlan();
+    const result = { ...createMockTranscriptionResult({ text: 'first', chunk: chunks[0] }), response: { text: 'first' } };
+
+    const job = addJobResult(createTestJob(chunks), result);
+
+    expect(job.session.results[0].response).toEqual({ text: 'first' });
+  });
+
+  it('should not modify the original job', () => {
+    const chunks = createPlan();
+    const job = createTestJob(chunks);
+
+    addJobResult(job, createMockTranscriptionResult({ chunk: chunks[0] }));
+
+    expect(job.session.results).toEqual([]);
+  });
+});
+
+describe('describeJob', () => {
+  it('should count successful chunks', () => {
+    const chunks = createPlan();
+    let job = createTestJob(chunks);
+    job = addJobResult(job, createMockTranscriptionResult({ chunk: chunks[0] }));
+    job = addJobResult(job, createMockTranscriptionResult({ success: false, chunk: chunks[1] }));
+
+    expect(describeJob(job)).toEqual({ fileName: 'talk.mp3', totalChunks: 3, completedChunks: 1 });
+  });
+});
+
+describe('restoreJob', () => {
+  it('should restore successful results and report the missing chunks', () => {
+    const chunks = createPlan();
+    let job = createTestJob(chunks);
+    job = addJobResult(job, createMockTranscriptionResult({ text: 'middle', chunk: chunks[1] }));
+    job = addJobResult(job, createMockTranscriptionResult({ success: false, chunk: chunks[2] }));
+
+    const restored = restoreJob(job);
+
+    expect(restored.results).toHaveLength(1);
+    expect(restored.results[0].chunk).toEqual(chunks[1]);
+    expect(restored.results[0].text).toBe('middle');
+    expect(restored.missingChunks.map(c => c.index)).toEqual([0, 2]);
+    expect(restored.settings.chunking).toEqual({ overlapDurationSec: 0 });
+  });
+
+  it('should reject a corrupted job', () => {
+    const job = createTestJob();
+    job.session.chunks = [];
+
+    expect(() => restoreJob(job)).toThrow(/Invalid session/);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for language-detection.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeLanguageCode,
+  getLanguageName,
+  createLanguageSampleChunk,
+  summarizeChunkLanguages,
+} from '../../src/language-detection.js';
+import { createMockChunk, createMockTranscriptionResult } from '../fixtures/index.js';
+
+describe('normalizeLanguageCode', () => {
+  it('should accept language names from Groq/OpenAI', () => {
+    expect(normalizeLanguageCode('English')).toBe('en');
+    expect(normalizeLanguageCode('spanish')).toBe('es');
+  });
+
+  it('should accept ISO codes from self-hosted servers', () => {
+    expect(normalizeLanguageCode('de')).toBe('de');
+    expect(normalizeLanguageCode(' FR ')).toBe('fr');
+  });
+
+  it('should return null for unknown or missing languages', () => {
+    expect(normalizeLanguageCode('Klingon')).toBeNull();
+    expect(normalizeLanguageCode(undefined)).toBeNull();
+  });
+});
+
+describe('getLanguageName', () => {
+  it('should name known languages', () => {
+    expect(getLanguageName('ja')).toBe('Japanese');
+    expect(getLanguageName('english')).toBe('English');
+  });
+
+  it('should pass unknown languages through', () => {
+    expect(getLanguageName('Maori')).toBe('Maori');
+    expect(getLanguageName(null)).toBe('Unknown');
+  });
+});
+
+describe('createLanguageSampleChunk', () => {
+  it('should take a 30s sample a little way into the first chunk', () => {
+    const sample = createLanguageSampleChunk([createMockChunk({ logicalStart: 0, logicalEnd: 600, overlapTrailing: 10 })]);
+
+    expect(sample.start).toBe(30);
+    expect(sample.end).toBe(60);
+    expect(sample.duration).toBe(30);
+    expect(sample.overlap.leading).toBe(0);
+    expect(sample.overlap.trailing).toBe(0);
+  });
+
+  it('should use the whole chunk when it is shorter than the sample', () => {
+    const sample = createLanguageSampleChunk([createMockChunk({ logicalStart: 0, logicalEnd: 20 })]);
+
+    expect(sample.start).toBe(0);
+    expect(sample.duration).toBe(20);
+  });
+
+  it('should return null without chunks', () => {
+    expect(createLanguageSampleChunk([])).toBeNull();
+  });
+});
+
+describe('summarizeChunkLanguages', () => {
+  const result = (index, language) => createMockTranscriptionResult({
+    chunk: createMockChunk({ index }),
+    language,
+  });
+
+  it('should treat names and codes for the same language as equal', () => {
+    const summary = summarizeChunkLanguages([result(0, 'English'), result(1, 'en')]);
+
+    expect(summary.chunkLanguages.every(c => !c.mismatch)).toBe(true);
+  });
+
+  it('should flag chunks that differ from the majority', () => {
+    const summary = summarizeChunkLanguages([result(0, 'fr'), result(1, 'French'), result(2, 'Nynorsk')]);
+
+    expect(summary.language).toBe('fr');
+    expect(summary.chunkLanguages.map(c => c.mismatch)).toEqual([false, false, true]);
+  });
+
+  describe('pinned chunks', () => {
+    // Sent as French; each chunk decoded with the given mean log-probability
+    const pinned = (index, avgLogprob, extra = {}) => ({
+      ...result(index, 'French'),
+      requestedLanguage: 'fr',
+      segments: [{ start: 0, end: 10, text: 'bonjour', avg_logprob: avgLogprob, no_speech_prob: 0.01, ...extra }],
+    });
+
+    it('should flag a pinned chunk that decoded far worse than the rest', () => {
+      const summary = summarizeChunkLanguages([pinned(0, -0.25), pinned(1, -0.3), pinned(2, -1.1), pinned(3, -0.2)]);
+
+      expect(summary.language).toBe('French');
+      expect(summary.chunkLanguages.map(c => c.mismatch)).toEqual([false, false, true, false]);
+      expect(summary.chunkLanguages[2]).toMatchObject({ pinned: true, lowConfidence: true, avgLogprob: -1.1 });
+    });
+
+    it('should not flag pinned chunks that all decoded alike', () => {
+      const summary = summarizeChunkLanguages([pinned(0, -0.5), pinned(1, -0.7), pinned(2, -0.6)]);
+
+      expect(summary.chunkLanguages.every(c => c.pinned && !c.mismatch)).toBe(true);
+    });
+
+    it('should ignore segments Whisper took for silence', () => {
+      const silent = pinned(2, -0.3);
+      silent.segments.push({ start: 10, end: 30, text: 'Merci.', avg_logprob: -1.5, no_speech_prob: 0.9 });
+
+      const summary = summarizeChunkLanguages([pinned(0, -0.25), pinned(1, -0.3), silent]);
+
+      expect(summary.chunkLanguages[2]).toMatchObject({ mismatch: false, avgLogprob: -0.3 });
+    });
+
+    it('should need enough pinned chunks to compare against', () => {
+      const summary = summarizeChunkLanguages([pinned(0, -0.2), pinned(1, -1.5)]);
+
+      expect(summary.chunkLanguages.map(c => c.mismatch)).toEqual([false, false]);
+    });
+
+    it('should use segment languages over the echoed one', () => {
+      const summary = summarizeChunkLanguages([
+        pinned(0, -0.2, { language: 'fr' }),
+        pinned(1, -0.2, { language: 'fr' }),
+        pinned(2, -0.2, { language: 'de' }),
+      ]);
+
+      expect(summary.chunkLanguages.map(c => [c.language, c.mismatch])).toEqual([['fr', false], ['fr', false], ['de', true]]);
+    });
+  });
+
+  it('should still flag auto-detected chunks next to pinned ones', () => {
+    const summary = summarizeChunkLanguages([
+      { ...result(0, 'French'), requestedLanguage: 'fr' },
+      result(1, 'French'),
+      result(2, 'German'),
+    ]);
+
+    expect(summary.chunkLanguages.map(c => [c.mismatch, c.pinned])).toEqual([[false, true], [false, false], [true, false]]);
+  });
+
+  it('should not flag chunks without a reported language', () => {
+    const summary = summarizeChunkLanguages([result(0, 'English'), { ...result(1), language: undefined }]);
+
+    expect(summary.chunkLanguages[1]).toEqual({ chunkIndex: 1, language: null, mismatch: false, pinned: false, avgLogprob: null, lowConfidence: false });
+  });
+
+  it('should ignore failed results', () => {
+    const failed = createMockTranscriptionResult({ success: false, chunk: createMockChunk({ index: 1 }) });
+    const summary = summarizeChunkLanguages([result(0, 'English'), failed]);
+
+    expect(summary.chunkLanguages).toHaveLength(1);
+  });
+});
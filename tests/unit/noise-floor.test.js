@@ -0,0 +1,84 @@
+/**
+ * Unit tests for noise-floor.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { analyzeLevels, amplitudeToDb } from '../../src/noise-floor.js';
+
+vi.mock('../../src/logger.js', () => ({ log: vi.fn() }));
+
+// 100 frames: `quiet` frames at quietDb, the rest at loudDb
+function levels(quiet, quietDb, loudDb) {
+  return Float32Array.from({ length: 100 }, (_, i) => (i < quiet ? quietDb : loudDb));
+}
+
+describe('amplitudeToDb', () => {
+  it('should convert linear amplitude to dBFS', () => {
+    expect(amplitudeToDb(1)).toBe(0);
+    expect(amplitudeToDb(0.01)).toBeCloseTo(-40);
+  });
+});
+
+describe('analyzeLevels', () => {
+  it('should measure the noise floor and speech level', () => {
+    const profile = analyzeLevels(levels(30, -60, -20));
+
+    expect(profile.noiseFloorDb).toBe(-60);
+    expect(profile.speechLevelDb).toBe(-20);
+  });
+
+  it('should suggest a threshold just above the noise floor', () => {
+    const profile = analyzeLevels(levels(30, -60, -20));
+
+    // -54 dB
+    expect(profile.threshold).toBe(0.002);
+    expect(profile.thresholdDb).toBeCloseTo(amplitudeToDb(0.002));
+  });
+
+  it('should raise the threshold on a noisy recording', () => {
+    const quiet = analyzeLevels(levels(30, -60, -20));
+    const noisy = analyzeLevels(levels(30, -35, -15));
+
+    // -29 dB
+    expect(noisy.threshold).toBe(0.035);
+    expect(noisy.threshold).toBeGreaterThan(quiet.threshold);
+  });
+
+  it('should stay halfway between noise and speech when they are close', () => {
+    const profile = analyzeLevels(levels(30, -40, -36));
+
+    // -38 dB
+    expect(profile.threshold).toBe(0.013);
+  });
+
+  it('should clamp the threshold to the slider range', () => {
+    expect(analyzeLevels(levels(30, -85, -60)).threshold).toBe(0.001);
+    expect(analyzeLevels(levels(30, -10, -2)).threshold).toBe(0.1);
+  });
+
+  it('should leave digital silence out', () => {
+    const energy = levels(60, -100, -20);
+    energy.fill(-50, 60, 70);
+
+    const profile = analyzeLevels(energy);
+
+    expect(profile.noiseFloorDb).toBe(-50);
+    expect(profile.histogram.counts.reduce((a, b) => a + b, 0)).toBe(40);
+  });
+
+  it('should count frames per 1 dB bin', () => {
+    const { histogram } = analyzeLevels(levels(30, -60, -20));
+
+    expect(histogram.minDb).toBe(-90);
+    expect(histogram.binDb).toBe(1);
+    expect(histogram.counts[30]).toBe(30);
+    expect(histogram.counts[70]).toBe(70);
+  });
+
+  it('should handle a file without audible frames', () => {
+    const profile = analyzeLevels(new Float32Array(10).fill(-100));
+
+    expect(profile.noiseFloorDb).toBe(-90);
+    expect(profile.threshold).toBe(0.001);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for playback.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findWordAtTime } from '../../src/playback.js';
+
+const words = [
+  { word: 'one', absoluteStart: 1, absoluteEnd: 1.5 },
+  { word: 'two', absoluteStart: 1.6, absoluteEnd: 2 },
+  { word: 'three', absoluteStart: 5, absoluteEnd: 5.5 }
+];
+
+describe('findWordAtTime', () => {
+  it('should find the word being spoken', () => {
+    expect(findWordAtTime(words, 1.2)).toBe(0);
+    expect(findWordAtTime(words, 1.7)).toBe(1);
+    expect(findWordAtTime(words, 5)).toBe(2);
+  });
+
+  it('should return -1 before the first word', () => {
+    expect(findWordAtTime(words, 0.5)).toBe(-1);
+  });
+
+  it('should hold a word through a short pause until the next one starts', () => {
+    expect(findWordAtTime(words, 1.55)).toBe(0);
+    expect(findWordAtTime(words, 2.2)).toBe(1);
+  });
+
+  it('should return -1 in a long pause and after the last word', () => {
+    expect(findWordAtTime(words, 3)).toBe(-1);
+    expect(findWordAtTime(words, 6)).toBe(-1);
+  });
+
+  it('should return -1 without word timestamps', () => {
+    expect(findWordAtTime([{ word: 'plain' }, { word: 'text' }], 1)).toBe(-1);
+    expect(findWordAtTime([], 1)).toBe(-1);
+  });
+});
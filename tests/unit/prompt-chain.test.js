@@ -0,0 +1,83 @@
+/**
+ * Unit tests for prompt-chain.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseGlossary, buildChunkPrompt } from '../../src/prompt-chain.js';
+import { createMockChunk } from '../fixtures/chunks.js';
+
+describe('parseGlossary', () => {
+  it('should split on commas and new lines', () => {
+    expect(parseGlossary('Groq, Whisper\nFFmpeg')).toEqual(['Groq', 'Whisper', 'FFmpeg']);
+  });
+
+  it('should drop blanks and case-insensitive duplicates', () => {
+    expect(parseGlossary(' Groq ,, groq\n\nWhisper ')).toEqual(['Groq', 'Whisper']);
+  });
+
+  it('should return an empty list for empty input', () => {
+    expect(parseGlossary('')).toEqual([]);
+    expect(parseGlossary(undefined)).toEqual([]);
+  });
+});
+
+describe('buildChunkPrompt', () => {
+  const previousChunk = createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 600, overlapTrailing: 10 });
+  const nextChunk = createMockChunk({ index: 1, logicalStart: 600, logicalEnd: 1200, overlapLeading: 10 });
+
+  it('should return an empty prompt with no glossary or previous result', () => {
+    expect(buildChunkPrompt({ chunk: nextChunk })).toBe('');
+  });
+
+  it('should list glossary terms', () => {
+    expect(buildChunkPrompt({ chunk: nextChunk, glossary: ['Groq', 'Whisper'] })).toBe('Groq, Whisper.');
+  });
+
+  it('should stop the previous text where the next chunk starts', () => {
+    const previousResult = {
+      success: true,
+      chunk: previousChunk,
+      text: 'before the cut and after it',
+      words: [
+        { word: 'before', start: 580, end: 581 },
+        { word: 'the', start: 581, end: 582 },
+        { word: 'cut', start: 589, end: 590 },
+        { word: 'and', start: 595, end: 596 },
+        { word: 'after', start: 600, end: 601 },
+        { word: 'it', start: 605, end: 606 },
+      ],
+    };
+
+    // Next chunk starts at 590 (600 - 10s overlap)
+    expect(buildChunkPrompt({ chunk: nextChunk, previousResult })).toBe('before the cut');
+  });
+
+  it('should fall back to the full text without word timestamps', () => {
+    const previousResult = { success: true, chunk: previousChunk, text: ' Plain text only. ', words: [] };
+    expect(buildChunkPrompt({ chunk: nextChunk, previousResult, glossary: ['Groq'] })).toBe('Groq. Plain text only.');
+  });
+
+  it('should ignore failed previous results', () => {
+    const previousResult = { success: false, chunk: previousChunk, error: 'boom' };
+    expect(buildChunkPrompt({ chunk: nextChunk, previousResult })).toBe('');
+  });
+
+  it('should keep only the end of long previous text', () => {
+    const words = Array.from({ length: 400 }, (_, i) => `word${i}`);
+    const previousResult = { success: true, chunk: previousChunk, text: words.join(' '), words: [] };
+
+    const prompt = buildChunkPrompt({ chunk: nextChunk, previousResult });
+
+    expect(prompt.length).toBeLessThanOrEqual(800);
+    expect(prompt.endsWith('word399')).toBe(true);
+    expect(prompt.startsWith('word')).toBe(true);
+  });
+
+  it('should cap the glossary at half the prompt', () => {
+    const glossary = Array.from({ length: 200 }, (_, i) => `term${i}`);
+    const prompt = buildChunkPrompt({ chunk: nextChunk, glossary });
+
+    expect(prompt.length).toBeLessThanOrEqual(400);
+    expect(prompt.startsWith('term0, term1')).toBe(true);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for providers.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PROVIDERS,
+  DEFAULT_PROVIDER_ID,
+  Task,
+  getProvider,
+  getTranscriptionUrl,
+  supportsTranslation,
+  isEnglishOnlyModel,
+  normalizeTranscriptionResponse,
+} from '../../src/providers.js';
+
+describe('PROVIDERS', () => {
+  it('should declare the required fields for every provider', () => {
+    for (const provider of Object.values(PROVIDERS)) {
+      expect(provider.baseUrl).toMatch(/^https?:\/\//);
+      expect(provider.models.length).toBeGreaterThan(0);
+      expect(provider.models).toContain(provider.defaultModel);
+      expect(provider.maxUploadMB).toBeGreaterThan(0);
+      expect(typeof provider.supportsWordTimestamps).toBe('boolean');
+    }
+  });
+
+  it('should default to Groq', () => {
+    expect(DEFAULT_PROVIDER_ID).toBe('groq');
+  });
+});
+
+describe('getProvider', () => {
+  it('should return the requested provider', () => {
+    expect(getProvider('openai').id).toBe('openai');
+  });
+
+  it('should fall back to the default provider for unknown ids', () => {
+    expect(getProvider('nope').id).toBe('groq');
+  });
+
+  it('should apply a custom base URL to self-hosted providers', () => {
+    const provider = getProvider('whisper-cpp', { baseUrl: 'http://gpu-box:9000/' });
+    expect(provider.baseUrl).toBe('http://gpu-box:9000');
+    // Registry entry is untouched
+    expect(PROVIDERS['whisper-cpp'].baseUrl).toBe('http://localhost:8080');
+  });
+
+  it('should ignore base URL overrides for hosted providers', () => {
+    const provider = getProvider('groq', { baseUrl: 'http://evil.example' });
+    expect(provider.baseUrl).toBe(PROVIDERS.groq.baseUrl);
+  });
+});
+
+describe('isEnglishOnlyModel', () => {
+  it('should detect English-only models', () => {
+    expect(isEnglishOnlyModel('distil-whisper-large-v3-en')).toBe(true);
+    expect(isEnglishOnlyModel('whisper-large-v3')).toBe(false);
+    expect(isEnglishOnlyModel('whisper-large-v3-turbo')).toBe(false);
+  });
+});
+
+describe('getTranscriptionUrl', () => {
+  it('should build the Groq transcription URL', () => {
+    expect(getTranscriptionUrl(PROVIDERS.groq)).toBe('https://api.groq.com/openai/v1/audio/transcriptions');
+  });
+
+  it('should build the OpenAI transcription URL', () => {
+    expect(getTranscriptionUrl(PROVIDERS.openai)).toBe('https://api.openai.com/v1/audio/transcriptions');
+  });
+
+  it('should use the whisper.cpp inference path', () => {
+    expect(getTranscriptionUrl(PROVIDERS['whisper-cpp'])).toBe('http://localhost:8080/inference');
+  });
+
+  it('should build the Groq translation URL', () => {
+    expect(getTranscriptionUrl(PROVIDERS.groq, Task.TRANSLATE)).toBe('https://api.groq.com/openai/v1/audio/translations');
+  });
+
+  it('should throw for providers without translation', () => {
+    expect(supportsTranslation(PROVIDERS['whisper-cpp'])).toBe(false);
+    expect(() => getTranscriptionUrl(PROVIDERS['whisper-cpp'], Task.TRANSLATE)).toThrow('does not support translation');
+  });
+});
+
+describe('normalizeTranscriptionResponse', () => {
+  it('should pass through Groq-style top-level words', () => {
+    const data = {
+      text: 'Hello world',
+      duration: 1.2,
+      language: 'en',
+      segments: [{ start: 0, end: 1.2, text: 'Hello world' }],
+      words: [
+        { word: 'Hello', start: 0, end: 0.5 },
+        { word: 'world', start: 0.6, end: 1.2 },
+      ],
+    };
+
+    const result = normalizeTranscriptionResponse(data);
+
+    expect(result.text).toBe('Hello world');
+    expect(result.words).toEqual(data.words);
+    expect(result.language).toBe('en');
+  });
+
+  it('should flatten words nested inside segments', () => {
+    const data = {
+      text: ' Hello world',
+      segments: [
+        { start: 0, end: 0.5, text: ' Hello', words: [{ word: ' Hello', start: 0, end: 0.5 }] },
+        { start: 0.6, end: 1.2, text: ' world', words: [{ word: ' world', start: 0.6, end: 1.2 }] },
+      ],
+    };
+
+    const result = normalizeTranscriptionResponse(data);
+
+    expect(result.words.map(w => w.word)).toEqual(['Hello', 'world']);
+    expect(result.duration).toBe(1.2);
+  });
+
+  it('should accept words keyed as text', () => {
+    const result = normalizeTranscriptionResponse({
+      text: 'Hi',
+      words: [{ text: 'Hi', start: 0, end: 0.2 }],
+    });
+
+    expect(result.words[0].word).toBe('Hi');
+  });
+
+  it('should handle plain json responses without segments', () => {
+    const result = normalizeTranscriptionResponse({ text: 'Just text' });
+
+    expect(result.text).toBe('Just text');
+    expect(result.segments).toEqual([]);
+    expect(result.words).toEqual([]);
+  });
+
+  it('should build text from segments when missing', () => {
+    const result = normalizeTranscriptionResponse({
+      segments: [{ start: 0, end: 1, text: ' One' }, { start: 1, end: 2, text: ' two' }],
+    });
+
+    expect(result.text).toBe('One two');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for rate-limiter.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RateLimiter } from '../../src/rate-limiter.js';
+
+/**
+ * Controllable clock for deterministic bucket refills
+ */
+function createClock(start = 1_000_000) {
+  const clock = { time: start };
+  clock.now = () => clock.time;
+  clock.advance = (ms) => {
+    clock.time += ms;
+  };
+  return clock;
+}
+
+describe('RateLimiter', () => {
+  describe('isEnabled()', () => {
+    it('should be disabled without budgets', () => {
+      expect(new RateLimiter().isEnabled()).toBe(false);
+      expect(new RateLimiter({ requestsPerMinute: 0, audioSecondsPerHour: 0 }).isEnabled()).toBe(false);
+    });
+
+    it('should be enabled with either budget', () => {
+      expect(new RateLimiter({ requestsPerMinute: 20 }).isEnabled()).toBe(true);
+      expect(new RateLimiter({ audioSecondsPerHour: 7200 }).isEnabled()).toBe(true);
+    });
+  });
+
+  describe('Requests per minute', () => {
+    it('should allow requests up to the budget, then hold', () => {
+      const clock = createClock();
+      const limiter = new RateLimiter({ requestsPerMinute: 3, now: clock.now });
+
+      expect(limiter.tryAcquire(10)).toBe(true);
+      expect(limiter.tryAcquire(10)).toBe(true);
+      expect(limiter.tryAcquire(10)).toBe(true);
+      expect(limiter.tryAcquire(10)).toBe(false);
+    });
+
+    it('should refill one request every 60/RPM seconds', () => {
+      const clock = createClock();
+      const limiter = new RateLimiter({ requestsPerMinute: 3, now: clock.now });
+
+      limiter.tryAcquire(0);
+      limiter.tryAcquire(0);
+      limiter.tryAcquire(0);
+
+      expect(limiter.getNextSlotTime(0)).toBe(clock.time + 20000);
+
+      clock.advance(20000);
+      expect(limiter.tryAcquire(0)).toBe(true);
+    });
+  });
+
+  describe('Audio seconds per hour', () => {
+    it('should hold a chunk that exceeds the remaining audio budget', () => {
+      const clock = createClock();
+      const limiter = new RateLimiter({ audioSecondsPerHour: 3600, now: clock.now });
+
+      expect(limiter.tryAcquire(3000)).toBe(true);
+      expect(limiter.tryAcquire(700)).toBe(false);
+
+      // 600 audio-seconds remain and 1 refills per real second
+      expect(limiter.getNextSlotTime(600)).toBe(clock.time);
+      expect(limiter.getNextSlotTime(700)).toBe(clock.time + 100000);
+    });
+
+    it('should let an oversized chunk through once the bucket is full', () => {
+      const clock = createClock();
+      const limiter = new RateLimiter({ audioSecondsPerHour: 600, now: clock.now });
+
+      expect(limiter.tryAcquire(900)).toBe(true);
+      // Bucket is now in debt: 300s over, needs full refill of 600 + 300
+      expect(limiter.tryAcquire(10)).toBe(false);
+    });
+
+    it('should report the later of both budgets as the next slot', () => {
+      const clock = createClock();
+      const limiter = new RateLimiter({
+        requestsPerMinute: 60,
+        audioSecondsPerHour: 3600,
+        now: clock.now,
+      });
+
+      limiter.tryAcquire(3600);
+
+      // RPM has capacity, but the audio bucket needs 10s to refill 10 audio-seconds
+      expect(limiter.getNextSlotTime(10)).toBe(clock.time + 10000);
+    });
+  });
+
+  describe('acquire()', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should resolve immediately when budget is available', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 10 });
+      const onWait = vi.fn();
+
+      await limiter.acquire(30, { onWait });
+
+      expect(onWait).not.toHaveBeenCalled();
+    });
+
+    it('should wait for the next slot and report it', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 1 });
+      await limiter.acquire(0);
+
+      const onWait = vi.fn();
+      let resolved = false;
+      const promise = limiter.acquire(0, { onWait }).then(() => {
+        resolved = true;
+      });
+
+      await vi.advanceTimersByTimeAsync(30000);
+      expect(resolved).toBe(false);
+      expect(onWait).toHaveBeenCalledWith(expect.any(Number));
+
+      await vi.advanceTimersByTimeAsync(31000);
+      await promise;
+      expect(resolved).toBe(true);
+    });
+
+    it('should throw when aborted while waiting', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 1 });
+      await limiter.acquire(0);
+
+      let aborted = false;
+      const promise = limiter.acquire(0, { shouldAbort: () => aborted });
+      const handled = promise.catch(err => err);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      aborted = true;
+      await vi.advanceTimersByTimeAsync(1000);
+
+      const error = await handled;
+      expect(error.message).toContain('aborted');
+    });
+  });
+});
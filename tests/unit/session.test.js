@@ -0,0 +1,203 @@
+/**
+ * Unit tests for session.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createSession, parseSession, SESSION_FORMAT, SESSION_VERSION } from '../../src/session.js';
+import { mergeTranscriptsWithDeduplication } from '../../src/deduplication.js';
+import { createMockChunk, createMockTranscriptionResult } from '../fixtures/index.js';
+import { PROVIDERS } from '../../src/providers.js';
+
+vi.mock('../../src/logger.js', () => ({ log: vi.fn() }));
+
+const file = { name: 'talk.mp3', size: 1234, type: 'audio/mpeg', lastModified: 1700000000000 };
+
+function createRun() {
+  const chunks = [
+    createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 10, overlapTrailing: 2 }),
+    createMockChunk({ index: 1, logicalStart: 10, logicalEnd: 20, overlapLeading: 2 })
+  ];
+  const results = [
+    { ...createMockTranscriptionResult({ text: 'hello there general', chunk: chunks[0] }), response: { text: 'hello there general' } },
+    createMockTranscriptionResult({ success: false, chunk: chunks[1] })
+  ];
+  return { chunks, results };
+}
+
+describe('createSession', () => {
+  it('should tag the session with format and version', () => {
+    const { chunks, results } = createRun();
+    const session = createSession({ file, chunks, results });
+
+    expect(session.format).toBe(SESSION_FORMAT);
+    expect(session.version).toBe(SESSION_VERSION);
+    expect(() => new Date(session.exportedAt).toISOString()).not.toThrow();
+  });
+
+  it('should include file metadata and chunk boundaries', () => {
+    const { chunks, results } = createRun();
+    const session = createSession({ file, duration: 20, chunks, results });
+
+    expect(session.file).toEqual({ ...file, duration: 20 });
+    expect(session.chunks).toEqual(chunks);
+    expect(session.chunks[0].logicalEnd).toBe(10);
+    expect(session.chunks[0].end).toBe(12);
+  });
+
+  it('should store results by chunk index with raw responses and errors', () => {
+    const { chunks, results } = createRun();
+    const session = createSession({ file, chunks, results });
+
+    expect(session.results[0].chunkIndex).toBe(0);
+    expect(session.results[0].chunk).toBeUndefined();
+    expect(session.results[0].response).toEqual({ text: 'hello there general' });
+    expect(session.results[0].words).toEqual(results[0].words);
+    expect(session.results[1]).toMatchObject({ chunkIndex: 1, success: false, error: 'Transcription failed' });
+  });
+
+  it('should include merged words, debug words and stats', () => {
+    const { chunks, results } = createRun();
+    const mergeResult = mergeTranscriptsWithDeduplication(results, 2);
+    const session = createSession({ file, chunks, results, mergeResult });
+
+    expect(session.merge.method).toBe(mergeResult.method);
+    expect(session.merge.words).toEqual(mergeResult.words);
+    expect(session.merge.allWords).toEqual(mergeResult.allWords);
+    expect(session.merge.stats).toEqual(mergeResult.stats);
+  });
+
+  it('should record settings with the provider reduced to its identity', () => {
+    const { chunks, results } = createRun();
+    const provider = PROVIDERS.groq;
+    const session = createSession({
+      file,
+      chunks,
+      results,
+      chunking: { chunkLengthMinutes: 10, silenceWindowSec: 30, silenceThreshold: 0.01, overlapDurationSec: 2 },
+      transcription: { provider, task: 'transcribe', model: 'whisper-large-v3', glossary: ['Groq'] }
+    });
+
+    expect(session.settings.chunking.overlapDurationSec).toBe(2);
+    expect(session.settings.transcription).toEqual({
+      provider: { id: provider.id, name: provider.name, baseUrl: provider.baseUrl },
+      task: 'transcribe',
+      model: 'whisper-large-v3',
+      glossary: ['Groq']
+    });
+  });
+
+  it('should survive a JSON round trip without a merge', () => {
+    const { chunks, results } = createRun();
+    const session = createSession({ file, chunks, results });
+
+    expect(session.merge).toBeNull();
+    expect(JSON.parse(JSON.stringify(session))).toEqual(session);
+  });
+});
+
+describe('parseSession', () => {
+  function exportRun() {
+    const { chunks, results } = createRun();
+    return createSession({ file, duration: 20, chunks, results, chunking: { overlapDurationSec: 2 } });
+  }
+
+  it('should round-trip an exported session with chunks re-attached', () => {
+    const session = exportRun();
+    const parsed = parseSession(JSON.stringify(session));
+
+    expect(parsed.file).toEqual({ ...file, duration: 20 });
+    expect(parsed.settings.chunking).toEqual({ overlapDurationSec: 2 });
+    expect(parsed.results).toHaveLength(2);
+    expect(parsed.results[0].chunk).toBe(parsed.chunks[0]);
+    expect(parsed.results[0].chunkIndex).toBeUndefined();
+    expect(parsed.results[1]).toMatchObject({ success: false, error: 'Transcription failed' });
+  });
+
+  it('should produce results the merge accepts', () => {
+    const { results } = createRun();
+    const parsed = parseSession(JSON.stringify(exportRun()));
+
+    const original = mergeTranscriptsWithDeduplication(results, 2);
+    const reimported = mergeTranscriptsWithDeduplication(parsed.results, 2);
+
+    expect(reimported.text).toBe(original.text);
+    expect(reimported.words).toEqual(original.words);
+  });
+
+  it('should reject malformed JSON', () => {
+    expect(() => parseSession('{not json')).toThrow(/Not a valid JSON file/);
+  });
+
+  it('should reject files that are not sessions', () => {
+    expect(() => parseSession(JSON.stringify({ text: 'hello' }))).toThrow(/Not a session file/);
+    expect(() => parseSession('[]')).toThrow(/Not a session file/);
+  });
+
+  it('should reject sessions from a newer version', () => {
+    const session = { ...exportRun(), version: SESSION_VERSION + 1 };
+
+    expect(() => parseSession(JSON.stringify(session))).toThrow(/newer than this app supports/);
+  });
+
+  it('should reject an invalid version', () => {
+    const session = { ...exportRun(), version: '1' };
+
+    expect(() => parseSession(JSON.stringify(session))).toThrow('Invalid session: version must be a positive integer');
+  });
+
+  it('should point at the invalid field', () => {
+    const session = exportRun();
+    session.chunks[1].start = 'zero';
+    expect(() => parseSession(JSON.stringify(session))).toThrow('Invalid session: chunks[1].start must be a number');
+
+    const orphan = exportRun();
+    orphan.results[1].chunkIndex = 7;
+    expect(() => parseSession(JSON.stringify(orphan))).toThrow('Invalid session: results[1].chunkIndex does not match any chunk (7)');
+
+    const badWords = exportRun();
+    badWords.results[0].words[0].start = null;
+    expect(() => parseSession(JSON.stringify(badWords))).toThrow(/results\[0\]\.words\[0\]/);
+  });
+
+  it('should keep skipped silences and check they are inside the chunk', () => {
+    const session = exportRun();
+    session.chunks[0].skips = [{ start: 3, end: 6 }];
+    expect(parseSession(JSON.stringify(session)).chunks[0].skips).toEqual([{ start: 3, end: 6 }]);
+
+    session.chunks[0].skips = [{ start: 3, end: 30 }];
+    expect(() => parseSession(JSON.stringify(session))).toThrow('Invalid session: chunks[0].skips[0] must have numeric start/end inside the chunk');
+  });
+
+  it('should require chunks', () => {
+    const session = { ...exportRun(), chunks: [] };
+
+    expect(() => parseSession(JSON.stringify(session))).toThrow('Invalid session: chunks must be a non-empty array');
+  });
+
+  it('should restore edited transcript words', () => {
+    const { chunks, results } = createRun();
+    const words = [
+      { word: 'hello', absoluteStart: 0, absoluteEnd: 0.5 },
+      { word: 'there!', absoluteStart: 0.5, absoluteEnd: 1, edited: true }
+    ];
+    const session = createSession({ file, chunks, results, transcript: { text: 'hello there!', words, edited: true } });
+
+    expect(parseSession(JSON.stringify(session)).editedWords).toEqual(words);
+  });
+
+  it('should ignore the transcript words when they were not edited', () => {
+    const { chunks, results } = createRun();
+    const session = createSession({ file, chunks, results, transcript: { text: 'hi', words: [{ word: 'hi' }], edited: false } });
+
+    expect(parseSession(JSON.stringify(session)).editedWords).toBeNull();
+    expect(parseSession(JSON.stringify(exportRun())).editedWords).toBeNull();
+  });
+
+  it('should validate edited transcript words', () => {
+    const { chunks, results } = createRun();
+    const words = [{ word: 'hello', absoluteStart: 0, absoluteEnd: 'soon' }];
+    const session = createSession({ file, chunks, results, transcript: { text: 'hello', words, edited: true } });
+
+    expect(() => parseSession(JSON.stringify(session))).toThrow(/transcript\.words\[0\]/);
+  });
+});
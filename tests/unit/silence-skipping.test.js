@@ -0,0 +1,127 @@
+/**
+ * Unit tests for silence-skipping.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { attachSkips, clipSkips, getSentDuration, getKeptRanges, toOriginalTime, toSentTime } from '../../src/silence-skipping.js';
+import { createMockChunk } from '../fixtures/index.js';
+
+vi.mock('../../src/logger.js', () => ({ log: vi.fn() }));
+
+describe('attachSkips', () => {
+  const chunks = [
+    createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 100, overlapTrailing: 10 }),
+    createMockChunk({ index: 1, logicalStart: 100, logicalEnd: 200, overlapLeading: 10 })
+  ];
+
+  it('should give each chunk the skips inside it', () => {
+    const result = attachSkips(chunks, [{ start: 20, end: 40 }, { start: 150, end: 160 }]);
+
+    expect(result[0].skips).toEqual([{ start: 20, end: 40 }]);
+    expect(result[1].skips).toEqual([{ start: 150, end: 160 }]);
+  });
+
+  it('should clip a skip spanning a cut to both chunks', () => {
+    const result = attachSkips(chunks, [{ start: 95, end: 105 }]);
+
+    expect(result[0].skips).toEqual([{ start: 95, end: 105 }]);
+    expect(result[1].skips).toEqual([{ start: 95, end: 105 }]);
+
+    const wide = attachSkips(chunks, [{ start: 80, end: 130 }]);
+    expect(wide[0].skips).toEqual([{ start: 80, end: 110 }]);
+    expect(wide[1].skips).toEqual([{ start: 90, end: 130 }]);
+  });
+
+  it('should leave chunks without skips unchanged', () => {
+    const result = attachSkips(chunks, [{ start: 20, end: 40 }]);
+
+    expect(result[1]).toBe(chunks[1]);
+    expect(result[1].skips).toBeUndefined();
+  });
+
+  it('should merge skips carried over from overlapping chunks', () => {
+    const first = attachSkips(chunks, [{ start: 80, end: 130 }]);
+
+    const rebuilt = attachSkips([createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 200 })], first.flatMap(c => c.skips));
+
+    expect(rebuilt[0].skips).toEqual([{ start: 80, end: 130 }]);
+  });
+
+  it('should keep some audio in a chunk that is all silence', () => {
+    const chunk = createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 30 });
+
+    const [result] = attachSkips([chunk], [{ start: 0, end: 30 }]);
+
+    expect(getSentDuration(result)).toBe(1);
+    expect(result.skips).toEqual([{ start: 0, end: 29 }]);
+  });
+});
+
+describe('getSentDuration', () => {
+  it('should subtract skipped silence', () => {
+    const chunk = { ...createMockChunk({ logicalStart: 0, logicalEnd: 100 }), skips: [{ start: 10, end: 20 }, { start: 50, end: 80 }] };
+
+    expect(getSentDuration(chunk)).toBe(60);
+  });
+
+  it('should be the chunk duration without skips', () => {
+    expect(getSentDuration(createMockChunk({ logicalStart: 0, logicalEnd: 100 }))).toBe(100);
+  });
+});
+
+describe('getKeptRanges', () => {
+  it('should list the parts around the skips', () => {
+    const chunk = { ...createMockChunk({ logicalStart: 100, logicalEnd: 200 }), skips: [{ start: 100, end: 110 }, { start: 150, end: 160 }] };
+
+    expect(getKeptRanges(chunk)).toEqual([{ start: 110, end: 150 }, { start: 160, end: 200 }]);
+  });
+
+  it('should be the whole chunk without skips', () => {
+    expect(getKeptRanges(createMockChunk({ logicalStart: 0, logicalEnd: 50 }))).toEqual([{ start: 0, end: 50 }]);
+  });
+});
+
+describe('toOriginalTime', () => {
+  const chunk = { ...createMockChunk({ logicalStart: 100, logicalEnd: 200 }), skips: [{ start: 110, end: 130 }, { start: 150, end: 160 }] };
+
+  it('should add the chunk start before the first skip', () => {
+    expect(toOriginalTime(chunk, 5)).toBe(105);
+  });
+
+  it('should move times past each earlier skip', () => {
+    // 10 s sent, then the first skip
+    expect(toOriginalTime(chunk, 10)).toBe(130);
+    expect(toOriginalTime(chunk, 25)).toBe(145);
+    // 10 + 20 s sent, then the second skip
+    expect(toOriginalTime(chunk, 30)).toBe(160);
+    expect(toOriginalTime(chunk, 40)).toBe(170);
+  });
+
+  it('should only add the chunk start without skips', () => {
+    expect(toOriginalTime(createMockChunk({ logicalStart: 100, logicalEnd: 200 }), 12.5)).toBe(112.5);
+  });
+});
+
+describe('toSentTime', () => {
+  const chunk = { ...createMockChunk({ logicalStart: 100, logicalEnd: 200 }), skips: [{ start: 110, end: 130 }, { start: 150, end: 160 }] };
+
+  it('should undo toOriginalTime', () => {
+    for (const sent of [0, 5, 10, 25, 30, 40]) {
+      expect(toSentTime(chunk, toOriginalTime(chunk, sent))).toBe(sent);
+    }
+  });
+
+  it('should map a time inside a skip to where it was cut', () => {
+    expect(toSentTime(chunk, 120)).toBe(10);
+    expect(toSentTime(chunk, 155)).toBe(30);
+  });
+});
+
+describe('clipSkips', () => {
+  it('should keep the parts of skips inside the range', () => {
+    const skips = [{ start: 10, end: 20 }, { start: 30, end: 40 }, { start: 50, end: 60 }];
+
+    expect(clipSkips(skips, 15, 35)).toEqual([{ start: 15, end: 20 }, { start: 30, end: 35 }]);
+    expect(clipSkips(skips, 20, 30)).toEqual([]);
+  });
+});
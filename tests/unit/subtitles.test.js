@@ -0,0 +1,104 @@
+/**
+ * Unit tests for subtitles.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildCues, formatSrt, formatVtt } from '../../src/subtitles.js';
+
+/**
+ * Merged words spoken back to back, `step` seconds apart
+ */
+function createWords(text, start = 0, step = 0.4) {
+  return text.split(' ').map((word, i) => ({
+    word,
+    absoluteStart: start + i * step,
+    absoluteEnd: start + i * step + step * 0.9,
+  }));
+}
+
+describe('buildCues', () => {
+  it('should end cues at sentence boundaries', () => {
+    const cues = buildCues(createWords('Hello there. How are you?'));
+
+    expect(cues.map(c => c.lines.join(' '))).toEqual(['Hello there.', 'How are you?']);
+  });
+
+  it('should break at pauses', () => {
+    const words = [...createWords('first part', 0), ...createWords('second part', 5)];
+    const cues = buildCues(words);
+
+    expect(cues).toHaveLength(2);
+    expect(cues[1].start).toBe(5);
+  });
+
+  it('should wrap lines and respect max lines per cue', () => {
+    const text = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+    const cues = buildCues(createWords(text, 0, 0.1), { maxCharsPerLine: 20, maxLinesPerCue: 2, maxCueDuration: 100 });
+
+    for (const cue of cues) {
+      expect(cue.lines.length).toBeLessThanOrEqual(2);
+      for (const line of cue.lines) {
+        expect(line.length).toBeLessThanOrEqual(20);
+      }
+    }
+    expect(cues.flatMap(c => c.lines).join(' ')).toBe(text);
+  });
+
+  it('should split cues longer than the max duration', () => {
+    const text = Array.from({ length: 20 }, (_, i) => `w${i}`).join(' ');
+    const cues = buildCues(createWords(text, 0, 1), { maxCueDuration: 5 });
+
+    for (const cue of cues) {
+      expect(cue.end - cue.start).toBeLessThanOrEqual(5);
+    }
+  });
+
+  it('should break at clause punctuation once the cue is fairly full', () => {
+    const words = createWords('This sentence has quite a few words in it, and then it keeps on going');
+    const cues = buildCues(words, { maxCharsPerLine: 30, maxLinesPerCue: 2 });
+
+    expect(cues[0].lines.join(' ')).toBe('This sentence has quite a few words in it,');
+  });
+
+  it('should give very short cues a minimum duration without overlapping', () => {
+    const words = [
+      { word: 'Yes.', absoluteStart: 1, absoluteEnd: 1.1 },
+      { word: 'No.', absoluteStart: 1.4, absoluteEnd: 1.6 },
+    ];
+    const cues = buildCues(words);
+
+    expect(cues[0].end).toBe(1.4);
+    expect(cues[1].end).toBeCloseTo(2.1);
+  });
+
+  it('should return no cues for no words', () => {
+    expect(buildCues([])).toEqual([]);
+  });
+});
+
+describe('formatSrt', () => {
+  it('should number cues and use comma milliseconds', () => {
+    const srt = formatSrt([
+      { start: 0, end: 1.5, lines: ['Hello there.'] },
+      { start: 3661.25, end: 3663, lines: ['Two', 'lines'] },
+    ]);
+
+    expect(srt).toBe(
+      '1\n00:00:00,000 --> 00:00:01,500\nHello there.\n\n' +
+      '2\n01:01:01,250 --> 01:01:03,000\nTwo\nlines\n'
+    );
+  });
+});
+
+describe('formatVtt', () => {
+  it('should add the header and use dot milliseconds', () => {
+    const vtt = formatVtt([{ start: 0.5, end: 2, lines: ['Hi'] }]);
+
+    expect(vtt).toBe('WEBVTT\n\n00:00:00.500 --> 00:00:02.000\nHi\n');
+  });
+
+  it('should escape markup characters and arrows in cue text', () => {
+    const vtt = formatVtt([{ start: 0, end: 1, lines: ['R&D <3 a --> b'] }]);
+    expect(vtt).toContain('R&amp;D &lt;3 a --&gt; b');
+  });
+});
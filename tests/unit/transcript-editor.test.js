@@ -0,0 +1,91 @@
+/**
+ * Unit tests for transcript-editor.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { applyTranscriptEdit } from '../../src/transcript-editor.js';
+
+/**
+ * Merged words: each lasts 0.8s, starting one second apart
+ */
+function createWords(text) {
+  return text.split(' ').map((word, i) => ({ word, absoluteStart: i, absoluteEnd: i + 0.8, chunkIndex: 0 }));
+}
+
+const times = (words) => words.map(w => [w.word, +w.absoluteStart.toFixed(3), +w.absoluteEnd.toFixed(3)]);
+
+describe('applyTranscriptEdit', () => {
+  it('should return the same words when nothing changed', () => {
+    const words = createWords('the quick brown fox');
+
+    expect(applyTranscriptEdit(words, 'the  quick\nbrown fox ')).toEqual(words);
+  });
+
+  it('should keep the timing of a corrected word', () => {
+    const result = applyTranscriptEdit(createWords('the quick brawn fox'), 'the quick brown fox');
+
+    expect(times(result)).toEqual([['the', 0, 0.8], ['quick', 1, 1.8], ['brown', 2, 2.8], ['fox', 3, 3.8]]);
+    expect(result[2].edited).toBe(true);
+    expect(result[2].chunkIndex).toBe(0);
+    expect(result[1].edited).toBeUndefined();
+  });
+
+  it('should span the merged words when merging', () => {
+    const result = applyTranscriptEdit(createWords('use cooper netties here'), 'use Kubernetes here');
+
+    expect(times(result)).toEqual([['use', 0, 0.8], ['Kubernetes', 1, 2.8], ['here', 3, 3.8]]);
+  });
+
+  it('should divide a word by length when splitting', () => {
+    const result = applyTranscriptEdit(createWords('say whatever now'), 'say what ever now');
+
+    // 1.8s span shared 4:4
+    expect(times(result)).toEqual([['say', 0, 0.8], ['what', 1, 1.4], ['ever', 1.4, 1.8], ['now', 2, 2.8]]);
+  });
+
+  it('should time inserted words in the gap between neighbours', () => {
+    const result = applyTranscriptEdit(createWords('one two'), 'one and a two');
+
+    expect(times(result)).toEqual([['one', 0, 0.8], ['and', 0.8, 0.95], ['a', 0.95, 1], ['two', 1, 1.8]]);
+    expect(result[1].edited).toBe(true);
+  });
+
+  it('should drop deleted words', () => {
+    const words = createWords('so um we start');
+    const result = applyTranscriptEdit(words, 'so we start');
+
+    expect(result).toEqual([words[0], words[2], words[3]]);
+  });
+
+  it('should handle edits at the start and end', () => {
+    const result = applyTranscriptEdit(createWords('uh hello world'), 'hello world!');
+
+    expect(times(result)).toEqual([['hello', 1, 1.8], ['world!', 2, 2.8]]);
+  });
+
+  it('should retime a block with no unchanged words by length', () => {
+    const result = applyTranscriptEdit(createWords('uh hello world'), 'Hello world!');
+
+    // 2.8s span shared 5:6
+    expect(times(result)).toEqual([['Hello', 0, 1.273], ['world!', 1.273, 2.8]]);
+  });
+
+  it('should keep times in order with several separate edits', () => {
+    const result = applyTranscriptEdit(createWords('a b c d e f g'), 'a B c x d e g h');
+    const starts = result.map(w => w.absoluteStart);
+
+    expect(result.map(w => w.word)).toEqual(['a', 'B', 'c', 'x', 'd', 'e', 'g', 'h']);
+    expect(starts).toEqual([...starts].sort((x, y) => x - y));
+  });
+
+  it('should edit words without timestamps', () => {
+    const words = [{ word: 'plain' }, { word: 'txet' }];
+    const result = applyTranscriptEdit(words, 'plain text here');
+
+    expect(result).toEqual([{ word: 'plain' }, { word: 'text', edited: true }, { word: 'here', edited: true }]);
+  });
+
+  it('should clear the transcript when all text is deleted', () => {
+    expect(applyTranscriptEdit(createWords('gone soon'), '   ')).toEqual([]);
+  });
+});
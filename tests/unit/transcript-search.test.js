@@ -0,0 +1,59 @@
+/**
+ * Unit tests for transcript-search.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { searchTranscript } from '../../src/transcript-search.js';
+
+/**
+ * Merged words one second apart
+ */
+function createWords(text) {
+  return text.split(' ').map((word, i) => ({ word, absoluteStart: i, absoluteEnd: i + 0.8 }));
+}
+
+describe('searchTranscript', () => {
+  it('should find every match with its timestamps', () => {
+    const words = createWords('the cat saw the dog');
+    const matches = searchTranscript(words, 'the');
+
+    expect(matches).toEqual([
+      { firstWord: 0, lastWord: 0, start: 0, end: 0.8 },
+      { firstWord: 3, lastWord: 3, start: 3, end: 3.8 }
+    ]);
+  });
+
+  it('should ignore case and extra whitespace in the query', () => {
+    const matches = searchTranscript(createWords('Hello World again'), '  hello   WORLD ');
+
+    expect(matches).toEqual([{ firstWord: 0, lastWord: 1, start: 0, end: 1.8 }]);
+  });
+
+  it('should match phrases that include punctuation', () => {
+    const matches = searchTranscript(createWords('Yes, we deploy. Then we test.'), 'deploy. then');
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0]).toMatchObject({ firstWord: 2, lastWord: 3 });
+  });
+
+  it('should match inside words', () => {
+    const matches = searchTranscript(createWords('we redeployed it'), 'deploy');
+
+    expect(matches).toEqual([{ firstWord: 1, lastWord: 1, start: 1, end: 1.8 }]);
+  });
+
+  it('should not return overlapping matches', () => {
+    expect(searchTranscript(createWords('aaaa'), 'aa')).toHaveLength(2);
+  });
+
+  it('should return null times without word timestamps', () => {
+    const words = [{ word: 'plain' }, { word: 'text' }];
+
+    expect(searchTranscript(words, 'text')).toEqual([{ firstWord: 1, lastWord: 1, start: null, end: null }]);
+  });
+
+  it('should return nothing for an empty query or transcript', () => {
+    expect(searchTranscript(createWords('some words'), '   ')).toEqual([]);
+    expect(searchTranscript([], 'word')).toEqual([]);
+  });
+});
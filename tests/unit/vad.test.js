@@ -0,0 +1,151 @@
+/**
+ * Unit tests for vad.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { computeFrameFeatures, buildSpeechMap, planCutsFromSpeech } from '../../src/vad.js';
+
+vi.mock('../../src/logger.js', () => ({ log: vi.fn() }));
+
+describe('computeFrameFeatures', () => {
+  it('should measure energy per 30 ms frame', () => {
+    // 1000 Hz sample rate: 30 samples per frame
+    const samples = new Float32Array(60);
+    samples.fill(0.5, 0, 30);
+
+    const { energyDb } = computeFrameFeatures(samples, 1000);
+
+    expect(energyDb).toHaveLength(2);
+    expect(energyDb[0]).toBeCloseTo(20 * Math.log10(0.5), 3);
+    expect(energyDb[1]).toBeLessThan(-90);
+  });
+
+  it('should count zero crossings per second', () => {
+    const samples = Float32Array.from({ length: 30 }, (_, i) => (i % 2 ? 0.1 : -0.1));
+
+    const { zcr } = computeFrameFeatures(samples, 1000);
+
+    // 29 crossings in 30 ms
+    expect(zcr[0]).toBeCloseTo(29 / 0.03, 0);
+  });
+
+  it('should scale 16-bit samples', () => {
+    const samples = new Int16Array(30).fill(16384);
+
+    const { energyDb } = computeFrameFeatures(samples, 1000, 1 / 32768);
+
+    expect(energyDb[0]).toBeCloseTo(20 * Math.log10(0.5), 3);
+  });
+});
+
+describe('buildSpeechMap', () => {
+  function features(energy, zcrValue = 0) {
+    return { energyDb: Float32Array.from(energy), zcr: new Float32Array(energy.length).fill(zcrValue) };
+  }
+
+  it('should set the threshold from the noise floor', () => {
+    const energy = Array.from({ length: 100 }, (_, i) => (i >= 40 && i < 60 ? -60 : -20));
+
+    const map = buildSpeechMap(features(energy));
+
+    expect(map.noiseFloorDb).toBe(-60);
+    expect(map.thresholdDb).toBe(-50);
+  });
+
+  it('should find pauses after the hangover', () => {
+    const energy = Array.from({ length: 100 }, (_, i) => (i >= 40 && i < 60 ? -60 : -20));
+
+    const { silences } = buildSpeechMap(features(energy));
+
+    // Speech holds for 5 frames (150 ms) after frame 39
+    expect(silences).toHaveLength(1);
+    expect(silences[0].start).toBeCloseTo(45 * 0.03);
+    expect(silences[0].end).toBeCloseTo(60 * 0.03);
+    expect(silences[0].duration).toBeCloseTo(15 * 30);
+    expect(silences[0].midpoint).toBeCloseTo(52.5 * 0.03);
+  });
+
+  it('should ignore dips shorter than the minimum pause', () => {
+    const energy = Array.from({ length: 100 }, (_, i) => (i >= 40 && i < 52 ? -60 : -20));
+
+    const map = buildSpeechMap(features(energy));
+
+    // The 12-frame dip leaves 7 frames (210 ms) after the hangover
+    expect(map.silences).toEqual([]);
+  });
+
+  it('should count quiet frames with many zero crossings as speech', () => {
+    const energy = Array.from({ length: 100 }, (_, i) => (i < 20 ? -60 : -55));
+
+    expect(buildSpeechMap(features(energy, 0)).silences.some(s => s.end > 1)).toBe(true);
+    expect(buildSpeechMap(features(energy, 4000)).silences.some(s => s.end > 1)).toBe(false);
+  });
+
+  it('should report total speech', () => {
+    const energy = Array.from({ length: 100 }, (_, i) => (i < 50 ? -20 : -60));
+
+    const map = buildSpeechMap(features(energy), 0.05);
+
+    // 50 frames plus 3 frames of hangover (150 ms at 50 ms frames)
+    expect(map.speechSec).toBeCloseTo(53 * 0.05);
+  });
+});
+
+describe('planCutsFromSpeech', () => {
+  const options = { chunkLengthSec: 100, silenceWindowSec: 20 };
+
+  function speechMap(silences, energy = new Float32Array(250).fill(-20)) {
+    return {
+      frameSec: 1,
+      energyDb: energy,
+      noiseFloorDb: -60,
+      thresholdDb: -50,
+      speechSec: 0,
+      silences: silences.map(([start, end]) => ({ start, end, duration: (end - start) * 1000, midpoint: (start + end) / 2 }))
+    };
+  }
+
+  it('should cut in the best pause inside the window', () => {
+    const map = speechMap([[94.8, 95.2], [102.5, 103.5], [139, 141]]);
+
+    const [cut] = planCutsFromSpeech(map, 150, options);
+
+    expect(cut.type).toBe('silence');
+    expect(cut.time).toBe(103);
+    expect(cut.targetTime).toBe(100);
+    expect(cut.rejected.map(r => r.midpoint)).toEqual([95]);
+  });
+
+  it('should widen the search back toward the previous cut', () => {
+    const map = speechMap([[69, 71]]);
+
+    const [cut] = planCutsFromSpeech(map, 150, options);
+
+    expect(cut.type).toBe('silence');
+    expect(cut.time).toBe(70);
+  });
+
+  it('should not widen past half a chunk', () => {
+    const energy = new Float32Array(250).fill(-20);
+    energy[95] = -40;
+    const map = speechMap([[39, 41]], energy);
+
+    const [cut] = planCutsFromSpeech(map, 150, options);
+
+    expect(cut.type).toBe('forced');
+    expect(cut.time).toBe(95.5);
+    expect(cut.silence).toBeNull();
+  });
+
+  it('should plan cuts until the end of the file', () => {
+    const map = speechMap([[99, 101], [199, 201]]);
+
+    const cuts = planCutsFromSpeech(map, 250, options);
+
+    expect(cuts.map(c => c.time)).toEqual([100, 200]);
+  });
+
+  it('should not cut a file shorter than a chunk', () => {
+    expect(planCutsFromSpeech(speechMap([[40, 41]]), 90, options)).toEqual([]);
+  });
+});
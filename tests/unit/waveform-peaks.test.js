@@ -0,0 +1,81 @@
+/**
+ * Unit tests for waveform-peaks.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { computePeaks, buildPeakPyramid, getVisiblePeaks } from '../../src/waveform-peaks.js';
+
+describe('computePeaks', () => {
+  it('should reduce samples to min/max per peak', () => {
+    const { min, max } = computePeaks([0.1, -0.2, 0.5, 0.3, -0.4], 2);
+
+    expect(Array.from(min)).toEqual([expect.closeTo(-0.2), expect.closeTo(0.3), expect.closeTo(-0.4)]);
+    expect(Array.from(max)).toEqual([expect.closeTo(0.1), expect.closeTo(0.5), expect.closeTo(-0.4)]);
+  });
+
+  it('should scale 16-bit samples to -1..1', () => {
+    const { min, max } = computePeaks(new Int16Array([-32768, 16384]), 2, 1 / 32768);
+
+    expect(min[0]).toBe(-1);
+    expect(max[0]).toBe(0.5);
+  });
+});
+
+describe('buildPeakPyramid', () => {
+  function basePeaks(count) {
+    const max = Float32Array.from({ length: count }, (_, i) => (i % 10) / 10);
+    return { min: max.map(v => -v), max };
+  }
+
+  it('should halve each level until it is small', () => {
+    const pyramid = buildPeakPyramid(basePeaks(1000), 0.032, 32);
+
+    expect(pyramid.duration).toBe(32);
+    expect(pyramid.levels.map(l => l.min.length)).toEqual([1000, 500, 250]);
+    expect(pyramid.levels.map(l => l.secondsPerPeak)).toEqual([0.032, 0.064, 0.128]);
+  });
+
+  it('should keep the extremes of each pair', () => {
+    const pyramid = buildPeakPyramid(basePeaks(300), 1, 300);
+
+    expect(pyramid.levels[1].max[4]).toBeCloseTo(0.9); // peaks 8 and 9
+    expect(pyramid.levels[1].min[4]).toBeCloseTo(-0.9);
+  });
+
+  it('should keep a short file as a single level', () => {
+    expect(buildPeakPyramid(basePeaks(10), 1, 10).levels).toHaveLength(1);
+  });
+});
+
+describe('getVisiblePeaks', () => {
+  const max = Float32Array.from({ length: 1024 }, (_, i) => (i === 700 ? 1 : 0.1));
+  const pyramid = buildPeakPyramid({ min: max.map(v => -v), max }, 1, 1024);
+
+  it('should return one peak per column', () => {
+    const peaks = getVisiblePeaks(pyramid, 0, 1024, 64);
+
+    expect(peaks.max).toHaveLength(64);
+    expect(peaks.max[43]).toBe(1); // 700 / 16
+    expect(peaks.max[0]).toBeCloseTo(0.1);
+  });
+
+  it('should not lose a spike at any zoom level', () => {
+    for (const columns of [8, 100, 1024, 3000]) {
+      const peaks = getVisiblePeaks(pyramid, 0, 1024, columns);
+      expect(Math.max(...peaks.max)).toBe(1);
+    }
+  });
+
+  it('should cover only the requested range', () => {
+    const peaks = getVisiblePeaks(pyramid, 690, 710, 20);
+
+    expect(peaks.max[10]).toBe(1);
+    expect(peaks.max[9]).toBeCloseTo(0.1);
+  });
+
+  it('should be silent outside the audio', () => {
+    const peaks = getVisiblePeaks(pyramid, 1100, 1200, 10);
+
+    expect(Array.from(peaks.max)).toEqual(new Array(10).fill(0));
+  });
+});
@@ -10,7 +10,11 @@ import {
   updateChunkStatus,
   renderProgressPips,
   updateProgressPip,
+  zoomView,
+  panView,
+  describeCut,
 } from '../../src/waveform.js';
+import { buildPeakPyramid } from '../../src/waveform-peaks.js';
 import {
   createMockChunk,
   twoChunksWithOverlap,
@@ -49,35 +53,98 @@ describe('drawWaveform', () => {
     canvas.getContext = vi.fn(() => mockCtx);
   });
 
-  it('should draw waveform without errors', () => {
-    const waveformData = [0.1, 0.5, 0.8, 0.3, 0.6];
+  const pyramid = buildPeakPyramid(
+    { min: new Float32Array([-0.1, -0.5, -0.8, -0.3]), max: new Float32Array([0.1, 0.5, 0.8, 0.3]) },
+    1,
+    4
+  );
 
-    expect(() => {
-      drawWaveform(canvas, waveformData);
-    }).not.toThrow();
+  it('should draw one column per pixel', () => {
+    drawWaveform(canvas, pyramid);
 
-    // Verify context was used
+    // Background plus 500 columns
     expect(canvas.getContext).toHaveBeenCalledWith('2d');
     expect(mockCtx.scale).toHaveBeenCalled();
+    expect(mockCtx.fillRect).toHaveBeenCalledTimes(501);
+  });
+
+  it('should draw only the visible range', () => {
+    drawWaveform(canvas, pyramid, { start: 2, end: 3 });
+
+    // Every column falls in the 0.8 peak: 0.8 * 50 * 0.9 above the middle
+    const [, top, , height] = mockCtx.fillRect.mock.calls[1];
+    expect(top).toBeCloseTo(50 - 36);
+    expect(height).toBeCloseTo(72);
   });
 
-  it('should handle empty waveform data', () => {
+  it('should handle an empty view', () => {
     expect(() => {
-      drawWaveform(canvas, []);
+      drawWaveform(canvas, pyramid, { start: 2, end: 2 });
     }).not.toThrow();
+    expect(mockCtx.fillRect).toHaveBeenCalledTimes(1);
   });
 
-  it('should accept custom options', () => {
-    const waveformData = [0.5, 0.5, 0.5];
-
+  it('should accept custom colors', () => {
     expect(() => {
-      drawWaveform(canvas, waveformData, {
+      drawWaveform(canvas, pyramid, undefined, {
         barColor: '#ff0000',
         backgroundColor: '#000000',
-        barWidth: 3,
-        barGap: 2,
       });
     }).not.toThrow();
+    expect(mockCtx.fillStyle).toBe('#ff0000');
+  });
+});
+
+describe('zoomView', () => {
+  it('should keep the anchor at the same place in the view', () => {
+    const view = zoomView({ start: 0, end: 100 }, 0.5, 25, 100);
+
+    expect(view).toEqual({ start: 12.5, end: 62.5 });
+  });
+
+  it('should not zoom out past the whole file', () => {
+    expect(zoomView({ start: 10, end: 60 }, 4, 30, 100)).toEqual({ start: 0, end: 100 });
+  });
+
+  it('should not zoom in past the minimum span', () => {
+    const view = zoomView({ start: 0, end: 10 }, 0.01, 5, 100);
+
+    expect(view.end - view.start).toBe(5);
+  });
+});
+
+describe('describeCut', () => {
+  const silence = { start: 598, end: 600, duration: 2000, midpoint: 599, distance: 1, score: 1900 };
+
+  it('should explain a silence cut and the candidates it beat', () => {
+    const rejected = [{ start: 605, end: 605.4, duration: 400, midpoint: 605.2, distance: 5.2, score: -120 }];
+    const text = describeCut({ type: 'silence', targetTime: 600, silence, rejected }, 599);
+
+    expect(text).toContain('Cut at 9:59: middle of a 2.0s silence, 1.0s from the 10:00 target (score 1900)');
+    expect(text).toContain('Beat 1 other candidate:');
+    expect(text).toContain('10:05 - 0.4s silence, 5.2s away (score -120)');
+  });
+
+  it('should say when the silence was the only candidate', () => {
+    expect(describeCut({ type: 'silence', targetTime: 600, silence, rejected: [] }, 599))
+      .toContain('The only silence found near the target');
+  });
+
+  it('should explain forced and manual cuts', () => {
+    expect(describeCut({ type: 'forced', targetTime: 600, silence: null, rejected: [] }, 600))
+      .toBe('Cut at 10:00: no silence found near 10:00, cut at the target time');
+    expect(describeCut({ type: 'manual' }, 612)).toBe('Cut at 10:12: placed by hand');
+  });
+});
+
+describe('panView', () => {
+  it('should move the view', () => {
+    expect(panView({ start: 10, end: 20 }, 5, 100)).toEqual({ start: 15, end: 25 });
+  });
+
+  it('should stop at the ends of the file', () => {
+    expect(panView({ start: 10, end: 20 }, -50, 100)).toEqual({ start: 0, end: 10 });
+    expect(panView({ start: 10, end: 20 }, 500, 100)).toEqual({ start: 90, end: 100 });
   });
 });
 
@@ -127,6 +194,67 @@ describe('renderChunkMarkers', () => {
     expect(overlapRegions.length).toBeGreaterThanOrEqual(1);
   });
 
+  it('should render detected silences', () => {
+    const silences = [{ start: 300, end: 303 }, { start: 590, end: 600 }];
+    renderChunkMarkers(container, twoChunksWithOverlap, 1200, { silences });
+
+    const regions = container.querySelectorAll('.silence-region');
+    expect(regions.length).toBe(2);
+    expect(regions[0].style.left).toBe('25%');
+  });
+
+  it('should position markers relative to the visible range', () => {
+    const chunks = [
+      createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 500 }),
+      createMockChunk({ index: 1, logicalStart: 500, logicalEnd: 1000 }),
+    ];
+    renderChunkMarkers(container, chunks, 1000, {
+      silences: [{ start: 450, end: 460 }],
+      view: { start: 400, end: 600 },
+    });
+
+    expect(container.querySelector('.chunk-marker').style.left).toBe('50%');
+    expect(container.querySelector('.silence-region').style.left).toBe('25%');
+    expect(container.querySelector('.silence-region').style.width).toBe('5%');
+  });
+
+  it('should highlight the chosen silence and rejected candidates', () => {
+    const chunks = [
+      createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 500 }),
+      createMockChunk({ index: 1, logicalStart: 500, logicalEnd: 1000 }),
+    ];
+    const silence = { start: 499, end: 501, duration: 2000, midpoint: 500, distance: 0, score: 2000 };
+    const rejected = [{ start: 510, end: 511, duration: 1000, midpoint: 510.5, distance: 10.5, score: -50 }];
+    chunks[0].cutInfo = { type: 'silence', targetTime: 500, silence, rejected };
+    renderChunkMarkers(container, chunks, 1000, { silences: [silence, ...rejected, { start: 100, end: 101 }] });
+
+    const regions = [...container.querySelectorAll('.silence-region')];
+    expect(regions.map(r => r.className)).toEqual([
+      'silence-region chosen',
+      'silence-region rejected',
+      'silence-region',
+    ]);
+    expect(container.querySelector('.chunk-marker').title).toContain('score 2000');
+  });
+
+  it('should index cut markers and mark the container editable', () => {
+    const chunks = [
+      createMockChunk({ index: 0, logicalStart: 0, logicalEnd: 500 }),
+      createMockChunk({ index: 1, logicalStart: 500, logicalEnd: 800 }),
+      createMockChunk({ index: 2, logicalStart: 800, logicalEnd: 1000 }),
+    ];
+    chunks[1].cutInfo.type = 'manual';
+    renderChunkMarkers(container, chunks, 1000, { editable: true });
+
+    const markers = container.querySelectorAll('.chunk-marker');
+    expect([...markers].map(m => m.dataset.cutIndex)).toEqual(['0', '1']);
+    expect(markers[1].classList.contains('manual')).toBe(true);
+    expect(container.classList.contains('editable')).toBe(true);
+
+    renderChunkMarkers(container, chunks, 1000);
+    expect(container.classList.contains('editable')).toBe(false);
+  });
+
   it('should clear container before rendering', () => {
     container.innerHTML = '<div class="old-content">Old</div>';
 
@@ -201,6 +329,19 @@ describe('renderChunkList', () => {
     expect(badge).toBeNull();
   });
 
+  it('should render a preview button for the chunk and each overlap zone', () => {
+    const chunks = [
+      createMockChunk({ index: 0, overlapTrailing: 10 }),
+      createMockChunk({ index: 1, logicalStart: 600, logicalEnd: 1200, overlapLeading: 10 }),
+    ];
+    renderChunkList(container, chunks);
+
+    const zones = [...container.querySelectorAll('.chunk-item')].map(item =>
+      [...item.querySelectorAll('.chunk-preview-btn')].map(b => b.dataset.preview)
+    );
+    expect(zones).toEqual([['chunk', 'trailing'], ['chunk', 'leading']]);
+  });
+
   it('should set data-chunk-index attribute', () => {
     const chunks = [
       createMockChunk({ index: 0 }),